@@ -0,0 +1,175 @@
+/**
+ * Fil d'activité - Événements notables déduits des relevés successifs
+ * (montées de grade, jauges pleines, dépassements, data centers terminés)
+ */
+
+// Période couverte par le fil d'activité
+const ACTIVITY_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Colonnes de l'export CSV, dans l'ordre
+const ACTIVITY_COLUMNS = ['time', 'type', 'server', 'dataCenter', 'region', 'grade', 'rank', 'rival', 'rivalDataCenter', 'count', 'description'];
+
+/**
+ * Regroupe un classement par data center, dans l'ordre du classement
+ * @param {Array} ranking - Classement trié par rang
+ * @returns {Map} - dataCenter -> serveurs
+ */
+function groupByDataCenter(ranking) {
+    const groups = new Map();
+    ranking.forEach(server => {
+        if (!groups.has(server.dataCenter)) {
+            groups.set(server.dataCenter, []);
+        }
+        groups.get(server.dataCenter).push(server);
+    });
+    return groups;
+}
+
+/**
+ * Rival dépassé par un serveur : parmi les serveurs qui étaient devant lui et sont maintenant derrière,
+ * le mieux classé auparavant, dont il prend la place
+ * @param {Array} rivals - Serveurs du classement courant à considérer
+ * @param {Map} previous - serverName -> serveur du classement précédent
+ * @param {Object} before - Le serveur dans le classement précédent
+ * @param {Object} after - Le serveur dans le classement courant
+ * @param {string} rankKey - 'dataCenterRank' (dans le data center) ou 'rank' (classement global)
+ * @returns {Object|null} - Rival dépassé, ou null
+ */
+function findPassedRival(rivals, previous, before, after, rankKey) {
+    const passed = rivals
+        .filter(rival => {
+            const rivalBefore = previous.get(rival.serverName);
+            return rivalBefore && rivalBefore[rankKey] < before[rankKey] && rival[rankKey] > after[rankKey];
+        })
+        .sort((a, b) => previous.get(a.serverName)[rankKey] - previous.get(b.serverName)[rankKey]);
+    return passed[0] || null;
+}
+
+/**
+ * Événements survenus entre deux classements successifs
+ * Types : grade-up, gauge-max, complete, overtake, overtake-global, dc-completed (libellés : clés activity.* de TRANSLATIONS)
+ * Les dépassements sont comptés dans le data center (overtake, dataCenterRank) et au classement global
+ * face aux autres data centers (overtake-global, rank), un seul de chaque par serveur
+ * @param {Array} previousRanking - Classement précédent (rankSnapshotData)
+ * @param {Array} currentRanking - Classement courant
+ * @param {number} time - Date du classement courant en ms
+ * @returns {Array} - Événements { type, time, server, dataCenter, region, grade, rank, rival, rivalDataCenter, count }
+ */
+function detectActivityEvents(previousRanking, currentRanking, time) {
+    const previous = new Map(previousRanking.map(server => [server.serverName, server]));
+    const previousGroups = groupByDataCenter(previousRanking);
+    const events = [];
+    const serverEvent = (type, server, details = {}) => ({
+        type, time, server: server.serverName, dataCenter: server.dataCenter, region: server.region, ...details
+    });
+
+    groupByDataCenter(currentRanking).forEach((servers, dataCenter) => {
+        servers.forEach(after => {
+            const before = previous.get(after.serverName);
+            if (!before) return;
+
+            if (after.grade > before.grade) {
+                events.push(serverEvent('grade-up', after, { grade: after.grade }));
+            } else if (getGaugeModel(after).isFull && !getGaugeModel(before).isFull) {
+                events.push(serverEvent('gauge-max', after, { grade: after.grade }));
+            }
+            if (isServerComplete(after) && !isServerComplete(before)) {
+                events.push(serverEvent('complete', after));
+            }
+
+            const rival = findPassedRival(servers, previous, before, after, 'dataCenterRank');
+            if (rival) {
+                events.push(serverEvent('overtake', after, { rank: after.dataCenterRank, rival: rival.serverName }));
+            }
+            const otherRivals = currentRanking.filter(server => server.dataCenter !== dataCenter);
+            const globalRival = findPassedRival(otherRivals, previous, before, after, 'rank');
+            if (globalRival) {
+                events.push(serverEvent('overtake-global', after, {
+                    rank: after.rank, rival: globalRival.serverName, rivalDataCenter: globalRival.dataCenter
+                }));
+            }
+        });
+
+        const count = servers.filter(isServerComplete).length;
+        const countBefore = (previousGroups.get(dataCenter) || []).filter(isServerComplete).length;
+        if (previousGroups.has(dataCenter) && count > countBefore) {
+            events.push({ type: 'dc-completed', time, dataCenter, region: servers[0].region, count });
+        }
+    });
+
+    return events;
+}
+
+/**
+ * Fil d'activité d'une planète, du plus récent au plus ancien
+ * @param {Array} snapshots - Snapshots triés par date (CosmicSnapshotStore.getSnapshots)
+ * @returns {Array} - Événements de chaque paire de relevés successifs
+ */
+function buildActivityFeed(snapshots) {
+    const groups = [];
+    let previousRanking = null;
+
+    snapshots.forEach(snapshot => {
+        const ranking = rankSnapshotData(snapshot.data);
+        if (previousRanking) {
+            groups.push(detectActivityEvents(previousRanking, ranking, snapshot.timestamp));
+        }
+        previousRanking = ranking;
+    });
+
+    return groups.reverse().flat();
+}
+
+/**
+ * Filtre le fil d'activité
+ * Un dépassement entre data centers concerne les deux : il est gardé pour le data center du rival aussi
+ * Avec favorites, seuls les événements d'un serveur suivi (ou de son rival) sont gardés
+ * @param {Array} events - Événements (buildActivityFeed)
+ * @param {Object} filters - { region, dataCenter ('all' pour tous), favorites (Set, null pour tous) }
+ * @returns {Array} - Événements retenus
+ */
+function filterActivityEvents(events, { region = 'all', dataCenter = 'all', favorites = null }) {
+    return events.filter(event =>
+        (region === 'all' || event.region === region) &&
+        (dataCenter === 'all' || event.dataCenter === dataCenter || event.rivalDataCenter === dataCenter) &&
+        (!favorites || favorites.has(event.server) || favorites.has(event.rival))
+    );
+}
+
+/**
+ * Décrit un événement pour l'affichage
+ * @param {Object} event - Événement
+ * @returns {string} - Description dans la langue courante
+ */
+function describeActivityEvent(event) {
+    return t(`activity.${event.type}`, event);
+}
+
+/**
+ * Convertit le fil d'activité en CSV
+ * @param {Array} events - Événements
+ * @returns {string} - Contenu CSV avec en-tête
+ */
+function activityToCSV(events) {
+    const lines = [ACTIVITY_COLUMNS.join(',')];
+    events.forEach(event => {
+        const row = { ...event, time: new Date(event.time).toISOString(), description: describeActivityEvent(event) };
+        lines.push(ACTIVITY_COLUMNS.map(column => escapeCsvValue(row[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Convertit le fil d'activité en JSON
+ * @param {Array} events - Événements
+ * @param {Object} meta - Métadonnées ajoutées à la racine (optionnel)
+ * @returns {string} - Contenu JSON indenté
+ */
+function activityToJSON(events, meta = {}) {
+    const items = events.map(event => ({
+        ...event,
+        time: new Date(event.time).toISOString(),
+        description: describeActivityEvent(event)
+    }));
+    return JSON.stringify({ ...meta, events: items }, null, 2);
+}
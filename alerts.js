@@ -0,0 +1,121 @@
+/**
+ * Alertes - Règles de notification évaluées en comparant deux classements
+ * successifs produits par createRanking()
+ */
+
+// Types de règles et champs nécessaires (libellés : clés alerts.type.* de TRANSLATIONS)
+const ALERT_RULE_TYPES = {
+    'grade-up': { fields: ['server'] },
+    'gauge-max': { fields: ['server'] },
+    'overtake': { fields: ['server', 'target'] },
+    'dc-leader': { fields: ['dataCenter'] }
+};
+
+/**
+ * Décrit une règle pour l'affichage
+ * @param {Object} rule - Règle { type, server, target, dataCenter }
+ * @returns {string} - Description lisible
+ */
+function describeAlertRule(rule) {
+    return rule.type in ALERT_RULE_TYPES ? t(`alerts.rule.${rule.type}`, rule) : rule.type;
+}
+
+/**
+ * Serveurs en tête d'un data center (plusieurs en cas d'égalité)
+ * @param {Array} ranking - Classement global trié par rang
+ * @param {string} dataCenter - Nom du data center
+ * @returns {Array} - Serveurs en tête, dans l'ordre du classement
+ */
+function getDataCenterLeaders(ranking, dataCenter) {
+    const servers = ranking.filter(server => server.dataCenter === dataCenter);
+    if (servers.length === 0) {
+        return [];
+    }
+    return servers.filter(server => server.rank === servers[0].rank);
+}
+
+/**
+ * Évalue une règle entre deux classements
+ * @param {Object} rule - Règle à évaluer
+ * @param {Map} previous - serverName -> serveur du classement précédent
+ * @param {Map} current - serverName -> serveur du classement courant
+ * @param {Object} rankings - { previous, current } classements complets
+ * @returns {Object|null} - Alerte { title, message } ou null
+ */
+function evaluateAlertRule(rule, previous, current, rankings) {
+    const before = previous.get(rule.server);
+    const after = current.get(rule.server);
+
+    switch (rule.type) {
+        case 'grade-up':
+            if (before && after && after.grade > before.grade) {
+                return {
+                    title: t('alerts.gradeUp.title', { server: after.serverName, grade: after.grade }),
+                    message: t('alerts.gradeUp.message', { rank: after.rank, dataCenter: after.dataCenter })
+                };
+            }
+            return null;
+
+        case 'gauge-max':
+            if (before && after && getGaugeModel(after).isFull && !getGaugeModel(before).isFull) {
+                return {
+                    title: t('alerts.gaugeMax.title', { server: after.serverName }),
+                    message: t('alerts.gaugeMax.message', { grade: after.grade })
+                };
+            }
+            return null;
+
+        case 'overtake': {
+            const rivalBefore = previous.get(rule.target);
+            const rivalAfter = current.get(rule.target);
+            if (before && after && rivalBefore && rivalAfter &&
+                before.rank >= rivalBefore.rank && after.rank < rivalAfter.rank) {
+                return {
+                    title: t('alerts.overtake.title', { server: after.serverName, rival: rivalAfter.serverName }),
+                    message: t('alerts.overtake.message', { rank: after.rank, rival: rivalAfter.serverName, rivalRank: rivalAfter.rank })
+                };
+            }
+            return null;
+        }
+
+        case 'dc-leader': {
+            const leadersBefore = getDataCenterLeaders(rankings.previous, rule.dataCenter);
+            const leadersAfter = getDataCenterLeaders(rankings.current, rule.dataCenter);
+            if (leadersBefore.length > 0 && leadersAfter.length > 0 &&
+                !leadersAfter.some(server => server.serverName === leadersBefore[0].serverName)) {
+                return {
+                    title: t('alerts.dcLeader.title', { server: leadersAfter[0].serverName, dataCenter: rule.dataCenter }),
+                    message: t('alerts.dcLeader.message', { previous: leadersBefore[0].serverName })
+                };
+            }
+            return null;
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Évalue toutes les règles entre deux classements successifs
+ * @param {Array} rules - Règles configurées
+ * @param {Array} previousRanking - Classement précédent
+ * @param {Array} currentRanking - Classement courant
+ * @returns {Array} - Alertes déclenchées { rule, title, message }
+ */
+function evaluateAlertRules(rules, previousRanking, currentRanking) {
+    if (previousRanking.length === 0 || currentRanking.length === 0) {
+        return [];
+    }
+
+    const previous = new Map(previousRanking.map(server => [server.serverName, server]));
+    const current = new Map(currentRanking.map(server => [server.serverName, server]));
+    const rankings = { previous: previousRanking, current: currentRanking };
+
+    return rules
+        .map(rule => {
+            const alert = evaluateAlertRule(rule, previous, current, rankings);
+            return alert ? { rule, ...alert } : null;
+        })
+        .filter(Boolean);
+}
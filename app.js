@@ -3,73 +3,210 @@
  * Application JavaScript principale
  */
 
-// Données des planètes
-const COSMIC_PLANETS = [
-    {
-        id: "sinus-ardorum",
-        name: "Sinus Ardorum",
-        patch: "7.21",
-        isActive: true,
-        url: "https://eu.finalfantasyxiv.com/lodestone/cosmic_exploration/report"
-    },
-    {
-        id: "planet-2",
-        name: "Planet 2",
-        patch: "7.3X",
-        isActive: false
-    },
-    {
-        id: "planet-3",
-        name: "Planet 3",
-        patch: "7.4X",
-        isActive: false
-    },
-    {
-        id: "planet-4",
-        name: "Planet 4",
-        patch: "7.5X",
-        isActive: false
-    }
-];
+// Configuration des sources de données (essayées dans l'ordre)
+const DATA_SOURCE_CONFIG = {
+    proxies: ["https://proxy.malippew.workers.dev/?url="],
+    api: null,
+    direct: true,
+    timeoutMs: 10000,
+    retries: 2,
+    backoffMs: 500
+};
+
+// Nombre d'alertes conservées dans le journal et durée d'affichage des notifications internes
+const ALERT_LOG_SIZE = 20;
+const TOAST_DURATION_MS = 8000;
+
+// Intervalles de rafraîchissement automatique proposés, en minutes, et intervalle par défaut
+const AUTO_REFRESH_MINUTES = [5, 10, 15, 30, 60];
+const DEFAULT_AUTO_REFRESH_MINUTES = 15;
+
+// Modes d'affichage, dans l'ordre des boutons (raccourcis 1 à 6)
+const VIEW_MODES = ['table', 'grid', 'forecast', 'datacenters', 'overall', 'activity'];
+
+// Icônes du fil d'activité, par type d'événement
+const ACTIVITY_ICONS = {
+    'grade-up': 'trending_up',
+    'gauge-max': 'battery_full',
+    'complete': 'flag',
+    'overtake': 'swap_vert',
+    'overtake-global': 'public',
+    'dc-completed': 'emoji_events'
+};
 
 // État de l'application
 const state = {
     data: [],
+    filteredData: [],
+    rawData: [],
+    previousData: [],
+    forecasts: new Map(),
     dataCenters: [],
     lastUpdated: null,
     isLoading: false,
     isError: false,
     dataCenter: 'all',
+    region: 'all',
+    lodestoneHost: localStorage.getItem('lodestoneHost') || 'eu',
     viewMode: 'table',
-    activePlanet: COSMIC_PLANETS[0].id,
-    currentPlanet: COSMIC_PLANETS[0],
+    sortKey: 'rank',
+    sortDirection: 'asc',
+    rankingStrategy: DEFAULT_RANKING_STRATEGY,
+    search: '',
+    status: 'all',
+    minGrade: '',
+    maxGrade: '',
+    activePlanet: null,
+    currentPlanet: null,
+    planetData: [],
     darkMode: localStorage.getItem('darkTheme') === 'true',
-    resizeTimeout: null
+    favorites: loadFavorites(),
+    alertRules: loadAlertRules(),
+    alertLog: [],
+    activity: [],
+    activityFavoritesOnly: localStorage.getItem('activityFavoritesOnly') === 'true',
+    shortcutsEnabled: localStorage.getItem('keyboardShortcuts') !== 'false',
+    autoRefresh: loadAutoRefresh(),
+    autoRefreshTimer: null,
+    resizeTimeout: null,
+    error: null,
+    dataSource: null,
+    diagnostics: null,
+    staleSince: null,
+    snapshotStore: new CosmicSnapshotStore(undefined, { lodestoneHost: localStorage.getItem('lodestoneHost') || 'eu' }),
+    historyServer: null,
+    dataCenterMetric: 'averageGrade',
+    compareDataCenters: [null, null],
+    embed: null
 };
 
+// Load favorite servers saved in localStorage
+function loadFavorites() {
+    try {
+        return new Set(JSON.parse(localStorage.getItem('favoriteServers')) || []);
+    } catch (error) {
+        return new Set();
+    }
+}
+
+// Load alert rules saved in localStorage
+function loadAlertRules() {
+    try {
+        const rules = JSON.parse(localStorage.getItem('alertRules'));
+        return Array.isArray(rules) ? rules.filter(rule => rule.type in ALERT_RULE_TYPES) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// Load auto-refresh settings saved in localStorage, keeping only an offered interval
+function loadAutoRefresh() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem('autoRefresh'));
+    } catch (error) {
+        // Unreadable settings fall back to the defaults
+    }
+    return {
+        enabled: Boolean(saved && saved.enabled === true),
+        minutes: saved && AUTO_REFRESH_MINUTES.includes(saved.minutes) ? saved.minutes : DEFAULT_AUTO_REFRESH_MINUTES
+    };
+}
+
 // DOM Elements
 const domElements = {
     themeToggle: document.getElementById('theme-toggle'),
+    languageSelect: document.getElementById('language-select'),
     refreshBtn: document.getElementById('refresh-btn'),
     lastUpdated: document.getElementById('last-updated'),
     datacenterSelect: document.getElementById('datacenter-select'),
+    regionSelect: document.getElementById('region-select'),
+    lodestoneSelect: document.getElementById('lodestone-select'),
     tableViewBtn: document.getElementById('table-view-btn'),
     gridViewBtn: document.getElementById('grid-view-btn'),
     tableBody: document.getElementById('table-body'),
     gridView: document.getElementById('grid-view'),
     dataCount: document.getElementById('data-count'),
     dataSummary: document.getElementById('data-summary'),
+    noResults: document.getElementById('no-results'),
+    searchInput: document.getElementById('search-input'),
+    statusSelect: document.getElementById('status-select'),
+    gradeMinSelect: document.getElementById('grade-min-select'),
+    gradeMaxSelect: document.getElementById('grade-max-select'),
+    sortSelect: document.getElementById('sort-select'),
+    sortDirectionBtn: document.getElementById('sort-direction-btn'),
+    strategySelect: document.getElementById('ranking-strategy-select'),
+    rankStrategy: document.getElementById('rank-strategy'),
+    sortableHeaders: document.querySelectorAll('th.sortable'),
+    favoritesPanel: document.getElementById('favorites-panel'),
+    favoritesList: document.getElementById('favorites-list'),
+    exportCsvBtn: document.getElementById('export-csv-btn'),
+    exportJsonBtn: document.getElementById('export-json-btn'),
+    exportImageBtn: document.getElementById('export-image-btn'),
     loading: document.getElementById('loading'),
     error: document.getElementById('error'),
     retryBtn: document.getElementById('retry-btn'),
+    errorDetails: document.getElementById('error-details'),
+    uploadInput: document.getElementById('upload-input'),
     comingSoon: document.getElementById('coming-soon'),
     contentContainer: document.getElementById('content-container'),
+    formatWarning: document.getElementById('format-warning'),
+    formatWarningDetails: document.getElementById('format-warning-details'),
+    staleBanner: document.getElementById('stale-banner'),
+    staleMessage: document.getElementById('stale-message'),
+    staleRetryBtn: document.getElementById('stale-retry-btn'),
     currentYear: document.getElementById('current-year'),
     tableView: document.getElementById('table-view'),
+    forecastViewBtn: document.getElementById('forecast-view-btn'),
+    forecastView: document.getElementById('forecast-view'),
+    forecastBody: document.getElementById('forecast-body'),
+    filterBar: document.getElementById('filter-bar'),
+    datacenterViewBtn: document.getElementById('datacenter-view-btn'),
+    datacenterView: document.getElementById('datacenter-view'),
+    datacenterBody: document.getElementById('datacenter-body'),
+    datacenterMetricSelect: document.getElementById('datacenter-metric-select'),
+    datacenterChart: document.getElementById('datacenter-chart'),
+    compareASelect: document.getElementById('compare-a-select'),
+    compareBSelect: document.getElementById('compare-b-select'),
+    compareBody: document.getElementById('compare-body'),
+    historyPanel: document.getElementById('history-panel'),
+    historyServer: document.getElementById('history-server'),
+    historyChart: document.getElementById('history-chart'),
+    historyEmpty: document.getElementById('history-empty'),
+    historyCloseBtn: document.getElementById('history-close-btn'),
+    historyPlanets: document.getElementById('history-planets'),
+    planetTabs: document.getElementById('planet-tabs'),
+    overallViewBtn: document.getElementById('overall-view-btn'),
+    overallView: document.getElementById('overall-view'),
+    overallBody: document.getElementById('overall-body'),
+    activityViewBtn: document.getElementById('activity-view-btn'),
+    activityView: document.getElementById('activity-view'),
+    activityList: document.getElementById('activity-list'),
+    activityEmpty: document.getElementById('activity-empty'),
+    activityFavoritesToggle: document.getElementById('activity-favorites-toggle'),
+    activityCsvBtn: document.getElementById('activity-csv-btn'),
+    activityJsonBtn: document.getElementById('activity-json-btn'),
+    alertsBtn: document.getElementById('alerts-btn'),
+    alertsPanel: document.getElementById('alerts-panel'),
+    autoRefreshToggle: document.getElementById('auto-refresh-toggle'),
+    autoRefreshInterval: document.getElementById('auto-refresh-interval'),
+    alertRuleForm: document.getElementById('alert-rule-form'),
+    alertRuleType: document.getElementById('alert-rule-type'),
+    alertRuleServer: document.getElementById('alert-rule-server'),
+    alertRuleTarget: document.getElementById('alert-rule-target'),
+    alertRuleDc: document.getElementById('alert-rule-dc'),
+    alertServerList: document.getElementById('alert-server-list'),
+    alertRulesList: document.getElementById('alert-rules-list'),
+    alertLog: document.getElementById('alert-log'),
+    notificationsPermissionBtn: document.getElementById('notifications-permission-btn'),
+    toastContainer: document.getElementById('toast-container'),
+    embedView: document.getElementById('embed-view'),
+    announcer: document.getElementById('announcer'),
+    shortcutsToggle: document.getElementById('shortcuts-toggle'),
 };
 
 // Initialize
-function init() {
+async function init() {
     // Set current year in footer
     domElements.currentYear.textContent = new Date().getFullYear();
 
@@ -79,11 +216,50 @@ function init() {
         domElements.themeToggle.querySelector('.material-icons').textContent = 'light_mode';
     }
 
+    // Embed mode: a compact card with its own theme and refresh settings
+    state.embed = readEmbedOptions(window.location.search);
+    if (state.embed) {
+        setupEmbedMode();
+    }
+
+    // Translate the page before anything is shown
+    setupLanguageSelect();
+
+    // Load the planet registry before anything depends on it
+    try {
+        await loadPlanetRegistry();
+    } catch (error) {
+        console.error('Error loading planet registry:', error);
+        state.isLoading = false;
+        state.isError = true;
+        state.error = new DataSourceError([{ source: 'Planet registry', reason: error.message, attempts: 1 }]);
+        updateLoadingState();
+        domElements.retryBtn.addEventListener('click', () => window.location.reload());
+        return;
+    }
+    renderPlanetTabs();
+
+    // Populate region, Lodestone, sort, ranking strategy and metric selectors
+    setupRegionSelects();
+    setupSortSelect();
+    setupStrategySelect();
+    setupDataCenterMetricSelect();
+
     // Setup event listeners
     setupEventListeners();
 
+    // Restore auto-refresh and alert settings
+    setupAlertsPanel();
+    scheduleAutoRefresh();
+
+    // Cache the app shell for offline use
+    registerServiceWorker();
+
+    // Restore planet, filters and view mode from the URL
+    applyUrlState(readUrlState(window.location.search));
+
     // Load data
-    loadCosmicData();
+    updatePlanetContent();
 }
 
 // Setup Event Listeners
@@ -91,54 +267,407 @@ function setupEventListeners() {
     // Theme Toggle
     domElements.themeToggle.addEventListener('click', toggleTheme);
 
+    // Language Select
+    domElements.languageSelect.addEventListener('change', (e) => changeLanguage(e.target.value));
+
     // Refresh Button
     domElements.refreshBtn.addEventListener('click', () => {
         loadCosmicData(true);
     });
 
-    // Retry Button
+    // Retry Buttons
     domElements.retryBtn.addEventListener('click', () => {
         loadCosmicData(true);
     });
 
+    domElements.staleRetryBtn.addEventListener('click', () => {
+        loadCosmicData(true);
+    });
+
+    // Load a saved Lodestone page
+    domElements.uploadInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const html = await file.text();
+        e.target.value = '';
+        loadCosmicData(true, [new UploadSource(file.name, html)]);
+    });
+
     // Data Center Select
     domElements.datacenterSelect.addEventListener('change', (e) => {
         state.dataCenter = e.target.value;
+        updateUrlState();
         updateUI();
     });
 
+    // Region Select (ranks are recomputed within the region)
+    domElements.regionSelect.addEventListener('change', (e) => {
+        state.region = e.target.value;
+        updateRanking();
+        updateDataCentersDropdown();
+        updateUrlState();
+        updateUI();
+    });
+
+    // Filters
+    domElements.searchInput.addEventListener('input', (e) => {
+        state.search = e.target.value;
+        updateUrlState(true);
+        updateUI();
+    });
+
+    domElements.statusSelect.addEventListener('change', (e) => {
+        state.status = e.target.value;
+        updateUrlState();
+        updateUI();
+    });
+
+    domElements.gradeMinSelect.addEventListener('change', (e) => {
+        state.minGrade = e.target.value;
+        updateUrlState();
+        updateUI();
+    });
+
+    domElements.gradeMaxSelect.addEventListener('change', (e) => {
+        state.maxGrade = e.target.value;
+        updateUrlState();
+        updateUI();
+    });
+
+    // Sorting
+    domElements.sortSelect.addEventListener('change', (e) => setSort(e.target.value));
+
+    domElements.sortDirectionBtn.addEventListener('click', () => {
+        state.sortDirection = state.sortDirection === 'asc' ? 'desc' : 'asc';
+        updateUrlState();
+        updateUI();
+    });
+
+    domElements.sortableHeaders.forEach(header => {
+        header.addEventListener('click', () => setSort(header.dataset.sort));
+    });
+
+    // Ranking strategy
+    domElements.strategySelect.addEventListener('change', (e) => {
+        state.rankingStrategy = e.target.value;
+        updateUrlState();
+        updateRanking();
+        updateUI();
+    });
+
+    // Planet tabs: arrow keys move between the planets, Enter or Space opens one
+    domElements.planetTabs.addEventListener('keydown', handleTabKeydown);
+
+    // Lodestone Select
+    domElements.lodestoneSelect.addEventListener('change', (e) => {
+        state.lodestoneHost = e.target.value;
+        localStorage.setItem('lodestoneHost', state.lodestoneHost);
+        // History, deltas and activity only compare rankings of the same site
+        state.snapshotStore.lodestoneHost = state.lodestoneHost;
+        loadCosmicData(true);
+    });
+
     // View Toggle
-    domElements.tableViewBtn.addEventListener('click', () => {
-        state.viewMode = 'table';
-        updateViewMode();
+    Object.entries(getViewModeButtons()).forEach(([viewMode, button]) => {
+        button.addEventListener('click', () => {
+            state.viewMode = viewMode;
+            updateViewMode();
+            updateUrlState();
+        });
+    });
+
+    // Data Center Comparison
+    domElements.datacenterMetricSelect.addEventListener('change', (e) => {
+        state.dataCenterMetric = e.target.value;
+        updateDataCenterView();
+    });
+
+    [domElements.compareASelect, domElements.compareBSelect].forEach((select, index) => {
+        select.addEventListener('change', (e) => {
+            state.compareDataCenters[index] = e.target.value;
+            updateDataCenterView();
+        });
     });
 
-    domElements.gridViewBtn.addEventListener('click', () => {
-        state.viewMode = 'grid';
-        updateViewMode();
+    // Activity Feed
+    domElements.activityFavoritesToggle.checked = state.activityFavoritesOnly;
+    domElements.activityFavoritesToggle.addEventListener('change', (e) => {
+        state.activityFavoritesOnly = e.target.checked;
+        localStorage.setItem('activityFavoritesOnly', state.activityFavoritesOnly);
+        updateActivityView();
     });
+    domElements.activityCsvBtn.addEventListener('click', () => exportActivity('csv'));
+    domElements.activityJsonBtn.addEventListener('click', () => exportActivity('json'));
+
+    // History Panel
+    domElements.historyCloseBtn.addEventListener('click', hideServerHistory);
+
+    // Alerts Panel
+    domElements.alertsBtn.addEventListener('click', () => {
+        const isOpen = domElements.alertsPanel.classList.toggle('hidden') === false;
+        domElements.alertsBtn.setAttribute('aria-expanded', String(isOpen));
+    });
+
+    domElements.autoRefreshToggle.addEventListener('change', (e) => {
+        state.autoRefresh.enabled = e.target.checked;
+        saveAutoRefresh();
+    });
+
+    domElements.autoRefreshInterval.addEventListener('change', (e) => {
+        state.autoRefresh.minutes = Number(e.target.value);
+        saveAutoRefresh();
+    });
+
+    domElements.alertRuleType.addEventListener('change', updateAlertRuleFields);
+    domElements.alertRuleForm.addEventListener('submit', addAlertRule);
+    domElements.notificationsPermissionBtn.addEventListener('click', requestNotificationPermission);
+
+    // Export Buttons
+    domElements.exportCsvBtn.addEventListener('click', () => exportRanking('csv'));
+    domElements.exportJsonBtn.addEventListener('click', () => exportRanking('json'));
+    domElements.exportImageBtn.addEventListener('click', () => exportRanking('png'));
 
     // Toggle Grid View automatic
     window.addEventListener('resize', handleResize);
 
-    // Planet Tabs
-    const tabButtons = document.querySelectorAll('.tab-item');
-    tabButtons.forEach(button => {
+    // Back / Forward between filters
+    window.addEventListener('popstate', handlePopState);
+
+    // Keyboard shortcuts, which can be turned off
+    document.addEventListener('keydown', handleShortcut);
+    updateShortcutsSetting();
+    domElements.shortcutsToggle.addEventListener('change', (e) => {
+        state.shortcutsEnabled = e.target.checked;
+        localStorage.setItem('keyboardShortcuts', state.shortcutsEnabled);
+        updateShortcutsSetting();
+    });
+
+}
+
+// Build the planet tabs from the registry
+function renderPlanetTabs() {
+    domElements.planetTabs.innerHTML = '';
+
+    COSMIC_PLANETS.forEach(planet => {
+        const button = document.createElement('button');
+        button.className = 'tab-item';
+        button.id = `planet-tab-${planet.id}`;
+        button.dataset.planet = planet.id;
+        button.setAttribute('role', 'tab');
+        button.setAttribute('aria-controls', 'content-container');
+        button.disabled = !planet.isActive;
+        setHTML(button, html`
+      <div class="tab-content">
+        <span class="tab-title">${planet.name}</span>
+        <span class="tab-patch" data-i18n="planet.patch" data-i18n-params="${JSON.stringify({ patch: planet.patch })}">${t('planet.patch', { patch: planet.patch })}</span>
+        ${planet.isActive ? '' : html`<span class="tab-badge" data-i18n="planet.soon">${t('planet.soon')}</span>`}
+      </div>
+    `);
+
         button.addEventListener('click', () => {
             if (button.disabled) return;
 
-            // Update active tab
-            tabButtons.forEach(tab => tab.classList.remove('active'));
-            button.classList.add('active');
-
-            // Update active planet
-            const planetId = button.dataset.planet;
-            state.activePlanet = planetId;
-            state.currentPlanet = COSMIC_PLANETS.find(p => p.id === planetId);
+            selectPlanet(button.dataset.planet);
+            updateUrlState();
 
+            hideServerHistory();
             updatePlanetContent();
         });
+
+        domElements.planetTabs.appendChild(button);
+    });
+}
+
+// Select a planet and its tab
+function selectPlanet(planetId) {
+    const planet = COSMIC_PLANETS.find(p => p.id === planetId) || COSMIC_PLANETS[0];
+    state.activePlanet = planet.id;
+    state.currentPlanet = planet;
+
+    document.querySelectorAll('.tab-item').forEach(tab => {
+        const isActive = tab.dataset.planet === planet.id;
+        tab.classList.toggle('active', isActive);
+        tab.setAttribute('aria-selected', String(isActive));
+        // Only the selected tab is in the Tab order, the arrow keys reach the others
+        tab.tabIndex = isActive ? 0 : -1;
+    });
+    domElements.contentContainer.setAttribute('aria-labelledby', `planet-tab-${planet.id}`);
+
+    updateGradeOptions();
+}
+
+// Move the focus between the open planet tabs with the arrow, Home and End keys
+function handleTabKeydown(e) {
+    const tabs = Array.from(domElements.planetTabs.querySelectorAll('.tab-item:not([disabled])'));
+    const index = tabs.indexOf(document.activeElement);
+    const targets = { ArrowLeft: index - 1, ArrowRight: index + 1, Home: 0, End: tabs.length - 1 };
+    if (index === -1 || !(e.key in targets)) return;
+
+    e.preventDefault();
+    tabs[(targets[e.key] + tabs.length) % tabs.length].focus();
+}
+
+// Apply state read from the URL (missing values fall back to defaults)
+function applyUrlState(urlState) {
+    const values = { ...URL_STATE_DEFAULTS, ...urlState };
+
+    selectPlanet(values.activePlanet);
+    state.region = values.region in GAME_REGIONS ? values.region : 'all';
+    state.dataCenter = values.dataCenter;
+    state.viewMode = VIEW_MODES.includes(values.viewMode) ? values.viewMode : 'table';
+    state.sortKey = values.sortKey in RANKING_SORTS ? values.sortKey : 'rank';
+    state.sortDirection = values.sortDirection === 'desc' ? 'desc' : 'asc';
+    state.rankingStrategy = values.rankingStrategy in RANKING_STRATEGIES ? values.rankingStrategy : DEFAULT_RANKING_STRATEGY;
+    state.search = values.search;
+    state.status = values.status;
+    state.minGrade = /^\d+$/.test(values.minGrade) ? values.minGrade : '';
+    state.maxGrade = /^\d+$/.test(values.maxGrade) ? values.maxGrade : '';
+
+    domElements.regionSelect.value = state.region;
+    domElements.strategySelect.value = state.rankingStrategy;
+    domElements.searchInput.value = state.search;
+    domElements.statusSelect.value = state.status;
+    domElements.gradeMinSelect.value = state.minGrade;
+    domElements.gradeMaxSelect.value = state.maxGrade;
+    updateSortIndicators();
+    updateViewMode();
+}
+
+// Push (or replace) the current filters into the URL
+function updateUrlState(replace = false) {
+    const search = buildUrlSearch(state, window.location.search);
+    if (search === window.location.search) return;
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (replace) {
+        history.replaceState(null, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
+}
+
+// Restore filters when navigating back or forward
+function handlePopState() {
+    const previousPlanet = state.activePlanet;
+    const previousRegion = state.region;
+    const previousStrategy = state.rankingStrategy;
+
+    applyUrlState(readUrlState(window.location.search));
+
+    if (state.activePlanet !== previousPlanet) {
+        hideServerHistory();
+        updatePlanetContent();
+        return;
+    }
+
+    if (state.region !== previousRegion || state.rankingStrategy !== previousStrategy) {
+        updateRanking();
+    }
+    updateDataCentersDropdown();
+    updateStatusOptions();
+    updateUI();
+}
+
+// Create an option whose label follows the language
+function createTranslatedOption(value, key, params = null) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.dataset.i18n = key;
+    if (params) {
+        option.dataset.i18nParams = JSON.stringify(params);
+    }
+    option.textContent = t(key, params || {});
+    return option;
+}
+
+// Populate Region and Lodestone Selects
+function setupRegionSelects() {
+    Object.keys(GAME_REGIONS).forEach(id => {
+        domElements.regionSelect.appendChild(createTranslatedOption(id, `region.${id}`));
+    });
+
+    Object.entries(LODESTONE_HOSTS).forEach(([id, host]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = host.name;
+        domElements.lodestoneSelect.appendChild(option);
+    });
+    domElements.lodestoneSelect.value = state.lodestoneHost;
+}
+
+// Populate Sort Select
+function setupSortSelect() {
+    Object.keys(RANKING_SORTS).forEach(key => {
+        domElements.sortSelect.appendChild(createTranslatedOption(key, `column.${key}`));
+    });
+}
+
+// Populate Ranking Strategy Select
+function setupStrategySelect() {
+    Object.keys(RANKING_STRATEGIES).forEach(id => {
+        domElements.strategySelect.appendChild(createTranslatedOption(id, `strategy.${id}`));
     });
+    domElements.strategySelect.value = state.rankingStrategy;
+}
+
+// Populate Data Center Metric Select
+function setupDataCenterMetricSelect() {
+    Object.keys(DATA_CENTER_METRICS).forEach(metric => {
+        domElements.datacenterMetricSelect.appendChild(createTranslatedOption(metric, `metric.${metric}`));
+    });
+    domElements.datacenterMetricSelect.value = state.dataCenterMetric;
+}
+
+// Populate grade range selects up to the planet's max grade
+function updateGradeOptions() {
+    [domElements.gradeMinSelect, domElements.gradeMaxSelect].forEach(select => {
+        while (select.options.length > 1) {
+            select.remove(1);
+        }
+
+        for (let grade = 0; grade <= state.currentPlanet.maxGrade; grade++) {
+            select.appendChild(createTranslatedOption(String(grade), 'server.grade', { grade }));
+        }
+    });
+
+    domElements.gradeMinSelect.value = state.minGrade;
+    domElements.gradeMaxSelect.value = state.maxGrade;
+}
+
+// Sort by a column, reversing the order when it is already sorted by it
+function setSort(key) {
+    if (state.sortKey === key) {
+        state.sortDirection = state.sortDirection === 'asc' ? 'desc' : 'asc';
+    } else {
+        state.sortKey = key;
+        state.sortDirection = RANKING_SORTS[key].defaultDirection;
+    }
+
+    updateUrlState();
+    updateUI();
+}
+
+// Show the active sort on the column headers and sort controls
+function updateSortIndicators() {
+    domElements.sortableHeaders.forEach(header => {
+        const isSorted = header.dataset.sort === state.sortKey;
+        header.classList.toggle('sorted-asc', isSorted && state.sortDirection === 'asc');
+        header.classList.toggle('sorted-desc', isSorted && state.sortDirection === 'desc');
+        header.setAttribute('aria-sort', isSorted ? (state.sortDirection === 'asc' ? 'ascending' : 'descending') : 'none');
+    });
+
+    domElements.sortSelect.value = state.sortKey;
+    domElements.sortDirectionBtn.querySelector('.material-icons').textContent =
+        state.sortDirection === 'asc' ? 'arrow_upward' : 'arrow_downward';
+}
+
+// Show the active ranking strategy on the rank column
+function updateStrategyLabel() {
+    const label = t(`strategy.${state.rankingStrategy}`);
+    domElements.rankStrategy.textContent = label;
+    domElements.rankStrategy.title = t('strategy.active', { strategy: label });
+    domElements.strategySelect.value = state.rankingStrategy;
 }
 
 function handleResize() {
@@ -147,13 +676,27 @@ function handleResize() {
         const width = window.innerWidth;
         const newViewMode = width < 768 ? 'grid' : 'table';
 
-        if (state.viewMode !== newViewMode) {
+        // Only switch automatically between table and grid
+        if (['table', 'grid'].includes(state.viewMode) && state.viewMode !== newViewMode) {
             state.viewMode = newViewMode;
             updateViewMode();
+            updateUrlState(true);
         }
     }, 200);
 }
 
+// Toggle Favorite Server
+function toggleFavorite(serverName) {
+    if (state.favorites.has(serverName)) {
+        state.favorites.delete(serverName);
+    } else {
+        state.favorites.add(serverName);
+    }
+    localStorage.setItem('favoriteServers', JSON.stringify(Array.from(state.favorites)));
+
+    updateUI();
+}
+
 // Toggle Theme
 function toggleTheme() {
     state.darkMode = !state.darkMode;
@@ -168,15 +711,362 @@ function toggleTheme() {
     }
 }
 
+// Apply the embed options, leaving the page's own settings untouched
+function setupEmbedMode() {
+    const { theme, transparent, refreshMinutes, language } = state.embed;
+
+    document.body.classList.add('embed-mode');
+    document.body.classList.toggle('embed-transparent', transparent);
+    if (theme) {
+        document.body.classList.toggle('dark-theme', theme === 'dark');
+    }
+    if (language) {
+        setLanguage(language);
+    }
+
+    // A widget never fires the alerts set up on the full page
+    state.alertRules = [];
+    state.autoRefresh = { enabled: refreshMinutes !== null, minutes: refreshMinutes };
+}
+
+// Populate Language Select and translate the page
+function setupLanguageSelect() {
+    Object.entries(LANGUAGES).forEach(([code, name]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = name;
+        domElements.languageSelect.appendChild(option);
+    });
+    domElements.languageSelect.value = getLanguage();
+
+    document.documentElement.lang = getLanguage();
+    applyTranslations(document);
+}
+
+// Switch language and redraw every generated text
+function changeLanguage(language) {
+    localStorage.setItem('language', setLanguage(language));
+    document.documentElement.lang = getLanguage();
+    applyTranslations(document);
+
+    if (state.lastUpdated) {
+        domElements.lastUpdated.textContent = getLastUpdatedText();
+    }
+    updateAlertRulesList();
+    updateAlertLog();
+    if (state.historyServer) {
+        updateServerStandings(state.historyServer);
+    }
+
+    if (state.currentPlanet.isActive) {
+        updateUI();
+    } else {
+        updatePlanetContent();
+    }
+}
+
+// Save auto-refresh settings and restart the timer
+function saveAutoRefresh() {
+    localStorage.setItem('autoRefresh', JSON.stringify(state.autoRefresh));
+    scheduleAutoRefresh();
+}
+
+// Reload the data in the background at the configured interval
+function scheduleAutoRefresh() {
+    clearInterval(state.autoRefreshTimer);
+    state.autoRefreshTimer = null;
+    if (!state.autoRefresh.enabled) return;
+
+    // Never reload faster than the shortest interval offered
+    const { minutes } = state.autoRefresh;
+    const interval = Number.isFinite(minutes) && minutes >= AUTO_REFRESH_MINUTES[0] ? minutes : DEFAULT_AUTO_REFRESH_MINUTES;
+    state.autoRefreshTimer = setInterval(() => {
+        if (!state.isLoading && state.currentPlanet.isActive) {
+            loadCosmicData(true);
+        }
+    }, interval * 60000);
+}
+
+// Populate Alerts Panel from the saved settings
+function setupAlertsPanel() {
+    Object.keys(ALERT_RULE_TYPES).forEach(type => {
+        domElements.alertRuleType.appendChild(createTranslatedOption(type, `alerts.type.${type}`));
+    });
+
+    domElements.autoRefreshToggle.checked = state.autoRefresh.enabled;
+    domElements.autoRefreshInterval.value = String(state.autoRefresh.minutes);
+
+    updateAlertRuleFields();
+    updateAlertRulesList();
+    updateAlertLog();
+    updateNotificationPermissionButton();
+}
+
+// Show only the inputs needed by the selected rule type
+function updateAlertRuleFields() {
+    const fields = ALERT_RULE_TYPES[domElements.alertRuleType.value].fields;
+    domElements.alertRuleServer.classList.toggle('hidden', !fields.includes('server'));
+    domElements.alertRuleTarget.classList.toggle('hidden', !fields.includes('target'));
+    domElements.alertRuleDc.classList.toggle('hidden', !fields.includes('dataCenter'));
+}
+
+// Suggest the scraped servers and data centers in the rule form
+function updateAlertRuleOptions() {
+    domElements.alertServerList.innerHTML = '';
+    state.rawData.map(server => server.serverName).sort().forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        domElements.alertServerList.appendChild(option);
+    });
+
+    const selected = domElements.alertRuleDc.value;
+    domElements.alertRuleDc.innerHTML = '';
+    new Set(state.rawData.map(server => server.dataCenter)).forEach(dc => {
+        const option = document.createElement('option');
+        option.value = dc;
+        option.textContent = dc;
+        domElements.alertRuleDc.appendChild(option);
+    });
+    if (selected) {
+        domElements.alertRuleDc.value = selected;
+    }
+}
+
+// Add an alert rule from the form
+function addAlertRule(e) {
+    e.preventDefault();
+
+    const type = domElements.alertRuleType.value;
+    const fields = ALERT_RULE_TYPES[type].fields;
+    const rule = { type };
+    if (fields.includes('server')) rule.server = domElements.alertRuleServer.value.trim();
+    if (fields.includes('target')) rule.target = domElements.alertRuleTarget.value.trim();
+    if (fields.includes('dataCenter')) rule.dataCenter = domElements.alertRuleDc.value;
+
+    if (fields.some(field => !rule[field]) || (rule.target && rule.target === rule.server)) return;
+
+    state.alertRules.push(rule);
+    localStorage.setItem('alertRules', JSON.stringify(state.alertRules));
+    domElements.alertRuleServer.value = '';
+    domElements.alertRuleTarget.value = '';
+
+    updateAlertRulesList();
+    updateNotificationPermissionButton();
+}
+
+// Remove an alert rule
+function removeAlertRule(index) {
+    state.alertRules.splice(index, 1);
+    localStorage.setItem('alertRules', JSON.stringify(state.alertRules));
+    updateAlertRulesList();
+}
+
+// Update Alert Rules List
+function updateAlertRulesList() {
+    domElements.alertRulesList.innerHTML = '';
+
+    if (state.alertRules.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'alerts-empty';
+        empty.textContent = t('alerts.noRules');
+        domElements.alertRulesList.appendChild(empty);
+        return;
+    }
+
+    state.alertRules.forEach((rule, index) => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = describeAlertRule(rule);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'favorite-btn';
+        removeBtn.title = t('alerts.removeRule');
+        removeBtn.setAttribute('aria-label', removeBtn.title);
+        setHTML(removeBtn, html`<span class="material-icons" aria-hidden="true">close</span>`);
+        removeBtn.addEventListener('click', () => removeAlertRule(index));
+
+        item.append(label, removeBtn);
+        domElements.alertRulesList.appendChild(item);
+    });
+}
+
+// Offer browser notifications until the user has answered
+function updateNotificationPermissionButton() {
+    const canAsk = 'Notification' in window && Notification.permission === 'default';
+    domElements.notificationsPermissionBtn.classList.toggle('hidden', !canAsk || state.alertRules.length === 0);
+}
+
+// Ask for permission to show browser notifications
+async function requestNotificationPermission() {
+    await Notification.requestPermission();
+    updateNotificationPermissionButton();
+}
+
+// Compare the new ranking with the previous one and fire matching alerts
+function checkAlerts(previousData, currentData) {
+    if (state.alertRules.length === 0 || previousData.length === 0) return;
+
+    // Alerts are a side feature: a failure here must never turn a successful load into an error
+    try {
+        const alerts = evaluateAlertRules(state.alertRules, rankSnapshotData(previousData), rankSnapshotData(currentData));
+        alerts.forEach(fireAlert);
+    } catch (error) {
+        console.warn('Unable to check alerts:', error);
+    }
+}
+
+// Fire an alert as a browser notification, or an in-page toast as fallback
+function fireAlert(alert) {
+    state.alertLog.unshift({ ...alert, time: new Date() });
+    state.alertLog.length = Math.min(state.alertLog.length, ALERT_LOG_SIZE);
+    updateAlertLog();
+
+    if ('Notification' in window && Notification.permission === 'granted') {
+        showNotification(alert).catch(error => {
+            console.warn('Unable to show notification:', error);
+            showToast(alert);
+        });
+    } else {
+        showToast(alert);
+    }
+}
+
+// Show a system notification through the service worker
+// (the Notification constructor throws on Android and in the installed app)
+async function showNotification(alert) {
+    const options = { body: alert.message, icon: 'favicon.ico' };
+    // getRegistration() settles even without a service worker, unlike serviceWorker.ready
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (registration) {
+        await registration.showNotification(alert.title, options);
+    } else {
+        new Notification(alert.title, options);
+    }
+}
+
+// Show an in-page toast
+function showToast(alert) {
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+
+    const title = document.createElement('div');
+    title.className = 'toast-title';
+    title.textContent = alert.title;
+
+    const message = document.createElement('div');
+    message.className = 'toast-message';
+    message.textContent = alert.message;
+
+    toast.append(title, message);
+    domElements.toastContainer.appendChild(toast);
+    setTimeout(() => toast.remove(), TOAST_DURATION_MS);
+}
+
+// Update Recent Alerts Log
+function updateAlertLog() {
+    domElements.alertLog.innerHTML = '';
+
+    if (state.alertLog.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'alerts-empty';
+        empty.textContent = t('alerts.noAlerts');
+        domElements.alertLog.appendChild(empty);
+        return;
+    }
+
+    state.alertLog.forEach(entry => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = entry.title;
+
+        const time = document.createElement('span');
+        time.className = 'alert-time';
+        time.textContent = entry.time.toLocaleTimeString(getLanguage(), { hour: '2-digit', minute: '2-digit' });
+
+        item.append(label, time);
+        domElements.alertLog.appendChild(item);
+    });
+}
+
+// View toggle buttons by view mode, in the order of VIEW_MODES
+function getViewModeButtons() {
+    return {
+        table: domElements.tableViewBtn,
+        grid: domElements.gridViewBtn,
+        forecast: domElements.forecastViewBtn,
+        datacenters: domElements.datacenterViewBtn,
+        overall: domElements.overallViewBtn,
+        activity: domElements.activityViewBtn
+    };
+}
+
+// Keyboard shortcuts: R refreshes, 1 to 6 pick a view, [ and ] switch the data center
+function handleShortcut(e) {
+    if (!state.shortcutsEnabled || state.embed || e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+    // Keys typed in a field are not shortcuts
+    if (e.target.closest && e.target.closest('input, select, textarea, [contenteditable]')) return;
+
+    const viewMode = VIEW_MODES[Number(e.key) - 1];
+    if (e.key === 'r' || e.key === 'R') {
+        domElements.refreshBtn.click();
+    } else if (viewMode) {
+        getViewModeButtons()[viewMode].click();
+        announce(t('a11y.view', { view: t(`view.${viewMode}`) }));
+    } else if (e.key === '[' || e.key === ']') {
+        cycleDataCenter(e.key === ']' ? 1 : -1);
+    } else {
+        return;
+    }
+    e.preventDefault();
+}
+
+// Single-key shortcuts can be turned off (WCAG 2.1.4); only advertise them to assistive tech while on
+function updateShortcutsSetting() {
+    domElements.shortcutsToggle.checked = state.shortcutsEnabled;
+    document.querySelectorAll('[aria-keyshortcuts], [data-keyshortcuts]').forEach(element => {
+        element.dataset.keyshortcuts = element.dataset.keyshortcuts || element.getAttribute('aria-keyshortcuts');
+        if (state.shortcutsEnabled) {
+            element.setAttribute('aria-keyshortcuts', element.dataset.keyshortcuts);
+        } else {
+            element.removeAttribute('aria-keyshortcuts');
+        }
+    });
+}
+
+// Select the previous or next data center, wrapping around
+function cycleDataCenter(step) {
+    const select = domElements.datacenterSelect;
+    const count = select.options.length;
+    if (count === 0) return;
+
+    select.selectedIndex = (select.selectedIndex + step + count) % count;
+    select.dispatchEvent(new Event('change'));
+    announce(t('a11y.dataCenter', { dataCenter: select.options[select.selectedIndex].textContent }));
+}
+
+// Read a message out to screen readers through the live region
+function announce(message) {
+    domElements.announcer.textContent = message;
+}
+
 // Update View Mode
 function updateViewMode() {
     // Update buttons
-    domElements.tableViewBtn.classList.toggle('active', state.viewMode === 'table');
-    domElements.gridViewBtn.classList.toggle('active', state.viewMode === 'grid');
+    Object.entries(getViewModeButtons()).forEach(([viewMode, button]) => {
+        button.classList.toggle('active', state.viewMode === viewMode);
+        button.setAttribute('aria-pressed', String(state.viewMode === viewMode));
+    });
 
     // Update view containers
     domElements.tableView.classList.toggle('hidden', state.viewMode !== 'table');
     domElements.gridView.classList.toggle('hidden', state.viewMode !== 'grid');
+    domElements.forecastView.classList.toggle('hidden', state.viewMode !== 'forecast');
+    domElements.datacenterView.classList.toggle('hidden', state.viewMode !== 'datacenters');
+    domElements.overallView.classList.toggle('hidden', state.viewMode !== 'overall');
+    domElements.activityView.classList.toggle('hidden', state.viewMode !== 'activity');
+
+    // Server filters do not apply to aggregates and events
+    domElements.filterBar.classList.toggle('hidden', ['datacenters', 'overall', 'activity'].includes(state.viewMode));
 }
 
 // Update Planet Content
@@ -185,12 +1075,14 @@ function updatePlanetContent() {
         // Show coming soon for inactive planets
         domElements.loading.classList.add('hidden');
         domElements.error.classList.add('hidden');
+        domElements.formatWarning.classList.add('hidden');
+        domElements.staleBanner.classList.add('hidden');
         domElements.contentContainer.classList.add('hidden');
         domElements.comingSoon.classList.remove('hidden');
 
         // Update coming soon message with planet info
         const messageElement = domElements.comingSoon.querySelector('.coming-soon-message');
-        messageElement.textContent = `Data for ${state.currentPlanet.name} will be available in Patch ${state.currentPlanet.patch}`;
+        messageElement.textContent = t('comingSoon.planet', { planet: state.currentPlanet.name, patch: state.currentPlanet.patch });
     } else {
         // Load data for active planet
         domElements.comingSoon.classList.add('hidden');
@@ -198,50 +1090,298 @@ function updatePlanetContent() {
     }
 }
 
-// Format time difference
+// Format time difference in the current language
 function formatTimeDiff(date) {
-    const now = new Date();
-    const diffMs = now - date;
-    const diffMins = Math.round(diffMs / 60000);
+    return formatRelativeTime(date);
+}
 
-    if (diffMins < 1) return 'Just now';
-    if (diffMins === 1) return '1 minute ago';
-    if (diffMins < 60) return `${diffMins} minutes ago`;
-    if (diffMins < 120) return '1 hour ago';
-    return `${Math.floor(diffMins / 60)} hours ago`;
+// Get user-configured proxies, falling back to the defaults
+function getConfiguredProxies() {
+    try {
+        const proxies = JSON.parse(localStorage.getItem('cosmicProxies'));
+        if (Array.isArray(proxies) && proxies.length > 0) return proxies;
+    } catch (error) {
+        console.warn('Ignoring invalid cosmicProxies setting:', error);
+    }
+    return DATA_SOURCE_CONFIG.proxies;
+}
+
+// Get the user-configured cosmic-server address ("" for the same origin), if any
+function getConfiguredApi() {
+    const api = localStorage.getItem('cosmicApi');
+    return api !== null ? api : DATA_SOURCE_CONFIG.api;
+}
+
+// Build the ordered data source fallbacks for a planet
+function createDataSources(planet) {
+    const api = getConfiguredApi();
+    return [
+        api !== null ? new ApiSource(api, planet.id) : null,
+        ...getConfiguredProxies().map(proxy => new ProxySource(proxy)),
+        DATA_SOURCE_CONFIG.direct ? new DirectSource() : null,
+        planet.fixture ? new FixtureSource(planet.fixture) : null,
+        new CacheSource()
+    ].filter(Boolean);
 }
 
 // Load Cosmic Data
-async function loadCosmicData(forceRefresh = false) {
+async function loadCosmicData(forceRefresh = false, sources = null) {
     try {
         state.isLoading = true;
         state.isError = false;
+        state.error = null;
         updateLoadingState();
 
         // Create scraper instance
-        const scraper = new FFXIVCosmicScraper(state.currentPlanet.url);
+        const planetUrl = getPlanetUrl(state.currentPlanet, state.lodestoneHost);
+        const scraper = new FFXIVCosmicScraper(planetUrl, {
+            selectors: getSelectorProfile(state.currentPlanet),
+            sources: new DataSourceChain(sources || createDataSources(state.currentPlanet), DATA_SOURCE_CONFIG)
+        });
 
         // Fetch data
         await scraper.scrape();
 
-        // Get data centers and rankings
-        state.dataCenters = scraper.getDataCenters();
-        state.data = scraper.createRanking();
-        state.lastUpdated = new Date();
+        state.rawData = scraper.data;
+        state.lastUpdated = scraper.fetchedAt;
+        state.dataSource = scraper.source;
+        state.diagnostics = scraper.diagnostics;
+        state.staleSince = scraper.source instanceof CacheSource ? scraper.fetchedAt : null;
+
+        if (scraper.diagnostics.issues.length > 0) {
+            console.warn('Scraper diagnostics:', scraper.diagnostics);
+        }
+
+        // Keep the last stored ranking for comparison, then store the new snapshot
+        // (a page that failed validation is kept out of the history)
+        state.previousData = await getPreviousSnapshotData();
+        if (scraper.source.live && scraper.diagnostics.ok) {
+            await saveSnapshot(scraper.data);
+            checkAlerts(state.previousData, scraper.data);
+        }
+        state.forecasts = await getForecasts(scraper.data);
+        state.activity = await getActivityFeed();
+        state.planetData = await getAllPlanetData();
 
-        // Update data centers dropdown
+        // Get data centers and rankings
+        updateRanking();
         updateDataCentersDropdown();
+        updateStatusOptions();
+        updateAlertRuleOptions();
+
+        // The data center or status from the URL may not exist anymore
+        updateUrlState(true);
 
         state.isLoading = false;
         updateUI();
+        announce(t('a11y.loaded', { planet: state.currentPlanet.name, count: state.data.length }));
+
+        // Refresh open history panel with the new snapshot
+        if (state.historyServer) {
+            showServerHistory(state.historyServer);
+        }
     } catch (error) {
         console.error('Error loading cosmic data:', error);
         state.isLoading = false;
-        state.isError = true;
-        updateLoadingState();
+        state.error = error;
+
+        // Keep showing the last good data of the planet when there is some
+        state.isError = !(await loadLastGoodData());
+        updateUI();
+        announce(state.isError ? t('a11y.loadFailed') : t('a11y.loadedStale', { planet: state.currentPlanet.name }));
+    }
+}
+
+// Fall back to the last good dataset stored for the planet
+async function loadLastGoodData() {
+    let snapshot = null;
+    try {
+        snapshot = await state.snapshotStore.getLatestSnapshot(state.activePlanet);
+    } catch (error) {
+        console.warn('Unable to read last good data:', error);
+    }
+    if (!snapshot || snapshot.data.length === 0) return false;
+
+    state.rawData = snapshot.data;
+    state.previousData = [];
+    state.lastUpdated = new Date(snapshot.timestamp);
+    state.staleSince = state.lastUpdated;
+    state.dataSource = { name: t('source.lastGood'), live: false };
+    state.diagnostics = null;
+    state.forecasts = await getForecasts(snapshot.data);
+    state.activity = await getActivityFeed();
+    state.planetData = await getAllPlanetData();
+
+    updateRanking();
+    updateDataCentersDropdown();
+    updateStatusOptions();
+    updateAlertRuleOptions();
+    return true;
+}
+
+// Register the service worker caching the app shell
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('Unable to register service worker:', error);
+    });
+}
+
+// Save a timestamped snapshot of the scraped data
+async function saveSnapshot(data) {
+    if (data.length === 0) return;
+
+    try {
+        await state.snapshotStore.addSnapshot(state.activePlanet, data, state.lastUpdated);
+    } catch (error) {
+        // History is optional (e.g. IndexedDB disabled in private browsing)
+        console.warn('Unable to store snapshot:', error);
+    }
+}
+
+// Get the data of the last stored snapshot
+async function getPreviousSnapshotData() {
+    try {
+        const previousSnapshot = await state.snapshotStore.getLatestSnapshot(state.activePlanet);
+        return previousSnapshot ? previousSnapshot.data : [];
+    } catch (error) {
+        console.warn('Unable to read previous snapshot:', error);
+        return [];
     }
 }
 
+// Compute completion forecasts from recent snapshots
+async function getForecasts(data) {
+    let snapshots = [];
+    try {
+        snapshots = await state.snapshotStore.getSnapshots(state.activePlanet, Date.now() - FORECAST_WINDOW_MS);
+    } catch (error) {
+        console.warn('Unable to read snapshots for forecast:', error);
+    }
+
+    const histories = buildServerHistories(snapshots);
+    const forecasts = new Map();
+    data.forEach(server => {
+        forecasts.set(server.serverName, forecastServer(server, histories.get(server.serverName) || [], {
+            maxGrade: state.currentPlanet.maxGrade
+        }));
+    });
+    return forecasts;
+}
+
+// Rebuild the activity feed from the snapshots stored for the planet
+async function getActivityFeed() {
+    try {
+        return buildActivityFeed(await state.snapshotStore.getSnapshots(state.activePlanet, Date.now() - ACTIVITY_WINDOW_MS));
+    } catch (error) {
+        console.warn('Unable to read snapshots for activity:', error);
+        return [];
+    }
+}
+
+// Get the latest data of every active planet (the current planet uses the loaded data)
+async function getAllPlanetData() {
+    const planetData = [];
+
+    for (const planet of COSMIC_PLANETS.filter(p => p.isActive)) {
+        if (planet.id === state.activePlanet) {
+            planetData.push({ planet, data: state.rawData });
+            continue;
+        }
+
+        try {
+            const snapshot = await state.snapshotStore.getLatestSnapshot(planet.id);
+            if (snapshot) planetData.push({ planet, data: snapshot.data });
+        } catch (error) {
+            console.warn(`Unable to read latest snapshot of ${planet.id}:`, error);
+        }
+    }
+
+    return planetData;
+}
+
+// Rank servers within the selected region (or globally) with movement and forecasts
+function updateRanking() {
+    const region = state.region === 'all' ? null : state.region;
+
+    const scraper = new FFXIVCosmicScraper();
+    scraper.data = state.rawData;
+    state.dataCenters = scraper.getDataCenters(region);
+
+    // Recent growth comes from the forecasts, in grades per hour
+    const context = {
+        growthRates: new Map(Array.from(state.forecasts, ([name, forecast]) => [name, forecast.ratePerHour]))
+    };
+    state.data = rankSnapshotData(state.rawData, region, state.rankingStrategy, context);
+
+    // Compare with the previous ranking in the same scope and strategy
+    const previousRanking = state.previousData.length > 0
+        ? rankSnapshotData(state.previousData, region, state.rankingStrategy, context)
+        : [];
+    const deltas = computeRankingDeltas(state.data, previousRanking);
+
+    state.data.forEach(server => {
+        server.movement = deltas.get(server.serverName) || null;
+        server.forecast = state.forecasts.get(server.serverName) || null;
+    });
+}
+
+// Show History Panel for a server
+async function showServerHistory(serverName) {
+    state.historyServer = serverName;
+    domElements.historyServer.textContent = serverName;
+    domElements.historyChart.innerHTML = '';
+    domElements.historyPanel.classList.remove('hidden');
+    updateServerStandings(serverName);
+
+    let history = [];
+    try {
+        history = await state.snapshotStore.getServerHistory(state.activePlanet, serverName, Date.now() - HISTORY_WINDOW_MS);
+    } catch (error) {
+        console.warn('Unable to read history:', error);
+    }
+
+    // Panel may have been closed or switched while loading
+    if (state.historyServer !== serverName) return;
+
+    domElements.historyEmpty.classList.toggle('hidden', history.length >= 2);
+    if (history.length > 0) {
+        domElements.historyChart.appendChild(createHistoryChart(history));
+    }
+
+    domElements.historyPanel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+// Show the server's standing on every planet
+function updateServerStandings(serverName) {
+    domElements.historyPlanets.innerHTML = '';
+
+    getServerStandings(serverName, state.planetData).forEach(({ planet, serverCount, server }) => {
+        const item = document.createElement('li');
+        item.className = 'history-planet';
+        setHTML(item, server
+            ? html`
+      <span class="history-planet-name">${planet.name}</span>
+      <span class="current-rank">#${server.rank} / ${serverCount}</span>
+      <span class="grade">${t('server.grade', { grade: server.grade })}</span>
+      <span class="progress-value">${getProgressHTML(server)}</span>
+    `
+            : html`
+      <span class="history-planet-name">${planet.name}</span>
+      <span class="current-rank">${t('history.notRanked')}</span>
+    `);
+        domElements.historyPlanets.appendChild(item);
+    });
+}
+
+// Hide History Panel
+function hideServerHistory() {
+    state.historyServer = null;
+    domElements.historyPanel.classList.add('hidden');
+    domElements.historyChart.innerHTML = '';
+}
+
 // Update Data Centers Dropdown
 function updateDataCentersDropdown() {
     // Clear all options except 'all'
@@ -257,44 +1397,150 @@ function updateDataCentersDropdown() {
         option.textContent = dc;
         selectElement.appendChild(option);
     });
+
+    // Keep the selection if the data center is still listed
+    if (!state.dataCenters.includes(state.dataCenter)) {
+        state.dataCenter = 'all';
+    }
+    selectElement.value = state.dataCenter;
+}
+
+// Update Status Dropdown with the status texts found on the page
+function updateStatusOptions() {
+    const selectElement = domElements.statusSelect;
+    while (selectElement.options.length > 1) {
+        selectElement.remove(1);
+    }
+
+    const statuses = Array.from(new Set(state.rawData.map(server => server.statusText))).sort();
+    statuses.forEach(status => {
+        const option = document.createElement('option');
+        option.value = status;
+        option.textContent = status;
+        selectElement.appendChild(option);
+    });
+
+    // Keep the selection if the status is still listed
+    if (!statuses.includes(state.status)) {
+        state.status = 'all';
+    }
+    selectElement.value = state.status;
 }
 
 // Update Loading State
 function updateLoadingState() {
-    // Handle loading state
-    domElements.loading.classList.toggle('hidden', !state.isLoading);
+    // Handle loading state (an embedded card stays in place while it refreshes)
+    domElements.loading.classList.toggle('hidden', !state.isLoading || (state.embed !== null && state.data.length > 0));
 
     // Handle error state
     domElements.error.classList.toggle('hidden', !state.isError);
+    updateErrorDetails();
 
-    // Handle content
-    domElements.contentContainer.classList.toggle('hidden', state.isLoading || state.isError);
+    // Handle source format warning
+    const formatChanged = !state.isLoading && !state.isError && state.diagnostics && !state.diagnostics.ok;
+    domElements.formatWarning.classList.toggle('hidden', !formatChanged);
+    if (formatChanged) {
+        updateFormatWarningDetails();
+    }
+
+    // Handle stale data banner
+    const isStale = !state.isLoading && !state.isError && state.staleSince !== null;
+    domElements.staleBanner.classList.toggle('hidden', !isStale);
+    if (isStale) {
+        domElements.staleMessage.textContent = getStaleText();
+    }
+
+    // Handle content (nothing to show when the format changed and no server was parsed)
+    domElements.contentContainer.classList.toggle('hidden',
+        state.isLoading || state.isError || (formatChanged && state.rawData.length === 0));
+    domElements.contentContainer.setAttribute('aria-busy', String(state.isLoading));
 
     // Update refresh button
     domElements.refreshBtn.disabled = state.isLoading;
     domElements.refreshBtn.querySelector('span:not(.material-icons)').textContent =
-        state.isLoading ? 'Refreshing...' : 'Refresh';
+        t(state.isLoading ? 'header.refreshing' : 'header.refresh');
     domElements.refreshBtn.querySelector('.material-icons').textContent =
         state.isLoading ? 'hourglass_empty' : 'refresh';
 
     // Update last updated
     if (state.lastUpdated) {
-        domElements.lastUpdated.textContent = `Last updated: ${formatTimeDiff(state.lastUpdated)}`;
+        domElements.lastUpdated.textContent = getLastUpdatedText();
+    }
+}
+
+// Get last updated text, naming the source when it is not live data
+function getLastUpdatedText() {
+    const source = state.dataSource && !state.dataSource.live ? ` (${state.dataSource.name})` : '';
+    return `${t('header.lastUpdated', { time: formatTimeDiff(state.lastUpdated) })}${source}`;
+}
+
+// Get stale data banner text
+function getStaleText() {
+    const since = state.staleSince;
+    const pad = value => String(value).padStart(2, '0');
+    const time = `${pad(since.getHours())}:${pad(since.getMinutes())}`;
+    return since.toDateString() === new Date().toDateString()
+        ? t('stale.message', { time })
+        : t('stale.messageOn', { time, date: since.toLocaleDateString(getLanguage()) });
+}
+
+// Update Format Warning Details
+function updateFormatWarningDetails() {
+    const list = domElements.formatWarningDetails;
+    list.innerHTML = '';
+
+    state.diagnostics.issues
+        .filter(issue => issue.severity === 'error')
+        .forEach(issue => {
+            const item = document.createElement('li');
+            const items = issue.items.length > 0 ? `: ${issue.items.slice(0, 5).join(', ')}` : '';
+            const more = issue.items.length > 5 ? ` (${t('formatWarning.more', { count: issue.items.length - 5 })})` : '';
+            item.textContent = `${issue.message}${items}${more}`;
+            list.appendChild(item);
+        });
+}
+
+// Update Error Details
+function updateErrorDetails() {
+    const list = domElements.errorDetails;
+    list.innerHTML = '';
+
+    if (!state.isError || !state.error) {
+        list.classList.add('hidden');
+        return;
     }
+
+    const failures = state.error instanceof DataSourceError
+        ? state.error.failures
+        : [{ source: 'Parser', reason: state.error.message, attempts: 1 }];
+
+    failures.forEach(failure => {
+        const item = document.createElement('li');
+        const attempts = failure.attempts > 1 ? ` (${t('error.attempts', { count: failure.attempts })})` : '';
+        item.textContent = `${failure.source}: ${failure.reason}${attempts}`;
+        list.appendChild(item);
+    });
+
+    list.classList.remove('hidden');
 }
 
 // Update UI with current state
 function updateUI() {
     updateLoadingState();
 
-    // Filter data by selected data center
-    const filteredData = state.data.filter(
-        server => state.dataCenter === 'all' || server.dataCenter === state.dataCenter
-    );
+    // Filter data by data center, search, status and grade range, then sort
+    const filteredData = sortRanking(filterRanking(state.data, state), state.sortKey, state.sortDirection);
+    state.filteredData = filteredData;
+    updateSortIndicators();
+    updateStrategyLabel();
 
     // Update data count
     domElements.dataCount.textContent = filteredData.length;
     domElements.dataSummary.classList.toggle('hidden', filteredData.length === 0);
+    domElements.noResults.classList.toggle('hidden', filteredData.length > 0 || state.data.length === 0);
+
+    // Update pinned favorites
+    updateFavoritesPanel();
 
     // Update table view
     updateTableView(filteredData);
@@ -302,118 +1548,546 @@ function updateUI() {
     // Update grid view
     updateGridView(filteredData);
 
+    // Update forecast view
+    updateForecastView(filteredData);
+
+    // Update data center view (aggregates use every ranked server)
+    updateDataCenterView();
+
+    // Update cumulative ranking across planets
+    updateOverallView();
+
+    // Update activity feed
+    updateActivityView();
+
+    // Update embedded card
+    if (state.embed) {
+        updateEmbedView();
+    }
+
     // Update view mode
     updateViewMode();
 }
 
+// Export the current filtered ranking
+function exportRanking(format) {
+    const date = state.lastUpdated || new Date();
+    const fileName = getExportFileName(state.activePlanet, state.dataCenter, date, format);
+    const scope = state.dataCenter === 'all'
+        ? t(state.region === 'all' ? 'controls.allDataCenters' : `region.${state.region}`)
+        : state.dataCenter;
+
+    if (format === 'csv') {
+        downloadFile(fileName, rankingToCSV(state.filteredData), 'text/csv');
+    } else if (format === 'json') {
+        const meta = {
+            planet: state.activePlanet,
+            dataCenter: state.dataCenter,
+            region: state.region,
+            timestamp: date.toISOString()
+        };
+        downloadFile(fileName, rankingToJSON(state.filteredData, meta), 'application/json');
+    } else if (format === 'png') {
+        const canvas = drawLeaderboardCard(state.filteredData, {
+            title: state.currentPlanet.name,
+            subtitle: t('export.imageSubtitle', { scope }),
+            footer: t('export.imageFooter', { date: date.toLocaleString(getLanguage()) }),
+            darkMode: state.darkMode
+        });
+        canvas.toBlob(blob => downloadFile(fileName, blob), 'image/png');
+    }
+}
+
+// Get favorite star button HTML
+function getFavoriteButtonHTML(server) {
+    const isFavorite = state.favorites.has(server.serverName);
+    const label = t(isFavorite ? 'favorites.remove' : 'favorites.add');
+    return html`
+      <button class="favorite-btn${isFavorite ? ' active' : ''}" title="${label}" aria-label="${label}" aria-pressed="${String(isFavorite)}">
+        <span class="material-icons" aria-hidden="true">${isFavorite ? 'star' : 'star_border'}</span>
+      </button>
+    `;
+}
+
+// Bind a server element: the star toggles the favorite, anywhere else opens the history
+function bindServerActions(element, serverName) {
+    element.addEventListener('click', (e) => {
+        if (e.target.closest('.favorite-btn')) {
+            toggleFavorite(serverName);
+        } else {
+            showServerHistory(serverName);
+        }
+    });
+
+    // Focusable, Enter or Space opens the history like a click
+    element.tabIndex = 0;
+    element.addEventListener('keydown', (e) => {
+        if (e.target === element && (e.key === 'Enter' || e.key === ' ')) {
+            e.preventDefault();
+            showServerHistory(serverName);
+        }
+    });
+}
+
+// Highlight favorites and label the history action on a rendered server element
+function updateServerElement(element, server) {
+    element.classList.toggle('favorite', state.favorites.has(server.serverName));
+    element.title = t('server.showHistory');
+}
+
+// Update My Worlds Panel
+function updateFavoritesPanel() {
+    const favorites = state.data.filter(server => state.favorites.has(server.serverName));
+    domElements.favoritesPanel.classList.toggle('hidden', favorites.length === 0);
+
+    renderKeyedList(domElements.favoritesList, favorites, {
+        key: server => server.serverName,
+        create: server => {
+            const item = document.createElement('div');
+            item.className = 'favorite-item';
+            bindServerActions(item, server.serverName);
+            return item;
+        },
+        render: server => {
+            const gap = computeGapToNext(state.data, server);
+            const gapText = gap
+                ? t('favorites.behind', { segments: gap.segments, server: gap.target.serverName, rank: gap.target.rank })
+                : t('favorites.leading');
+
+            return html`
+      <div class="favorite-header">
+        <div class="rank-badge">${server.rank}</div>
+        <div>
+          <div class="server-name">${server.serverName}</div>
+          <div class="data-center">${server.dataCenter}</div>
+        </div>
+        ${getFavoriteButtonHTML(server)}
+      </div>
+      <div class="favorite-stats">
+        <span class="grade">${t('server.grade', { grade: server.grade })}</span>
+        <span class="progress-value">${getProgressHTML(server)}</span>
+      </div>
+      ${getProgressBarHTML(server)}
+      <div class="favorite-gap">${gapText}</div>
+    `;
+        },
+        update: (item) => {
+            item.title = t('server.showHistory');
+        }
+    });
+}
+
 // Get progress bar segments HTML
 function getProgressBarSegments(server) {
     const segments = [];
-    const filledSegments = Math.ceil(server.progressPercentage * 8);
-    const isComplete = server.statusText.toLowerCase().includes('complete') || server.progressPercentage >= 1.0;
+    const gauge = getGaugeModel(server);
+    const isComplete = isServerComplete(server) || gauge.state === 'max';
 
-    for (let i = 0; i < 8; i++) {
-        const isFilled = i < filledSegments;
+    for (let i = 0; i < GAUGE_SEGMENTS; i++) {
+        const isFilled = i < gauge.position;
         const classes = [
             'progress-segment',
             isFilled ? 'filled' : '',
-            isFilled && isComplete ? 'complete' : ''
+            isFilled && isComplete ? 'complete' : '',
+            isFilled && gauge.state === 'transition' ? 'transition' : '',
+            // The segment being filled: the server is somewhere inside it
+            !gauge.isFull && i === gauge.level ? 'uncertain' : ''
         ].filter(Boolean).join(' ');
 
-        segments.push(`<div class="${classes}"></div>`);
+        segments.push(html`<div class="${classes}"></div>`);
     }
 
-    return segments.join('');
+    return html`${segments}`;
 }
 
-// Update Table View
-function updateTableView(data) {
-    domElements.tableBody.innerHTML = '';
+// Get the gauge of a server as a progress bar screen readers can read
+function getProgressBarHTML(server, className = 'progress-bar') {
+    const gauge = getGaugeModel(server);
+    const valueText = formatGaugeText(server);
 
-    data.forEach(server => {
-        const row = document.createElement('tr');
-
-        // Rank
-        const rankCell = document.createElement('td');
-        rankCell.innerHTML = `<div class="rank-badge">${server.rank}</div>`;
-
-        // Server
-        const serverCell = document.createElement('td');
-        serverCell.innerHTML = `<div class="server-name">${server.serverName}</div>`;
-
-        // Data Center
-        const dcCell = document.createElement('td');
-        dcCell.innerHTML = `<div class="data-center">${server.dataCenter}</div>`;
-
-        // Grade
-        const gradeCell = document.createElement('td');
-        gradeCell.innerHTML = `<div class="grade">${server.grade}</div>`;
-
-        // Progress
-        const progressCell = document.createElement('td');
-        progressCell.innerHTML = `
-      <div class="progress-info">
-        <div class="progress-header">
-          <span class="progress-status">${server.statusText}</span>
-          <span class="progress-value">${server.progress}</span>
-        </div>
-        <div class="progress-bar">
-          ${getProgressBarSegments(server)}
-        </div>
+    return html`
+      <div class="${className}" role="progressbar" aria-label="${t('a11y.gauge', { server: server.serverName })}"
+        aria-valuemin="0" aria-valuemax="${GAUGE_SEGMENTS}" aria-valuenow="${gauge.position}" aria-valuetext="${valueText}">
+        ${getProgressBarSegments(server)}
       </div>
     `;
+}
 
-        // Add cells to row
-        row.appendChild(rankCell);
-        row.appendChild(serverCell);
-        row.appendChild(dcCell);
-        row.appendChild(gradeCell);
-        row.appendChild(progressCell);
+// Get the progress the gauge actually shows: a range while filling, a badge once full
+function getProgressHTML(server) {
+    const gauge = getGaugeModel(server);
+    const range = html`<span class="progress-range" title="${t('gauge.bandTitle', { level: gauge.level })}">${formatPercentRange(gauge.low, gauge.high)}</span>`;
+    if (!gauge.isFull || isServerComplete(server)) {
+        return range;
+    }
+
+    return html`${range} <span class="gauge-state ${gauge.state}" title="${t(`gauge.${gauge.state}Title`)}">${t(`gauge.${gauge.state}`)}</span>`;
+}
+
+// Get rank movement indicator HTML
+function getRankMovementHTML(server) {
+    const movement = server.movement;
+    if (!movement) return '';
+    if (movement.isNew) return html`<span class="rank-movement new" title="${t('server.newTitle')}">${t('server.new')}</span>`;
+    if (movement.rankChange === 0) return '';
+
+    const direction = movement.rankChange > 0 ? 'up' : 'down';
+    const places = Math.abs(movement.rankChange);
+    return html`
+      <span class="rank-movement ${direction}" title="${t(direction === 'up' ? 'server.movedUp' : 'server.movedDown', { count: places })}">
+        <span class="material-icons" aria-hidden="true">${direction === 'up' ? 'arrow_drop_up' : 'arrow_drop_down'}</span>${places}
+      </span>
+    `;
+}
 
-        // Add row to table
-        domElements.tableBody.appendChild(row);
+// Get gauge segment change HTML
+function getSegmentChangeHTML(server) {
+    const movement = server.movement;
+    if (!movement || movement.segmentChange === 0) return '';
+
+    const sign = movement.segmentChange > 0 ? '+' : '';
+    const direction = movement.segmentChange > 0 ? 'up' : 'down';
+    return html`<span class="segment-change ${direction}" title="${t('server.segmentsTitle')}">${t('server.segments', { count: sign + movement.segmentChange })}</span>`;
+}
+
+// Get region tag HTML
+function getRegionTagHTML(server) {
+    return server.region
+        ? html`<span class="region-tag" title="${server.physicalDataCenter}">${server.region}</span>`
+        : '';
+}
+
+// Get grade up badge HTML
+function getGradeUpBadgeHTML(server) {
+    return server.movement && server.movement.gradeUp ? html`<span class="grade-up-badge">${t('server.gradeUp')}</span>` : '';
+}
+
+// Format a duration until a date
+function formatDuration(date) {
+    const diffMins = Math.max(0, Math.round((date - new Date()) / 60000));
+
+    if (diffMins < 60) return t('duration.minutes', { minutes: diffMins });
+    const hours = Math.floor(diffMins / 60);
+    if (hours < 48) return t('duration.hours', { hours, minutes: diffMins % 60 });
+    return t('duration.days', { days: Math.floor(hours / 24), hours: hours % 24 });
+}
+
+// Get forecast ETA HTML
+function getEtaHTML(forecast, target = 'gauge') {
+    if (!forecast) return html`<span class="eta eta-unknown">-</span>`;
+
+    switch (forecast.status) {
+        case 'complete':
+            return html`<span class="eta eta-complete">${t('eta.complete')}</span>`;
+        case 'stalled':
+            return html`<span class="eta eta-unknown" title="${t('eta.stalledTitle')}">${t('eta.stalled')}</span>`;
+        case 'insufficient':
+            return html`<span class="eta eta-unknown" title="${t('eta.collectingTitle')}">${t('eta.collecting')}</span>`;
+    }
+
+    const date = target === 'max' ? forecast.maxGradeEta : forecast.gaugeEta;
+    if (!date) return html`<span class="eta eta-unknown">-</span>`;
+
+    return html`
+      <span class="eta" title="${t('eta.confidence', { date: date.toLocaleString(getLanguage()), confidence: t(`confidence.${forecast.confidence}`) })}">
+        <span class="confidence-dot ${forecast.confidence}"></span>${t('eta.in', { duration: formatDuration(date) })}
+      </span>
+    `;
+}
+
+// Update Table View, reusing the rows of servers already shown
+function updateTableView(data) {
+    renderKeyedList(domElements.tableBody, data, {
+        key: server => server.serverName,
+        create: server => {
+            const row = document.createElement('tr');
+            row.className = 'server-row';
+            bindServerActions(row, server.serverName);
+            return row;
+        },
+        render: server => html`
+      <td>
+        <div class="rank-cell">
+          <div class="rank-badge">${server.rank}</div>
+          ${getRankMovementHTML(server)}
+          <span class="dc-rank" title="${t('server.dcRankTitle', { dataCenter: server.dataCenter })}">${t('server.dcRank', { rank: server.dataCenterRank })}</span>
+        </div>
+      </td>
+      <td>
+        <div class="server-cell">
+          ${getFavoriteButtonHTML(server)}
+          <div class="server-name">${server.serverName}</div>
+        </div>
+      </td>
+      <td><div class="data-center">${server.dataCenter}${getRegionTagHTML(server)}</div></td>
+      <td><div class="grade">${server.grade}${getGradeUpBadgeHTML(server)}</div></td>
+      <td>
+        <div class="progress-info">
+          <div class="progress-header">
+            <span class="progress-status">${server.statusText}</span>
+            <span class="progress-value">${getProgressHTML(server)} ${getSegmentChangeHTML(server)}</span>
+          </div>
+          ${getProgressBarHTML(server)}
+        </div>
+      </td>
+      <td>
+        <div class="eta-info">
+          <div><span class="eta-label">${t('eta.gauge')}</span> ${getEtaHTML(server.forecast, 'gauge')}</div>
+          <div><span class="eta-label">${t('eta.max')}</span> ${getEtaHTML(server.forecast, 'max')}</div>
+        </div>
+      </td>
+    `,
+        update: updateServerElement
     });
 }
 
-// Update Grid View
+// Update Grid View, reusing the cards of servers already shown
 function updateGridView(data) {
-    domElements.gridView.innerHTML = '';
-
-    data.forEach(server => {
-        const card = document.createElement('div');
-        card.className = 'server-card';
+    renderKeyedList(domElements.gridView, data, {
+        key: server => server.serverName,
+        create: server => {
+            const card = document.createElement('div');
+            card.className = 'server-card';
+            bindServerActions(card, server.serverName);
+            return card;
+        },
+        render: server => getServerCardHTML(server),
+        update: updateServerElement
+    });
+}
 
-        card.innerHTML = `
+// Get server card HTML, with the favorite star unless it is embedded
+function getServerCardHTML(server, interactive = true) {
+    return html`
       <div class="card-header">
         <div>
           <h3 class="card-title">${server.serverName}</h3>
-          <div class="card-datacenter">${server.dataCenter}</div>
+          <div class="card-datacenter">${server.dataCenter}${getRegionTagHTML(server)}</div>
+        </div>
+        <div class="card-rank-group">
+          ${interactive ? getFavoriteButtonHTML(server) : ''}
+          ${getRankMovementHTML(server)}
+          <div class="card-rank">${server.rank}</div>
         </div>
-        <div class="card-rank">${server.rank}</div>
       </div>
       <div class="card-body">
         <div class="card-stats">
           <div>
-            <span class="card-grade-label">Grade:</span>
+            <span class="card-grade-label">${t('server.gradeLabel')}</span>
             <span class="card-grade-value">${server.grade}</span>
+            ${getGradeUpBadgeHTML(server)}
           </div>
-          <div class="card-progress-value">${server.progress}</div>
-        </div>
-        <div class="card-progress-bar">
-          ${getProgressBarSegments(server)}
+          <div class="card-progress-value">${getProgressHTML(server)} ${getSegmentChangeHTML(server)}</div>
         </div>
+        ${getProgressBarHTML(server, 'card-progress-bar')}
         <div class="card-status">${server.statusText}</div>
+        <div class="card-eta">
+          <span class="eta-label">${t('eta.gaugeEta')}</span> ${getEtaHTML(server.forecast, 'gauge')}
+        </div>
       </div>
     `;
+}
+
+// Update Embed View with the card of the embedded server
+function updateEmbedView() {
+    const server = findEmbeddedServer(state.data, state.embed.server);
+    domElements.embedView.classList.toggle('hidden', state.isError || !state.currentPlanet.isActive);
+
+    if (!server) {
+        setHTML(domElements.embedView, html`
+      <p class="embed-empty">${t('embed.notFound', { server: state.embed.server })}</p>
+    `);
+        return;
+    }
 
-        domElements.gridView.appendChild(card);
+    setHTML(domElements.embedView, html`
+      <div class="server-card">${getServerCardHTML(server, false)}</div>
+      <div class="embed-footer">${state.currentPlanet.name} · ${getLastUpdatedText()}</div>
+    `);
+}
+
+// Update Forecast View
+function updateForecastView(data) {
+    renderKeyedList(domElements.forecastBody, createPredictedOrder(data), {
+        key: server => server.serverName,
+        create: server => {
+            const row = document.createElement('tr');
+            row.className = 'server-row';
+            bindServerActions(row, server.serverName);
+            return row;
+        },
+        render: server => {
+            const rate = server.forecast.ratePerHour
+                ? t('server.rate', { rate: formatNumber(server.forecast.ratePerHour * 8, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) })
+                : '-';
+
+            return html`
+      <td><div class="rank-badge">${server.predictedRank}</div></td>
+      <td><div class="current-rank">#${server.rank}</div></td>
+      <td><div class="server-name">${server.serverName}</div></td>
+      <td><div class="data-center">${server.dataCenter}</div></td>
+      <td>${getEtaHTML(server.forecast, 'max')}</td>
+      <td><div class="forecast-rate">${rate}</div></td>
+    `;
+        },
+        update: (row) => {
+            row.title = t('server.showHistory');
+        }
     });
 }
 
+// Update Data Center View
+function updateDataCenterView() {
+    const stats = computeDataCenterStats(state.data, state.dataCenters);
+
+    renderKeyedList(domElements.datacenterBody, stats, {
+        key: item => item.dataCenter,
+        create: () => document.createElement('tr'),
+        render: item => html`
+      <td><div class="rank-badge">${item.rank}</div></td>
+      <td><div class="data-center">${item.dataCenter}${getRegionTagHTML(item)}</div></td>
+      <td>${item.serverCount}</td>
+      <td><div class="grade">${DATA_CENTER_METRICS.averageGrade.format(item.averageGrade)}</div></td>
+      <td>${item.totalSegments}</td>
+      <td><div class="current-rank">#${item.medianRank}</div></td>
+      <td>${item.completedCount}</td>
+      <td><div class="server-name">${item.best.serverName}</div><div class="current-rank">#${item.best.rank}</div></td>
+      <td><div class="server-name">${item.worst.serverName}</div><div class="current-rank">#${item.worst.rank}</div></td>
+    `
+    });
+
+    updateCompareSelects(stats);
+    const selected = state.compareDataCenters;
+
+    domElements.datacenterChart.innerHTML = '';
+    if (stats.length > 0) {
+        domElements.datacenterChart.appendChild(
+            createDataCenterChart(stats, state.dataCenterMetric, { highlight: selected })
+        );
+    }
+
+    updateDataCenterComparison(stats.find(item => item.dataCenter === selected[0]),
+        stats.find(item => item.dataCenter === selected[1]));
+}
+
+// Populate head-to-head selects, defaulting to the two leading data centers
+function updateCompareSelects(stats) {
+    const names = stats.map(item => item.dataCenter);
+
+    [domElements.compareASelect, domElements.compareBSelect].forEach((select, index) => {
+        if (!names.includes(state.compareDataCenters[index])) {
+            state.compareDataCenters[index] = names[index] || null;
+        }
+
+        select.innerHTML = '';
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = state.compareDataCenters[index] || '';
+    });
+}
+
+// Update Head-to-Head Comparison
+function updateDataCenterComparison(a, b) {
+    if (!a || !b || a === b) {
+        setHTML(domElements.compareBody, html`<tr><td class="compare-empty">${t('datacenters.pickTwo')}</td></tr>`);
+        return;
+    }
+
+    setHTML(domElements.compareBody, html`
+      <tr><th></th><th>${a.dataCenter}</th><th>${b.dataCenter}</th></tr>
+      ${compareDataCenters(a, b).map(comparison => html`
+      <tr>
+        <th>${comparison.label}</th>
+        <td class="${comparison.winner === 'a' ? 'compare-winner' : ''}">${comparison.a}</td>
+        <td class="${comparison.winner === 'b' ? 'compare-winner' : ''}">${comparison.b}</td>
+      </tr>
+      `)}
+    `);
+}
+
+// Update All Planets View
+function updateOverallView() {
+    const region = state.region === 'all' ? null : state.region;
+
+    renderKeyedList(domElements.overallBody, createCumulativeRanking(state.planetData, region), {
+        key: server => server.serverName,
+        create: server => {
+            const row = document.createElement('tr');
+            row.className = 'server-row';
+            bindServerActions(row, server.serverName);
+            return row;
+        },
+        render: server => html`
+      <td><div class="rank-badge">${server.rank}</div></td>
+      <td><div class="server-name">${server.serverName}</div></td>
+      <td><div class="data-center">${server.dataCenter}${getRegionTagHTML(server)}</div></td>
+      <td>${server.planetCount}</td>
+      <td>${server.totalSegments}</td>
+      <td>${server.completedCount}</td>
+    `,
+        update: (row) => {
+            row.title = t('server.showHistory');
+        }
+    });
+}
+
+// Get the activity events matching the region, data center and favorites filters
+function getFilteredActivity() {
+    return filterActivityEvents(state.activity, {
+        region: state.region,
+        dataCenter: state.dataCenter,
+        favorites: state.activityFavoritesOnly ? state.favorites : null
+    });
+}
+
+// Update Activity View, newest events first
+function updateActivityView() {
+    const events = getFilteredActivity();
+    domElements.activityEmpty.classList.toggle('hidden', events.length > 0);
+
+    renderKeyedList(domElements.activityList, events, {
+        key: event => `${event.time}-${event.type}-${event.server || event.dataCenter}`,
+        create: () => document.createElement('li'),
+        render: event => html`
+      <span class="activity-type material-icons" aria-hidden="true">${ACTIVITY_ICONS[event.type]}</span>
+      <span class="activity-description">${describeActivityEvent(event)}</span>
+      <time class="alert-time" datetime="${new Date(event.time).toISOString()}">${new Date(event.time).toLocaleString(getLanguage(), { dateStyle: 'short', timeStyle: 'short' })}</time>
+    `,
+        update: (item, event) => {
+            item.classList.toggle('favorite', state.favorites.has(event.server));
+        }
+    });
+}
+
+// Export the filtered activity feed
+function exportActivity(format) {
+    const events = getFilteredActivity();
+    const fileName = getExportFileName(state.activePlanet, state.dataCenter, state.lastUpdated || new Date(), format, 'cosmic-activity');
+
+    if (format === 'csv') {
+        downloadFile(fileName, activityToCSV(events), 'text/csv');
+    } else if (format === 'json') {
+        const meta = {
+            planet: state.activePlanet,
+            dataCenter: state.dataCenter,
+            region: state.region,
+            favoritesOnly: state.activityFavoritesOnly
+        };
+        downloadFile(fileName, activityToJSON(events, meta), 'application/json');
+    }
+}
+
 // Update last updated text periodically
 setInterval(() => {
     if (state.lastUpdated) {
-        domElements.lastUpdated.textContent = `Last updated: ${formatTimeDiff(state.lastUpdated)}`;
+        domElements.lastUpdated.textContent = getLastUpdatedText();
+    }
+    if (state.embed && state.lastUpdated) {
+        updateEmbedView();
     }
 }, 60000); // Update every minute
 
@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+/**
+ * cosmic-digest - Publie un résumé du classement sur des webhooks Discord ou Slack
+ *
+ * Exemples :
+ *   cosmic-digest --dc Light --webhook discord=https://discord.com/api/webhooks/... --at 20:00
+ *   cosmic-digest --data-dir ./data --webhook slack=https://hooks.slack.com/services/... --every 60
+ *   cosmic-digest --input report.html --webhook discord=https://example.com/hook --dry-run
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+    COSMIC_PLANETS,
+    LODESTONE_HOSTS,
+    DataSourceChain,
+    DirectSource,
+    UploadSource,
+    createNodeScraper,
+    getPlanetUrl,
+    getSelectorProfile,
+    rankSnapshotData
+} = require('..');
+const { FileSnapshotStore } = require('../file-snapshot-store');
+const { DIGEST_DEFAULTS, DIGEST_FORMATTERS, buildDigest, digestToMarkdown } = require('../digest');
+const { PUBLISHER_DEFAULTS, DigestPublisher, redactWebhookUrl } = require('../webhook-publisher');
+
+// Écart visé entre le snapshot publié et celui des mouvements, avec --data-dir
+const MOVERS_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const USAGE = `Usage: cosmic-digest [options]
+
+Options:
+  --planet <id>            Planet id (default: ${COSMIC_PLANETS[0].id})
+  --dc <name>              Only include servers of this data center
+  --top <n>                Servers in the top list (default: ${DIGEST_DEFAULTS.top})
+  --movers <n>             Biggest movers listed (default: ${DIGEST_DEFAULTS.movers})
+  --webhook <format=url>   Post to a webhook, repeatable; format: ${Object.keys(DIGEST_FORMATTERS).join(', ')}
+  --dry-run                Print the payloads instead of posting them
+  --input <file>           Read the report HTML from a file
+  --data-dir <dir>         Read the snapshots stored by cosmic-server (movers over the last 24 hours)
+  --lodestone <id>         Lodestone site, also of the --data-dir snapshots: ${Object.keys(LODESTONE_HOSTS).join(', ')} (default: eu)
+  --at <HH:MM>             Post every day at this local time
+  --every <minutes>        Post every N minutes
+  --retries <n>            Retries of a failed post (default: ${PUBLISHER_DEFAULTS.retries})
+  -h, --help               Show this help
+
+Without --webhook, the Markdown digest is printed. Without --at or --every, it is posted once
+and movers are only listed with --data-dir.
+
+Exit codes: 0 success, 1 fetch or post failed, 2 usage error
+`;
+
+/**
+ * Option refusée une fois les données chargées (code de sortie 2)
+ */
+class UsageError extends Error {}
+
+/**
+ * Convertit une option en entier positif ou nul
+ * @param {string} name - Nom de l'option
+ * @param {string} value - Valeur saisie
+ * @returns {number} - Valeur
+ * @throws {Error} - Si la valeur n'est pas un entier positif
+ */
+function toInteger(name, value) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`Invalid --${name}: ${value}`);
+    }
+    return number;
+}
+
+/**
+ * Lit une option --webhook
+ * @param {string} value - "format=url"
+ * @returns {Object} - { format, url }
+ * @throws {Error} - Si le format est inconnu ou l'URL absente
+ */
+function parseWebhook(value) {
+    const separator = value.indexOf('=');
+    const format = value.slice(0, separator);
+    const url = value.slice(separator + 1);
+    if (separator < 0 || !DIGEST_FORMATTERS[format] || !url) {
+        throw new Error(`Invalid --webhook: ${value} (expected format=url)`);
+    }
+    return { format, url };
+}
+
+/**
+ * Classement courant et classement de comparaison
+ * Avec un dossier de snapshots : le dernier et celui d'environ 24 heures plus tôt ;
+ * sinon un relevé du Lodestone (ou du fichier), comparé au relevé précédent du planning
+ * @param {Object} args - Options de la ligne de commande
+ * @param {Object} planet - Planète du registre
+ * @param {Array} lastRanking - Classement de la publication précédente (vide la première fois)
+ * @returns {Promise<Object>} - { ranking, previousRanking, timestamp }
+ */
+async function loadRankings(args, planet, lastRanking) {
+    if (args['data-dir']) {
+        // Un nouveau store à chaque publication relit les snapshots ajoutés entre-temps
+        const store = new FileSnapshotStore(path.resolve(args['data-dir']), { lodestoneHost: args.lodestone });
+        const snapshots = await store.getSnapshots(planet.id);
+        if (snapshots.length === 0) {
+            throw new Error(`No snapshot of ${planet.id} from the ${args.lodestone} Lodestone in ${args['data-dir']}`);
+        }
+        const latest = snapshots[snapshots.length - 1];
+        const earlier = snapshots.filter(snapshot => snapshot.timestamp <= latest.timestamp - MOVERS_WINDOW_MS);
+        const previous = earlier.length > 0 ? earlier[earlier.length - 1] : snapshots[0];
+        return {
+            ranking: rankSnapshotData(latest.data),
+            previousRanking: previous === latest ? [] : rankSnapshotData(previous.data),
+            timestamp: new Date(latest.timestamp)
+        };
+    }
+
+    const sources = args.input
+        ? [new UploadSource(path.basename(args.input), fs.readFileSync(args.input, 'utf8'))]
+        : [new DirectSource()];
+    const scraper = createNodeScraper(getPlanetUrl(planet, args.lodestone), {
+        selectors: getSelectorProfile(planet),
+        sources: new DataSourceChain(sources)
+    });
+    await scraper.scrape();
+    if (!scraper.diagnostics.ok) {
+        const errors = scraper.diagnostics.issues.filter(issue => issue.severity === 'error');
+        throw new Error(`Source format changed: ${errors.map(issue => issue.message).join('; ')}`);
+    }
+    return { ranking: scraper.createRanking(), previousRanking: lastRanking, timestamp: scraper.fetchedAt };
+}
+
+async function main(argv) {
+    let args;
+    let webhooks;
+    let options;
+    try {
+        args = parseArgs({
+            args: argv,
+            options: {
+                planet: { type: 'string', default: COSMIC_PLANETS[0].id },
+                dc: { type: 'string' },
+                top: { type: 'string', default: String(DIGEST_DEFAULTS.top) },
+                movers: { type: 'string', default: String(DIGEST_DEFAULTS.movers) },
+                webhook: { type: 'string', multiple: true, default: [] },
+                'dry-run': { type: 'boolean' },
+                input: { type: 'string' },
+                'data-dir': { type: 'string' },
+                lodestone: { type: 'string', default: 'eu' },
+                at: { type: 'string' },
+                every: { type: 'string' },
+                retries: { type: 'string', default: String(PUBLISHER_DEFAULTS.retries) },
+                help: { type: 'boolean', short: 'h' }
+            }
+        }).values;
+
+        webhooks = args.webhook.map(parseWebhook);
+        if (args.at && !/^([01]\d|2[0-3]):[0-5]\d$/.test(args.at)) {
+            throw new Error(`Invalid --at: ${args.at} (expected HH:MM)`);
+        }
+        if (args.at && args.every) {
+            throw new Error('--at and --every cannot be combined');
+        }
+        if (!LODESTONE_HOSTS[args.lodestone]) {
+            throw new Error(`Unknown Lodestone site: ${args.lodestone}`);
+        }
+        options = {
+            top: toInteger('top', args.top),
+            movers: toInteger('movers', args.movers),
+            retries: toInteger('retries', args.retries),
+            intervalMinutes: args.every ? toInteger('every', args.every) : 0
+        };
+        if (args.every && options.intervalMinutes === 0) {
+            throw new Error(`Invalid --every: ${args.every}`);
+        }
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    const planet = COSMIC_PLANETS.find(p => p.id === args.planet);
+    if (!planet || !planet.isActive) {
+        process.stderr.write(`Unknown or inactive planet: ${args.planet}\n`);
+        return 2;
+    }
+
+    const publisher = new DigestPublisher(webhooks, { retries: options.retries, dryRun: args['dry-run'] });
+    let lastRanking = [];
+
+    // Une publication : true si chaque webhook a reçu le digest
+    const publishOnce = async () => {
+        const { ranking, previousRanking, timestamp } = await loadRankings(args, planet, lastRanking);
+        // Les data centers sont ceux du relevé, tels que le Lodestone les nomme
+        const dataCenters = [...new Set(ranking.map(server => server.dataCenter))];
+        if (args.dc && !dataCenters.includes(args.dc)) {
+            throw new UsageError(`Unknown data center: ${args.dc} (expected ${dataCenters.join(', ')})`);
+        }
+        lastRanking = ranking;
+        const digest = buildDigest(ranking, {
+            title: planet.name,
+            dataCenter: args.dc || null,
+            previousRanking,
+            top: options.top,
+            movers: options.movers,
+            timestamp
+        });
+
+        if (webhooks.length === 0) {
+            process.stdout.write(digestToMarkdown(digest));
+            return true;
+        }
+        const results = await publisher.publish(digest);
+        results.filter(result => !result.ok).forEach(result => {
+            process.stderr.write(`${result.format} → ${redactWebhookUrl(result.url)}: ${result.error} (${result.attempts} attempts)\n`);
+        });
+        return results.every(result => result.ok);
+    };
+
+    if (!args.at && !args.every) {
+        try {
+            return await publishOnce() ? 0 : 1;
+        } catch (error) {
+            process.stderr.write(`${error.message}\n`);
+            return error instanceof UsageError ? 2 : 1;
+        }
+    }
+
+    publisher.schedule(publishOnce, { at: args.at || null, intervalMinutes: options.intervalMinutes });
+    process.stdout.write(args.at ? `Posting the digest every day at ${args.at}\n` : `Posting the digest every ${options.intervalMinutes} minutes\n`);
+
+    const stop = () => {
+        publisher.stop();
+        process.exit(0);
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+    return null;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        if (code !== null) process.exitCode = code;
+    });
+}
+
+module.exports = { main };
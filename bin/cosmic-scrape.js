@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * cosmic-scrape - Affiche le classement d'exploration cosmique depuis un terminal
+ *
+ * Exemples :
+ *   cosmic-scrape --planet sinus-ardorum --dc Light --format table
+ *   cosmic-scrape --input report.html --format csv
+ *   curl -s https://eu.finalfantasyxiv.com/lodestone/cosmic_exploration/report | cosmic-scrape --input -
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+    COSMIC_PLANETS,
+    LODESTONE_HOSTS,
+    RANKING_STRATEGIES,
+    DataSourceChain,
+    DirectSource,
+    ProxySource,
+    UploadSource,
+    createNodeScraper,
+    getPlanetUrl,
+    getSelectorProfile,
+    rankingToCSV,
+    rankingToJSON,
+    rankingToTable
+} = require('..');
+
+const USAGE = `Usage: cosmic-scrape [options]
+
+Options:
+  --planet <id>       Planet id (default: ${COSMIC_PLANETS[0].id})
+  --dc <name>         Only rank servers of this data center
+  --region <id>       Only rank servers of this region (NA, EU, OCE, JP)
+  --strategy <id>     Ranking strategy: ${Object.keys(RANKING_STRATEGIES).join(', ')} (default: competition)
+  --lodestone <id>    Lodestone site: ${Object.keys(LODESTONE_HOSTS).join(', ')} (default: eu)
+  --format <format>   json, csv or table (default: table)
+  --input <file>      Read the report HTML from a file, or "-" for stdin
+  --proxy <url>       Fetch through a CORS proxy (e.g. "https://proxy.example.dev/?url=")
+  --timeout <ms>      Timeout per attempt (default: 10000)
+  -h, --help          Show this help
+
+Exit codes: 0 success, 1 fetch failed, 2 usage error, 3 source format changed
+`;
+
+const FORMATTERS = {
+    json: (ranking, meta) => rankingToJSON(ranking, meta) + '\n',
+    csv: ranking => rankingToCSV(ranking),
+    table: ranking => rankingToTable(ranking)
+};
+
+/**
+ * Lit toute l'entrée standard
+ * @returns {Promise<string>} - Contenu lu
+ */
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Construit les sources de données selon les options
+ * @param {Object} options - Options de la ligne de commande
+ * @returns {Promise<Array>} - Sources dans l'ordre
+ */
+async function createSources(options) {
+    if (options.input === '-') {
+        return [new UploadSource('stdin', await readStdin())];
+    }
+    if (options.input) {
+        return [new UploadSource(path.basename(options.input), fs.readFileSync(options.input, 'utf8'))];
+    }
+    return options.proxy ? [new ProxySource(options.proxy), new DirectSource()] : [new DirectSource()];
+}
+
+async function main(argv) {
+    let args;
+    try {
+        args = parseArgs({
+            args: argv,
+            options: {
+                planet: { type: 'string', default: COSMIC_PLANETS[0].id },
+                dc: { type: 'string' },
+                region: { type: 'string' },
+                strategy: { type: 'string', default: 'competition' },
+                lodestone: { type: 'string', default: 'eu' },
+                format: { type: 'string', default: 'table' },
+                input: { type: 'string' },
+                proxy: { type: 'string' },
+                timeout: { type: 'string', default: '10000' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        }).values;
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    const planet = COSMIC_PLANETS.find(p => p.id === args.planet);
+    const formatter = FORMATTERS[args.format];
+    if (!planet || !planet.isActive) {
+        process.stderr.write(`Unknown or inactive planet: ${args.planet}\n`);
+        return 2;
+    }
+    if (!formatter) {
+        process.stderr.write(`Unknown format: ${args.format} (expected json, csv or table)\n`);
+        return 2;
+    }
+    if (!RANKING_STRATEGIES[args.strategy]) {
+        process.stderr.write(`Unknown ranking strategy: ${args.strategy}\n`);
+        return 2;
+    }
+
+    const url = getPlanetUrl(planet, args.lodestone);
+    let scraper;
+    try {
+        // Un fichier --input illisible échoue ici, comme un relevé impossible
+        scraper = createNodeScraper(url, {
+            selectors: getSelectorProfile(planet),
+            sources: new DataSourceChain(await createSources(args), { timeoutMs: Number(args.timeout) })
+        });
+        await scraper.scrape();
+    } catch (error) {
+        process.stderr.write(`${error.message}\n`);
+        (error.failures || []).forEach(failure => {
+            process.stderr.write(`  ${failure.source}: ${failure.reason} (${failure.attempts} attempts)\n`);
+        });
+        return 1;
+    }
+
+    // Les anomalies de format vont sur stderr pour ne pas polluer la sortie
+    scraper.diagnostics.issues.forEach(issue => {
+        const items = issue.items.length > 0 ? `: ${issue.items.join(', ')}` : '';
+        process.stderr.write(`${issue.severity}: ${issue.message}${items}\n`);
+    });
+
+    // Sans historique, la stratégie "growth" revient au classement par grade puis jauge
+    const ranking = scraper.createRanking(args.dc || null, args.region || null, args.strategy);
+    process.stdout.write(formatter(ranking, {
+        planet: planet.id,
+        strategy: args.strategy,
+        source: scraper.source.name,
+        timestamp: scraper.fetchedAt.toISOString()
+    }));
+    return scraper.diagnostics.ok ? 0 : 3;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        process.stderr.write(`${error.message}\n`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { main };
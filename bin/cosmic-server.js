@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * cosmic-server - Proxy Lodestone, relevés planifiés et API JSON auto-hébergés
+ *
+ * Exemples :
+ *   cosmic-server --port 8080 --interval 15
+ *   cosmic-server --upstream http://127.0.0.1:9000 --interval 1   (Lodestone factice)
+ *
+ * L'application servie par ce serveur l'utilise comme source avec, dans la console :
+ *   localStorage.setItem('cosmicApi', '')
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { LODESTONE_HOSTS } = require('..');
+const { CosmicServer, SERVER_DEFAULTS } = require('../server');
+
+const USAGE = `Usage: cosmic-server [options]
+
+Options:
+  --port <port>         Port to listen on (default: ${SERVER_DEFAULTS.port})
+  --host <host>         Interface to listen on (default: ${SERVER_DEFAULTS.host})
+  --data-dir <dir>      Snapshot directory (default: ./data)
+  --lodestone <id>      Lodestone site: ${Object.keys(LODESTONE_HOSTS).join(', ')} (default: ${SERVER_DEFAULTS.lodestone})
+  --upstream <url>      Fetch Lodestone pages from another origin (e.g. a local stub)
+  --interval <minutes>  Minutes between scheduled scrapes, 0 to disable (default: ${SERVER_DEFAULTS.scrapeIntervalMinutes})
+  --cache-ttl <s>       Seconds a fetched page is served from the cache (default: ${SERVER_DEFAULTS.cacheTtlMs / 1000})
+  --rate-limit <n>      Requests per minute and client on /proxy and /api (default: ${SERVER_DEFAULTS.rateLimit})
+  --no-app              Do not serve the web app
+  -h, --help            Show this help
+`;
+
+/**
+ * Convertit une option en nombre positif ou nul
+ * @param {string} name - Nom de l'option
+ * @param {string} value - Valeur saisie
+ * @returns {number} - Valeur
+ * @throws {Error} - Si la valeur n'est pas un nombre positif
+ */
+function toNumber(name, value) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw new Error(`Invalid --${name}: ${value}`);
+    }
+    return number;
+}
+
+async function main(argv) {
+    let args;
+    let options;
+    try {
+        args = parseArgs({
+            args: argv,
+            options: {
+                port: { type: 'string', default: String(SERVER_DEFAULTS.port) },
+                host: { type: 'string', default: SERVER_DEFAULTS.host },
+                'data-dir': { type: 'string', default: 'data' },
+                lodestone: { type: 'string', default: SERVER_DEFAULTS.lodestone },
+                upstream: { type: 'string' },
+                interval: { type: 'string', default: String(SERVER_DEFAULTS.scrapeIntervalMinutes) },
+                'cache-ttl': { type: 'string', default: String(SERVER_DEFAULTS.cacheTtlMs / 1000) },
+                'rate-limit': { type: 'string', default: String(SERVER_DEFAULTS.rateLimit) },
+                'no-app': { type: 'boolean' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        }).values;
+
+        if (!LODESTONE_HOSTS[args.lodestone]) {
+            throw new Error(`Unknown Lodestone site: ${args.lodestone}`);
+        }
+        options = {
+            port: toNumber('port', args.port),
+            host: args.host,
+            dataDir: path.resolve(args['data-dir']),
+            lodestone: args.lodestone,
+            upstream: args.upstream || null,
+            scrapeIntervalMinutes: toNumber('interval', args.interval),
+            cacheTtlMs: toNumber('cache-ttl', args['cache-ttl']) * 1000,
+            rateLimit: toNumber('rate-limit', args['rate-limit']),
+            serveApp: !args['no-app']
+        };
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    const server = new CosmicServer(options);
+    try {
+        const address = await server.start();
+        process.stdout.write(`Listening on ${address} (snapshots in ${options.dataDir})\n`);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n`);
+        return 1;
+    }
+
+    const stop = () => server.stop().then(() => process.exit(0));
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+    return null;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        if (code !== null) process.exitCode = code;
+    });
+}
+
+module.exports = { main };
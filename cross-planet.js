@@ -0,0 +1,61 @@
+/**
+ * Vues multi-planètes - Position d'un serveur sur chaque planète et
+ * classement cumulé, à partir du dernier relevé de chaque planète
+ */
+
+/**
+ * Position d'un serveur sur chaque planète
+ * @param {string} serverName - Nom du serveur
+ * @param {Array} planetData - Derniers relevés { planet, data } de chaque planète
+ * @returns {Array} - { planet, serverCount, server } (server : entrée du classement, null si absent)
+ */
+function getServerStandings(serverName, planetData) {
+    return planetData.map(({ planet, data }) => {
+        const ranking = rankSnapshotData(data);
+        return {
+            planet,
+            serverCount: ranking.length,
+            server: ranking.find(item => item.serverName === serverName) || null
+        };
+    });
+}
+
+/**
+ * Classement cumulé sur toutes les planètes, par segments de jauge cumulés
+ * Les égalités partagent le même rang (1, 1, 3)
+ * @param {Array} planetData - Derniers relevés { planet, data } de chaque planète
+ * @param {string} region - Filtre optionnel par région
+ * @returns {Array} - { serverName, dataCenter, region, physicalDataCenter, planetCount,
+ *                      totalSegments, completedCount, rank }, trié par rang
+ */
+function createCumulativeRanking(planetData, region = null) {
+    const servers = new Map();
+
+    planetData.forEach(({ data }) => {
+        rankSnapshotData(data, region).forEach(server => {
+            const entry = servers.get(server.serverName) || {
+                serverName: server.serverName,
+                dataCenter: server.dataCenter,
+                region: server.region,
+                physicalDataCenter: server.physicalDataCenter,
+                planetCount: 0,
+                totalSegments: 0,
+                completedCount: 0
+            };
+
+            entry.planetCount++;
+            entry.totalSegments += getTotalSegments(server);
+            if (isServerComplete(server)) entry.completedCount++;
+            servers.set(server.serverName, entry);
+        });
+    });
+
+    const ranking = Array.from(servers.values())
+        .sort((a, b) => b.totalSegments - a.totalSegments || a.serverName.localeCompare(b.serverName));
+
+    ranking.forEach((entry, index) => {
+        const previous = ranking[index - 1];
+        entry.rank = previous && previous.totalSegments === entry.totalSegments ? previous.rank : index + 1;
+    });
+    return ranking;
+}
@@ -0,0 +1,277 @@
+/**
+ * Sources de données - Récupération du HTML Lodestone avec une liste
+ * ordonnée de sources de repli (proxies, accès direct, fichier local, cache)
+ */
+
+/**
+ * Erreur levée quand toutes les sources ont échoué
+ */
+class DataSourceError extends Error {
+    /**
+     * Constructeur
+     * @param {Array} failures - Échecs { source, reason, attempts }
+     */
+    constructor(failures) {
+        super(`All data sources failed (${failures.map(f => f.source).join(', ') || 'none configured'})`);
+        this.name = 'DataSourceError';
+        this.failures = failures;
+    }
+}
+
+/**
+ * Ajoute un paramètre anti-cache à une URL
+ * @param {string} url - URL d'origine
+ * @returns {string} - URL avec le paramètre _t
+ */
+function addCacheBuster(url) {
+    return `${url}${url.includes('?') ? '&' : '?'}_t=${Date.now()}`;
+}
+
+/**
+ * Récupère le texte d'une réponse HTTP en levant une erreur si le statut n'est pas OK
+ * @param {string} url - URL à récupérer
+ * @param {AbortSignal} signal - Signal d'annulation
+ * @returns {Promise<string>} - Contenu texte
+ */
+async function fetchText(url, signal) {
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response.text();
+}
+
+/**
+ * Source passant par un proxy CORS (ex. "https://proxy.example.dev/?url=")
+ */
+class ProxySource {
+    constructor(proxyUrl) {
+        this.proxyUrl = proxyUrl;
+        this.name = `Proxy ${new URL(proxyUrl).host}`;
+        this.live = true;
+        this.retryable = true;
+    }
+
+    async fetch(url, signal) {
+        return fetchText(this.proxyUrl + encodeURIComponent(addCacheBuster(url)), signal);
+    }
+}
+
+/**
+ * Source accédant directement au Lodestone (fonctionne hors navigateur ou avec CORS autorisé)
+ */
+class DirectSource {
+    constructor() {
+        this.name = 'Direct';
+        this.live = true;
+        this.retryable = true;
+    }
+
+    async fetch(url, signal) {
+        return fetchText(addCacheBuster(url), signal);
+    }
+}
+
+/**
+ * Source lisant le dernier classement relevé par cosmic-server (bin/cosmic-server.js)
+ * Répond en JSON plutôt qu'en HTML : le scraper lit alors les serveurs tels quels
+ */
+class ApiSource {
+    /**
+     * Constructeur
+     * @param {string} apiUrl - Adresse du serveur (ex. "http://localhost:8080", "" pour la même origine)
+     * @param {string} planetId - Identifiant de la planète
+     */
+    constructor(apiUrl, planetId) {
+        this.apiUrl = apiUrl.replace(/\/+$/, '');
+        this.planetId = planetId;
+        this.name = `API ${this.apiUrl || 'local'}`;
+        this.format = 'json';
+        this.live = true;
+        this.retryable = true;
+    }
+
+    async fetch(url, signal) {
+        return fetchText(`${this.apiUrl}/api/planets/${encodeURIComponent(this.planetId)}/ranking`, signal);
+    }
+}
+
+/**
+ * Source lisant une page Lodestone enregistrée localement
+ */
+class FixtureSource {
+    constructor(fixtureUrl) {
+        this.fixtureUrl = fixtureUrl;
+        this.name = `Fixture ${fixtureUrl}`;
+        this.live = false;
+        this.retryable = false;
+    }
+
+    async fetch(url, signal) {
+        return fetchText(this.fixtureUrl, signal);
+    }
+}
+
+/**
+ * Source utilisant un fichier HTML fourni par l'utilisateur
+ */
+class UploadSource {
+    constructor(fileName, html) {
+        this.html = html;
+        this.name = `File ${fileName}`;
+        this.live = false;
+        this.retryable = false;
+    }
+
+    async fetch() {
+        if (!this.html) {
+            throw new Error('Empty file');
+        }
+        return this.html;
+    }
+}
+
+/**
+ * Source utilisant le dernier contenu valide conservé dans le localStorage
+ */
+class CacheSource {
+    constructor(storage = localStorage, prefix = 'cosmicLastGood:') {
+        this.storage = storage;
+        this.prefix = prefix;
+        this.name = 'Cache';
+        this.live = false;
+        this.retryable = false;
+    }
+
+    async fetch(url) {
+        const entry = this.storage.getItem(this.prefix + url);
+        if (!entry) {
+            throw new Error('No cached payload');
+        }
+        const { html, savedAt } = JSON.parse(entry);
+        this.savedAt = new Date(savedAt);
+        return html;
+    }
+
+    /**
+     * Conserve le dernier contenu valide
+     * @param {string} url - URL de la page
+     * @param {string} html - Contenu HTML
+     */
+    save(url, html) {
+        try {
+            this.storage.setItem(this.prefix + url, JSON.stringify({ html, savedAt: Date.now() }));
+        } catch (error) {
+            // Quota dépassé : le cache est facultatif
+            console.warn('Unable to cache payload:', error);
+        }
+    }
+}
+
+/**
+ * Chaîne de sources essayées dans l'ordre, avec délai maximal et nouvelles tentatives
+ */
+class DataSourceChain {
+    /**
+     * Constructeur
+     * @param {Array} sources - Sources dans l'ordre de priorité
+     * @param {Object} options - { timeoutMs, retries, backoffMs } (optionnel)
+     */
+    constructor(sources, options = {}) {
+        this.sources = sources;
+        this.timeoutMs = options.timeoutMs || 10000;
+        this.retries = options.retries !== undefined ? options.retries : 2;
+        this.backoffMs = options.backoffMs || 500;
+    }
+
+    /**
+     * Exécute une tentative avec délai maximal
+     * @param {Object} source - Source à utiliser
+     * @param {string} url - URL de la page Lodestone
+     * @returns {Promise<string>} - Contenu HTML
+     */
+    async attempt(source, url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        try {
+            const html = await source.fetch(url, controller.signal);
+            if (!html || !html.trim()) {
+                throw new Error('Empty response');
+            }
+            return html;
+        } catch (error) {
+            if (controller.signal.aborted) {
+                throw new Error(`Timed out after ${this.timeoutMs / 1000}s`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Essaie chaque source jusqu'au premier succès
+     * @param {string} url - URL de la page Lodestone
+     * @returns {Promise<Object>} - { html, source, fetchedAt }
+     * @throws {DataSourceError} - Si toutes les sources échouent
+     */
+    async load(url) {
+        const failures = [];
+
+        for (const source of this.sources) {
+            const maxAttempts = source.retryable ? this.retries + 1 : 1;
+            let lastError = null;
+
+            for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+                try {
+                    const html = await this.attempt(source, url);
+                    return { html, source, fetchedAt: source.savedAt || new Date() };
+                } catch (error) {
+                    lastError = error;
+                    if (attempt < maxAttempts) {
+                        // Attente exponentielle : 500ms, 1s, 2s...
+                        await new Promise(resolve => setTimeout(resolve, this.backoffMs * 2 ** (attempt - 1)));
+                    }
+                }
+            }
+
+            failures.push({ source: source.name, reason: lastError.message, attempts: maxAttempts });
+        }
+
+        throw new DataSourceError(failures);
+    }
+
+    /**
+     * Conserve un contenu validé dans les sources de cache de la chaîne
+     * @param {string} url - URL de la page Lodestone
+     * @param {string} html - Contenu HTML correctement analysé
+     */
+    saveLastGood(url, html) {
+        this.sources
+            .filter(source => source instanceof CacheSource)
+            .forEach(cache => cache.save(url, html));
+    }
+}
+
+/**
+ * Chaîne de sources par défaut du scraper : le proxy CORS public
+ * @returns {DataSourceChain} - Chaîne de sources
+ */
+function createDefaultSourceChain() {
+    return new DataSourceChain([new ProxySource("https://proxy.malippew.workers.dev/?url=")]);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createDefaultSourceChain,
+        DataSourceError,
+        ProxySource,
+        DirectSource,
+        ApiSource,
+        FixtureSource,
+        UploadSource,
+        CacheSource,
+        DataSourceChain
+    };
+}
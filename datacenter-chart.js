@@ -0,0 +1,69 @@
+/**
+ * Graphique des data centers - Barres côte à côte pour un indicateur,
+ * dessinées en SVG avec createSvgElement()
+ */
+
+/**
+ * Dessine les barres d'un indicateur pour chaque data center
+ * @param {Array} stats - Agrégats (computeDataCenterStats)
+ * @param {string} metric - Indicateur (clé de DATA_CENTER_METRICS)
+ * @param {Object} options - { width, height, highlight } (optionnel, highlight : data centers mis en avant)
+ * @returns {SVGElement} - Graphique SVG
+ */
+function createDataCenterChart(stats, metric, options = {}) {
+    const definition = DATA_CENTER_METRICS[metric];
+    const highlight = options.highlight || [];
+    const width = options.width || 640;
+    const height = options.height || 240;
+    const padding = { top: 24, right: 16, bottom: 32, left: 16 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    const svg = createSvgElement('svg', {
+        viewBox: `0 0 ${width} ${height}`,
+        class: 'datacenter-chart',
+        preserveAspectRatio: 'xMidYMid meet'
+    });
+
+    const maxValue = Math.max(...stats.map(item => item[metric]), 1);
+    const slotWidth = plotWidth / Math.max(stats.length, 1);
+    const barWidth = Math.min(48, slotWidth * 0.6);
+    const baseline = padding.top + plotHeight;
+
+    svg.appendChild(createSvgElement('line', {
+        x1: padding.left, x2: width - padding.right, y1: baseline, y2: baseline,
+        class: 'history-chart-grid'
+    }));
+
+    stats.forEach((item, i) => {
+        const center = padding.left + slotWidth * (i + 0.5);
+        const barHeight = (item[metric] / maxValue) * plotHeight;
+        const isHighlighted = highlight.includes(item.dataCenter);
+
+        const bar = createSvgElement('rect', {
+            x: center - barWidth / 2, y: baseline - barHeight,
+            width: barWidth, height: barHeight,
+            class: `datacenter-chart-bar${isHighlighted ? ' highlighted' : ''}`
+        });
+        const title = createSvgElement('title');
+        title.textContent = `${item.dataCenter} - ${t(`metric.${metric}`)}: ${definition.format(item[metric])}`;
+        bar.appendChild(title);
+        svg.appendChild(bar);
+
+        const value = createSvgElement('text', {
+            x: center, y: baseline - barHeight - 6, 'text-anchor': 'middle',
+            class: 'history-chart-label'
+        });
+        value.textContent = definition.format(item[metric]);
+        svg.appendChild(value);
+
+        const label = createSvgElement('text', {
+            x: center, y: height - 10, 'text-anchor': 'middle',
+            class: 'history-chart-label'
+        });
+        label.textContent = item.dataCenter;
+        svg.appendChild(label);
+    });
+
+    return svg;
+}
@@ -0,0 +1,90 @@
+/**
+ * Statistiques par data center - Agrégats du classement pour comparer
+ * les data centers entre eux
+ */
+
+// Indicateurs agrégés (libellés : clés metric.* de TRANSLATIONS, lowerIsBetter : une valeur plus faible l'emporte)
+const DATA_CENTER_METRICS = {
+    averageGrade: { format: value => formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) },
+    totalSegments: { format: value => formatNumber(value) },
+    medianRank: { format: value => formatNumber(value), lowerIsBetter: true },
+    completedCount: { format: value => formatNumber(value) }
+};
+
+/**
+ * Médiane d'une liste de nombres
+ * @param {Array} values - Valeurs
+ * @returns {number} - Médiane (moyenne des deux valeurs centrales si le nombre est pair)
+ */
+function getMedian(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Calcule les agrégats de chaque data center
+ * @param {Array} ranking - Classement trié par rang (createRanking)
+ * @param {Array} dataCenters - Data centers à inclure (getDataCenters)
+ * @returns {Array} - { dataCenter, region, physicalDataCenter, serverCount, averageGrade, totalSegments,
+ *                      medianRank, completedCount, best, worst, rank }, du meilleur au moins bon
+ */
+function computeDataCenterStats(ranking, dataCenters) {
+    const stats = dataCenters
+        .map(dataCenter => {
+            const servers = ranking.filter(server => server.dataCenter === dataCenter);
+            if (servers.length === 0) {
+                return null;
+            }
+
+            return {
+                dataCenter,
+                region: servers[0].region,
+                physicalDataCenter: servers[0].physicalDataCenter,
+                serverCount: servers.length,
+                averageGrade: servers.reduce((sum, server) => sum + server.grade, 0) / servers.length,
+                totalSegments: servers.reduce((sum, server) => sum + getTotalSegments(server), 0),
+                medianRank: getMedian(servers.map(server => server.rank)),
+                completedCount: servers.filter(isServerComplete).length,
+                best: servers[0],
+                worst: servers[servers.length - 1]
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) =>
+            b.averageGrade - a.averageGrade ||
+            b.totalSegments - a.totalSegments ||
+            a.medianRank - b.medianRank
+        );
+
+    stats.forEach((item, index) => {
+        item.rank = index + 1;
+    });
+    return stats;
+}
+
+/**
+ * Compare deux data centers indicateur par indicateur, puis leurs meilleurs serveurs
+ * @param {Object} a - Agrégats du premier data center
+ * @param {Object} b - Agrégats du second data center
+ * @returns {Array} - { metric, label, a, b, winner } (winner : 'a', 'b' ou null en cas d'égalité)
+ */
+function compareDataCenters(a, b) {
+    const getWinner = difference => difference > 0 ? 'a' : difference < 0 ? 'b' : null;
+
+    const metrics = Object.entries(DATA_CENTER_METRICS).map(([metric, definition]) => ({
+        metric,
+        label: t(`metric.${metric}`),
+        a: definition.format(a[metric]),
+        b: definition.format(b[metric]),
+        winner: getWinner(definition.lowerIsBetter ? b[metric] - a[metric] : a[metric] - b[metric])
+    }));
+
+    return [...metrics, {
+        metric: 'best',
+        label: t('metric.best'),
+        a: `${a.best.serverName} (#${a.best.rank})`,
+        b: `${b.best.serverName} (#${b.best.rank})`,
+        winner: getWinner(b.best.rank - a.best.rank)
+    }];
+}
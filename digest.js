@@ -0,0 +1,174 @@
+/**
+ * Digest du classement - Résumé à publier sur un webhook : meilleurs serveurs,
+ * plus fortes progressions et serveurs terminés, aux formats Discord (embed),
+ * Slack (blocks) et Markdown
+ */
+
+const { computeRankingDeltas } = require('.');
+
+// Options par défaut d'un digest
+const DIGEST_DEFAULTS = {
+    title: 'Cosmic Exploration',
+    dataCenter: null,
+    previousRanking: [],
+    top: 5,
+    movers: 3
+};
+
+// Couleur de l'embed Discord (--primary de l'application)
+const DISCORD_COLOR = 0x3E51B5;
+
+// Longueur maximale d'un champ d'embed Discord
+const DISCORD_FIELD_MAX_LENGTH = 1024;
+
+/**
+ * Restreint un classement à un data center, classé par rang dans le data center
+ * @param {Array} ranking - Résultat de createRanking()
+ * @param {string} dataCenter - Data center (null pour tous)
+ * @returns {Array} - Classement restreint
+ */
+function scopeRanking(ranking, dataCenter) {
+    if (!dataCenter) {
+        return ranking;
+    }
+    return ranking
+        .filter(server => server.dataCenter === dataCenter)
+        .map(server => ({ ...server, rank: server.dataCenterRank }));
+}
+
+/**
+ * Résumé d'un serveur dans un digest
+ * @param {Object} server - Serveur du classement
+ * @returns {Object} - { rank, serverName, dataCenter, grade, progress }
+ */
+function summarizeServer(server) {
+    return {
+        rank: server.rank,
+        serverName: server.serverName,
+        dataCenter: server.dataCenter,
+        grade: server.grade,
+        progress: server.progress
+    };
+}
+
+/**
+ * Construit le digest d'un classement
+ * @param {Array} ranking - Résultat de createRanking()
+ * @param {Object} options - Remplace DIGEST_DEFAULTS ; previousRanking : classement de la période précédente,
+ *                           timestamp : date des données
+ * @returns {Object} - { title, scope, timestamp, serverCount, top, movers, completed }
+ */
+function buildDigest(ranking, options = {}) {
+    const settings = { ...DIGEST_DEFAULTS, ...options };
+    const servers = scopeRanking(ranking, settings.dataCenter);
+    const deltas = computeRankingDeltas(servers, scopeRanking(settings.previousRanking, settings.dataCenter));
+
+    // Plus grands changements de rang, dans un sens comme dans l'autre
+    const movers = servers
+        .map(server => ({ server, rankChange: deltas.has(server.serverName) ? deltas.get(server.serverName).rankChange : 0 }))
+        .filter(item => item.rankChange !== 0)
+        .sort((a, b) => Math.abs(b.rankChange) - Math.abs(a.rankChange) || a.server.rank - b.server.rank)
+        .slice(0, settings.movers);
+
+    return {
+        title: settings.title,
+        scope: settings.dataCenter || 'All data centers',
+        timestamp: settings.timestamp || new Date(),
+        serverCount: servers.length,
+        top: servers.slice(0, settings.top).map(summarizeServer),
+        movers: movers.map(({ server, rankChange }) => ({ ...summarizeServer(server), rankChange })),
+        completed: servers.filter(server => server.isComplete).map(summarizeServer)
+    };
+}
+
+/**
+ * Sections d'un digest, communes à tous les formats
+ * Une section n'est jamais vide : Discord et Slack refusent un champ sans texte (--top 0, data center vide)
+ * @param {Object} digest - Résultat de buildDigest()
+ * @returns {Array} - { name, lines }
+ */
+function getDigestSections(digest) {
+    const serverLine = server => `#${server.rank} ${server.serverName} (${server.dataCenter}) · Grade ${server.grade} · ${server.progress}`;
+    const moverLine = server => `${server.rankChange > 0 ? '▲' : '▼'} ${server.serverName} ${server.rankChange > 0 ? '+' : '−'}${Math.abs(server.rankChange)} → #${server.rank}`;
+
+    return [
+        { name: `Top ${digest.top.length}`, lines: digest.top.length > 0 ? digest.top.map(serverLine) : ['No worlds'] },
+        { name: 'Biggest movers', lines: digest.movers.length > 0 ? digest.movers.map(moverLine) : ['No change since the last digest'] },
+        { name: 'Completed', lines: digest.completed.length > 0 ? digest.completed.map(server => `${server.serverName} (${server.dataCenter})`) : ['None yet'] }
+    ];
+}
+
+/**
+ * Titre et ligne de mise à jour d'un digest
+ * @param {Object} digest - Résultat de buildDigest()
+ * @returns {Object} - { heading, updated }
+ */
+function getDigestHeading(digest) {
+    const date = digest.timestamp.toISOString().slice(0, 16).replace('T', ' ');
+    return {
+        heading: `${digest.title} — ${digest.scope}`,
+        updated: `Updated ${date} UTC · ${digest.serverCount} worlds`
+    };
+}
+
+/**
+ * Digest en Markdown
+ * @param {Object} digest - Résultat de buildDigest()
+ * @returns {string} - Texte Markdown
+ */
+function digestToMarkdown(digest) {
+    const { heading, updated } = getDigestHeading(digest);
+    const sections = getDigestSections(digest).map(section =>
+        `**${section.name}**\n${section.lines.map(line => `- ${line}`).join('\n')}`);
+    return [`## ${heading}`, `_${updated}_`, ...sections].join('\n\n') + '\n';
+}
+
+/**
+ * Digest pour un webhook Discord (un embed)
+ * @param {Object} digest - Résultat de buildDigest()
+ * @returns {Object} - Payload { embeds }
+ */
+function digestToDiscord(digest) {
+    const { heading, updated } = getDigestHeading(digest);
+    return {
+        embeds: [{
+            title: heading,
+            color: DISCORD_COLOR,
+            timestamp: digest.timestamp.toISOString(),
+            fields: getDigestSections(digest).map(section => ({
+                name: section.name,
+                value: section.lines.join('\n').slice(0, DISCORD_FIELD_MAX_LENGTH)
+            })),
+            footer: { text: updated }
+        }]
+    };
+}
+
+/**
+ * Digest pour un webhook Slack (blocks, text en repli pour les notifications)
+ * @param {Object} digest - Résultat de buildDigest()
+ * @returns {Object} - Payload { text, blocks }
+ */
+function digestToSlack(digest) {
+    const { heading, updated } = getDigestHeading(digest);
+    return {
+        text: heading,
+        blocks: [
+            { type: 'header', text: { type: 'plain_text', text: heading } },
+            ...getDigestSections(digest).map(section => ({
+                type: 'section',
+                text: { type: 'mrkdwn', text: `*${section.name}*\n${section.lines.join('\n')}` }
+            })),
+            { type: 'context', elements: [{ type: 'mrkdwn', text: updated }] }
+        ]
+    };
+}
+
+// Formats de publication : digest -> payload (objet envoyé en JSON, texte envoyé tel quel)
+const DIGEST_FORMATTERS = {
+    discord: digestToDiscord,
+    slack: digestToSlack,
+    markdown: digestToMarkdown
+};
+
+module.exports = { DIGEST_DEFAULTS, DIGEST_FORMATTERS, buildDigest, digestToMarkdown, digestToDiscord, digestToSlack };
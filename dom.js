@@ -0,0 +1,133 @@
+/**
+ * Rendu sûr - Gabarits HTML qui échappent les textes non fiables (données
+ * scrapées sur une page tierce) et mise à jour des listes par clé
+ */
+
+// Caractères échappés dans le texte et les valeurs d'attributs
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+// Dernier contenu écrit dans chaque élément d'une liste (renderKeyedList)
+const renderedMarkup = new WeakMap();
+
+/**
+ * Fragment HTML sûr, produit par html``
+ */
+class SafeHTML {
+    /**
+     * Constructeur
+     * @param {string} markup - HTML dont les valeurs sont déjà échappées
+     */
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+/**
+ * Échappe un texte pour l'insérer dans du HTML
+ * @param {*} value - Valeur à afficher
+ * @returns {string} - Texte échappé
+ */
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Convertit une valeur interpolée : fragments conservés, tableaux concaténés,
+ * null / undefined / false ignorés, tout le reste échappé
+ * @param {*} value - Valeur interpolée
+ * @returns {string} - HTML
+ */
+function renderValue(value) {
+    if (value instanceof SafeHTML) {
+        return value.markup;
+    }
+    if (Array.isArray(value)) {
+        return value.map(renderValue).join('');
+    }
+    if (value === null || value === undefined || value === false) {
+        return '';
+    }
+    return escapeHTML(value);
+}
+
+/**
+ * Gabarit HTML (ex. html`<div class="server-name">${server.serverName}</div>`)
+ * Les valeurs sont échappées, sauf les fragments html`` imbriqués
+ * @param {Array} strings - Parties fixes du gabarit
+ * @param {...*} values - Valeurs interpolées
+ * @returns {SafeHTML} - Fragment sûr
+ */
+function html(strings, ...values) {
+    return new SafeHTML(strings.reduce((markup, string, i) => markup + renderValue(values[i - 1]) + string));
+}
+
+/**
+ * Remplace le contenu d'un élément par un fragment sûr
+ * @param {Element} element - Élément à remplir
+ * @param {SafeHTML} fragment - Fragment produit par html``
+ * @throws {TypeError} - Si le contenu n'a pas été construit avec html``
+ */
+function setHTML(element, fragment) {
+    if (!(fragment instanceof SafeHTML)) {
+        throw new TypeError('setHTML() expects a fragment built with html``');
+    }
+    element.innerHTML = fragment.markup;
+}
+
+/**
+ * Met à jour les enfants d'un conteneur à partir d'une liste, élément par élément
+ * Les éléments sont retrouvés par clé et déplacés au besoin ; leur contenu n'est
+ * réécrit que s'il a changé. Les éléments sans clé ou disparus de la liste sont retirés
+ * @param {Element} container - Conteneur (ex. tbody)
+ * @param {Array} items - Données à afficher, dans l'ordre
+ * @param {Object} options - Fonctions de rendu :
+ *   key(item) -> clé unique, create(item) -> nouvel élément (écouteurs compris),
+ *   render(item) -> contenu html``, update(element, item) -> attributs (optionnel)
+ */
+function renderKeyedList(container, items, { key, create, render, update = null }) {
+    const existing = new Map();
+    Array.from(container.children).forEach(element => {
+        if (element.dataset.key === undefined) {
+            element.remove();
+        } else {
+            existing.set(element.dataset.key, element);
+        }
+    });
+
+    items.forEach((item, index) => {
+        const id = String(key(item));
+        let element = existing.get(id);
+        if (element) {
+            existing.delete(id);
+        } else {
+            element = create(item);
+            element.dataset.key = id;
+        }
+
+        const fragment = render(item);
+        if (renderedMarkup.get(element) !== fragment.markup) {
+            setHTML(element, fragment);
+            renderedMarkup.set(element, fragment.markup);
+        }
+        if (update) {
+            update(element, item);
+        }
+
+        const current = container.children[index];
+        if (current !== element) {
+            container.insertBefore(element, current || null);
+        }
+    });
+
+    existing.forEach(element => element.remove());
+}
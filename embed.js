@@ -0,0 +1,42 @@
+/**
+ * Mode intégration - Carte compacte d'un serveur pour les sites de FC et les
+ * sources navigateur d'OBS, sans en-tête, onglets ni pied de page
+ * (ex. ?embed=server:Phoenix&theme=dark&transparent=1&refresh=5)
+ */
+
+// Intervalle d'actualisation minimal (minutes) pour ne pas surcharger le Lodestone
+const EMBED_MIN_REFRESH_MINUTES = 5;
+
+/**
+ * Lit les options d'intégration depuis une query string
+ * @param {string} search - Query string (ex. location.search)
+ * @returns {Object|null} - { server, theme, transparent, refreshMinutes, language },
+ *                          null hors mode intégration
+ */
+function readEmbedOptions(search) {
+    const params = new URLSearchParams(search);
+    const match = /^server:(.+)$/.exec(params.get('embed') || '');
+    if (!match || !match[1].trim()) {
+        return null;
+    }
+
+    const refresh = Number(params.get('refresh'));
+    return {
+        server: match[1].trim(),
+        theme: ['dark', 'light'].includes(params.get('theme')) ? params.get('theme') : null,
+        transparent: ['1', 'true'].includes(params.get('transparent')),
+        refreshMinutes: refresh > 0 ? Math.max(refresh, EMBED_MIN_REFRESH_MINUTES) : null,
+        language: params.get('lang') || null
+    };
+}
+
+/**
+ * Retrouve le serveur intégré dans le classement (sans tenir compte de la casse)
+ * @param {Array} ranking - Classement
+ * @param {string} serverName - Nom du serveur demandé
+ * @returns {Object|null} - Entrée du classement, null si absent
+ */
+function findEmbeddedServer(ranking, serverName) {
+    const name = serverName.toLowerCase();
+    return ranking.find(server => server.serverName.toLowerCase() === name) || null;
+}
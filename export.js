@@ -0,0 +1,157 @@
+/**
+ * Export du classement - Téléchargement CSV / JSON et carte "leaderboard"
+ * dessinée côté client sur un canvas
+ */
+
+// Nombre maximum de serveurs dessinés sur la carte
+const LEADERBOARD_MAX_ROWS = 25;
+
+/**
+ * Déclenche le téléchargement d'un contenu
+ * @param {string} fileName - Nom du fichier
+ * @param {Blob|string} content - Contenu à télécharger
+ * @param {string} type - Type MIME (ignoré si content est un Blob)
+ */
+function downloadFile(fileName, content, type = 'text/plain') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Construit un nom de fichier d'export
+ * @param {string} planetId - Identifiant de la planète
+ * @param {string} dataCenter - Data center sélectionné ('all' pour tous)
+ * @param {Date} date - Date des données
+ * @param {string} extension - Extension du fichier
+ * @param {string} prefix - Début du nom (ex. 'cosmic-activity' pour le fil d'activité)
+ * @returns {string} - ex. "cosmic-sinus-ardorum-light-20250412-1432.csv"
+ */
+function getExportFileName(planetId, dataCenter, date, extension, prefix = 'cosmic') {
+    const pad = value => String(value).padStart(2, '0');
+    const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+    const scope = dataCenter === 'all' ? 'all' : dataCenter.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    return `${prefix}-${planetId}-${scope}-${stamp}.${extension}`;
+}
+
+/**
+ * Lit les couleurs du thème courant depuis les variables CSS
+ * @param {boolean} darkMode - Thème sombre actif
+ * @returns {Object} - Palette de couleurs
+ */
+function getThemePalette(darkMode) {
+    const styles = getComputedStyle(document.documentElement);
+    const read = (light, dark) => styles.getPropertyValue(darkMode ? dark : light).trim();
+
+    return {
+        background: read('--card-bg', '--dark-card-bg'),
+        header: read('--primary', '--dark-primary-dark'),
+        headerText: '#ffffff',
+        text: read('--text-primary', '--dark-text-primary'),
+        secondary: read('--text-secondary', '--dark-text-secondary'),
+        border: read('--border-color', '--dark-border-color'),
+        accent: read('--primary', '--dark-primary-light'),
+        success: read('--success', '--dark-success'),
+        gaugeEmpty: darkMode ? '#333333' : '#e0e0e0'
+    };
+}
+
+/**
+ * Dessine la carte "leaderboard" d'un classement
+ * @param {Array} ranking - Classement filtré
+ * @param {Object} options - { title, subtitle, footer, darkMode }
+ * @returns {HTMLCanvasElement} - Canvas dessiné
+ */
+function drawLeaderboardCard(ranking, options) {
+    const palette = getThemePalette(options.darkMode);
+    const rows = ranking.slice(0, LEADERBOARD_MAX_ROWS);
+    const scale = window.devicePixelRatio || 1;
+    const width = 720;
+    const headerHeight = 88;
+    const rowHeight = 40;
+    const footerHeight = 40;
+    const height = headerHeight + rows.length * rowHeight + footerHeight;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+
+    // Fond et en-tête
+    ctx.fillStyle = palette.background;
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = palette.header;
+    ctx.fillRect(0, 0, width, headerHeight);
+
+    ctx.fillStyle = palette.headerText;
+    ctx.textBaseline = 'middle';
+    ctx.font = '700 24px Cinzel, serif';
+    ctx.fillText(options.title, 24, 34);
+    ctx.font = '400 14px Roboto, sans-serif';
+    ctx.fillText(options.subtitle, 24, 64);
+
+    // Lignes du classement
+    rows.forEach((server, index) => {
+        const y = headerHeight + index * rowHeight;
+        const middle = y + rowHeight / 2;
+
+        if (index > 0) {
+            ctx.fillStyle = palette.border;
+            ctx.fillRect(24, y, width - 48, 1);
+        }
+
+        // Rang
+        ctx.fillStyle = palette.accent;
+        ctx.beginPath();
+        ctx.arc(40, middle, 13, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = palette.headerText;
+        ctx.font = '500 13px Roboto, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(String(server.rank), 40, middle);
+        ctx.textAlign = 'left';
+
+        // Serveur et data center
+        ctx.fillStyle = palette.text;
+        ctx.font = '500 15px Roboto, sans-serif';
+        ctx.fillText(server.serverName, 68, middle);
+        ctx.fillStyle = palette.secondary;
+        ctx.font = '400 13px Roboto, sans-serif';
+        ctx.fillText(server.dataCenter, 220, middle);
+
+        // Grade
+        ctx.fillStyle = palette.accent;
+        ctx.font = '600 15px "Roboto Mono", monospace';
+        ctx.fillText(`G${server.grade}`, 330, middle);
+
+        // Jauge à 8 segments
+        const gauge = getGaugeModel(server);
+        const segmentWidth = 22;
+        for (let i = 0; i < GAUGE_SEGMENTS; i++) {
+            ctx.fillStyle = i < gauge.position ? (gauge.isFull ? palette.success : palette.accent) : palette.gaugeEmpty;
+            ctx.fillRect(390 + i * (segmentWidth + 2), middle - 6, segmentWidth, 12);
+        }
+
+        // Fourchette de progression
+        ctx.fillStyle = palette.text;
+        ctx.font = '500 13px "Roboto Mono", monospace';
+        ctx.textAlign = 'right';
+        ctx.fillText(formatPercentRange(gauge.low, gauge.high), width - 24, middle);
+        ctx.textAlign = 'left';
+    });
+
+    // Pied de carte
+    const more = ranking.length > rows.length ? ` · ${t('formatWarning.more', { count: ranking.length - rows.length })}` : '';
+    ctx.fillStyle = palette.secondary;
+    ctx.font = '400 12px Roboto, sans-serif';
+    ctx.fillText(`${options.footer}${more}`, 24, height - footerHeight / 2);
+
+    return canvas;
+}
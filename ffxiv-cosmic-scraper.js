@@ -2,14 +2,40 @@
  * FFXIVCosmicScraper - Une classe pour récupérer et traiter les données 
  * d'exploration cosmique de FFXIV Lodestone
  */
+
+// Sélecteurs CSS de la page de rapport par défaut (profil "cosmic-report" de planets.json)
+const COSMIC_REPORT_SELECTORS = {
+    dataCenter: 'div[id][class="cosmic__report__dc"]',
+    dataCenterTitle: '.cosmic__report__dc__title',
+    card: '.cosmic__report__card',
+    serverName: '.cosmic__report__card__name',
+    grade: '.cosmic__report__grade__level p',
+    statusText: '.cosmic__report__status__text',
+    progressBar: '.cosmic__report__status__progress__bar',
+    transition: '.cosmic__report__status__progress p'
+};
+
 class FFXIVCosmicScraper {
     /**
      * Constructeur
      * @param {string} url - URL pour scraper les données (optionnel)
+     * @param {Object} options - Options (optionnel)
+     * @param {DataSourceChain} options.sources - Sources de données à utiliser
+     * @param {Function} options.parseHtml - Parseur HTML (html) => Document, DOMParser par défaut
+     * @param {Object} options.selectors - Sélecteurs CSS remplaçant ceux de COSMIC_REPORT_SELECTORS
+     * @param {string} options.language - Langue de la page (en, fr, de, ja), lue dans la page par défaut
      */
-    constructor(url = null) {
+    constructor(url = null, options = {}) {
         this.url = url || "https://eu.finalfantasyxiv.com/lodestone/cosmic_exploration/report";
+        this.sources = options.sources || createDefaultSourceChain();
+        this.parseHtml = options.parseHtml || null;
+        this.selectors = { ...COSMIC_REPORT_SELECTORS, ...options.selectors };
+        this.expectations = { minDataCenters: 1, minServers: 20, maxServers: 150, ...options.expectations };
+        this.language = options.language || null;
+        this.diagnostics = null;
         this.htmlContent = null;
+        this.source = null;
+        this.fetchedAt = null;
         this.data = [];
     }
 
@@ -26,25 +52,16 @@ class FFXIVCosmicScraper {
 
     /**
      * Récupère le contenu HTML depuis l'URL
-     * Utilise des proxies CORS pour contourner les restrictions
-     * @returns {Promise<boolean>} - Succès ou échec de la récupération
+     * Essaie chaque source de données dans l'ordre (proxies, direct, fichier, cache)
+     * @returns {Promise<boolean>} - true si le contenu a été récupéré
+     * @throws {DataSourceError} - Si toutes les sources ont échoué
      */
     async fetchHtml() {
-        const proxy = "https://proxy.malippew.workers.dev/?url="
-        const cacheBuster = `?_t=${Date.now()}`;
-
-        try {
-            const urlWithBuster = this.url + cacheBuster;
-            const urlToFetch = proxy + encodeURIComponent(urlWithBuster);
-
-            const response = await fetch(urlToFetch);
-            if (!response.ok) {
-                throw new Error(`Erreur HTTP: ${response.status}`);
-            }
-            this.htmlContent = await response.text();
-            this.proxy = proxy;
-            return true;
-        } catch (error) {}
+        const result = await this.sources.load(this.url);
+        this.htmlContent = result.html;
+        this.source = result.source;
+        this.fetchedAt = result.fetchedAt;
+        return true;
     }
 
     /**
@@ -71,12 +88,38 @@ class FFXIVCosmicScraper {
         return 0.0;
     }
 
+    /**
+     * Langue d'une page Lodestone d'après son attribut lang (ex. "en-gb" -> "en")
+     * @param {Document} dom - Document DOM
+     * @returns {string|null} - Code de COMPLETE_STATUS_PATTERNS (gauge-model.js), null si inconnu
+     */
+    detectLanguage(dom) {
+        const lang = (dom.documentElement && dom.documentElement.getAttribute('lang')) || '';
+        const language = lang.toLowerCase().split('-')[0];
+        return getCompleteStatusLanguages().includes(language) ? language : null;
+    }
+
+    /**
+     * Indique si un texte de statut signifie que la planète est terminée
+     * @param {string} statusText - Texte de statut de la carte
+     * @param {string} language - Langue de la page (null : toutes les langues sont essayées)
+     * @returns {boolean} - Vrai si le statut indique "terminé"
+     */
+    isCompleteStatus(statusText, language = null) {
+        return isCompleteStatus(statusText, language);
+    }
+
     /**
      * Crée un DOM temporaire à partir du HTML
+     * Utilise le parseur fourni en option (ex. linkedom sous Node.js), sinon DOMParser
      * @param {string} html - Contenu HTML
      * @returns {Document} - Document DOM
      */
     createDOM(html) {
+        if (this.parseHtml) {
+            return this.parseHtml(html);
+        }
+
         const parser = new DOMParser();
         return parser.parseFromString(html, 'text/html');
     }
@@ -91,133 +134,232 @@ class FFXIVCosmicScraper {
             return [];
         }
 
+        // Classement déjà analysé par cosmic-server
+        if (this.source && this.source.format === 'json') {
+            return this.readSnapshot(JSON.parse(this.htmlContent));
+        }
+
         const dom = this.createDOM(this.htmlContent);
-        const dataCenters = dom.querySelectorAll('div[id][class="cosmic__report__dc"]');
+        const selectors = this.selectors;
+        const language = this.language || this.detectLanguage(dom);
+        const dataCenters = dom.querySelectorAll(selectors.dataCenter);
 
         const result = [];
 
+        // Anomalies relevées pendant l'analyse, utilisées par validate()
+        const stats = {
+            dataCenterCount: dataCenters.length,
+            emptyDataCenters: [],
+            missingNames: 0,
+            invalidGrades: [],
+            missingProgressBars: [],
+            unknownGaugeClasses: new Set()
+        };
+
         dataCenters.forEach(dc => {
-            const dcName = this.safeQuery(dc, '.cosmic__report__dc__title');
-            dc.querySelectorAll('.cosmic__report__card').forEach(server => {
-                const serverName = this.safeQuery(server, '.cosmic__report__card__name');
+            const dcName = this.safeQuery(dc, selectors.dataCenterTitle);
+            const { region, physicalDataCenter } = getDataCenterRegion(dcName);
+            const cards = dc.querySelectorAll(selectors.card);
+            if (cards.length === 0) stats.emptyDataCenters.push(dcName || dc.id);
+
+            cards.forEach(server => {
+                const serverName = this.safeQuery(server, selectors.serverName);
+                if (!serverName) stats.missingNames++;
 
                 // Récupérer le grade (niveau)
                 let grade = 0;
-                const gradeElement = server.querySelector('.cosmic__report__grade__level p');
+                const gradeElement = server.querySelector(selectors.grade);
                 if (gradeElement) grade = parseInt(gradeElement.textContent.trim());
+                if (!gradeElement || Number.isNaN(grade)) stats.invalidGrades.push(serverName);
 
-                // Récupérer le texte de statut
-                const statusText = this.safeQuery(server, '.cosmic__report__status__text');
+                // Récupérer le texte de statut, dans la langue de la page
+                const statusText = this.safeQuery(server, selectors.statusText);
+                const isComplete = this.isCompleteStatus(statusText, language);
 
-                if (statusText.toLowerCase().includes('complete')) {
+                if (isComplete) {
                     grade -= 1;
                 }
 
                 // Récupérer la valeur de la jauge
                 let gaugeClass = 'gauge-0';
-                const progressBar = server.querySelector('.cosmic__report__status__progress__bar');
+                const progressBar = server.querySelector(selectors.progressBar);
                 if (progressBar && progressBar.classList) {
                     const found = Array.from(progressBar.classList).find(c => c.startsWith('gauge-'));
                     if (found) gaugeClass = found;
+                    if (found && !/^gauge-([0-7]|max)$/.test(found)) stats.unknownGaugeClasses.add(found);
+                } else {
+                    stats.missingProgressBars.push(serverName);
                 }
 
-                const transitionP = server.querySelector('.cosmic__report__status__progress p');
-                if (transitionP) gaugeClass = 'gauge-max';
-
-                const progressPercentage = this.parseGaugeValue(gaugeClass);
+                // Passage de grade en cours : la jauge est pleine, son niveau brut est conservé
+                const isTransitioning = Boolean(server.querySelector(selectors.transition));
+                const progressPercentage = isTransitioning ? 1.0 : this.parseGaugeValue(gaugeClass);
 
                 const serverData = {
                     serverName,
                     dataCenter: dcName,
+                    region,
+                    physicalDataCenter,
                     grade,
                     progressPercentage,
                     rawGauge: gaugeClass,
-                    statusText
+                    isTransitioning,
+                    statusText,
+                    isComplete
                 };
 
                 result.push(serverData);
             });
         });
         this.data = result;
+        this.diagnostics = this.validate(result, stats);
+
+        // Ne conserver comme "dernier contenu valide" qu'une page correctement analysée
+        if (this.diagnostics.ok && this.source && this.source.live) {
+            this.sources.saveLastGood(this.url, this.htmlContent);
+        }
+
         return result;
     }
 
     /**
-     * Crée un classement basé sur le grade et le pourcentage de progression
-     * @param {string} dataCenter - Filtre optionnel pour afficher uniquement les serveurs d'un data center
-     * @returns {Array} - Tableau de classement
+     * Lit le classement servi en JSON par cosmic-server (/api/planets/:id/ranking)
+     * Les mêmes vérifications que pour une page Lodestone s'appliquent
+     * @param {Object} payload - Réponse de l'API { planet, timestamp, servers }
+     * @returns {Array} - Données des serveurs
      */
-    createRanking(dataCenter = null) {
-        if (!this.data || this.data.length === 0) {
-            return [];
-        }
-
-        // Copier les données
-        let data = [...this.data];
-
-        // Filtrer par data center si spécifié
-        if (dataCenter && dataCenter !== 'all') {
-            data = data.filter(item => item.dataCenter === dataCenter);
-        }
-
-        // Trier par grade (décroissant) et progressPercentage (décroissant)
-        data.sort((a, b) => b.grade - a.grade || b.progressPercentage - a.progressPercentage);
-
-        // Créer un classement approprié avec rang dense (tenant compte des égalités)
-        let rank = 1;
-        let currentPosition = 0;
-        let currentKey = null;
-        const rankMapping = {};
-        const groupCounts = new Map();
-
-        // Regrouper les données par grade et pourcentage de progression
-        data.forEach(item => {
-            const key = `${item.grade}_${item.progressPercentage}`;
-            groupCounts.set(key, (groupCounts.get(key) || 0) + 1);
-        });
-
-        // Générer les rangs en tenant compte des égalités
-        const sortedGroups = Array.from(groupCounts.entries()).sort((a, b) => {
-            const [gradeA, progressA] = a[0].split('_').map(Number);
-            const [gradeB, progressB] = b[0].split('_').map(Number);
+    readSnapshot(payload) {
+        const result = toSnapshotData(Array.isArray(payload.servers) ? payload.servers : []);
+        if (payload.timestamp) this.fetchedAt = new Date(payload.timestamp);
 
-            return gradeB - gradeA || progressB - progressA;
+        this.data = result;
+        this.diagnostics = this.validate(result, {
+            dataCenterCount: new Set(result.map(server => server.dataCenter)).size,
+            emptyDataCenters: [],
+            missingNames: result.filter(server => !server.serverName).length,
+            invalidGrades: result.filter(server => !Number.isInteger(server.grade)).map(server => server.serverName),
+            missingProgressBars: [],
+            unknownGaugeClasses: new Set(result.map(server => server.rawGauge).filter(gauge => !/^gauge-([0-7]|max)$/.test(gauge)))
         });
 
-        sortedGroups.forEach(([key, count]) => {
-            if (currentKey !== key) {
-                currentKey = key;
-                rankMapping[key] = rank;
-                currentPosition += count;
-                rank = currentPosition + 1;
-            } else {
-                rankMapping[key] = rank;
-            }
-        });
+        return result;
+    }
 
-        // Appliquer le mappage des rangs
-        data.forEach(item => {
-            const key = `${item.grade}_${item.progressPercentage}`;
-            item.rank = rankMapping[key];
-            // Formater le pourcentage pour l'affichage
-            item.progress = `${(item.progressPercentage * 100).toFixed(2)}%`;
-        });
+    /**
+     * Vérifie que l'analyse respecte les invariants attendus du Lodestone
+     * Un échec signale très probablement un changement de format de la page
+     * @param {Array} result - Données extraites
+     * @param {Object} stats - Anomalies relevées pendant l'analyse
+     * @returns {Object} - Rapport { ok, dataCenterCount, serverCount, unknownGaugeClasses, issues }
+     */
+    validate(result, stats) {
+        const { minDataCenters, minServers, maxServers } = this.expectations;
+        const selectors = this.selectors;
+        const issues = [];
+        const addIssue = (severity, code, message, items = []) => issues.push({ severity, code, message, items });
+
+        if (stats.dataCenterCount < minDataCenters) {
+            addIssue('error', 'no-data-centers', `Found ${stats.dataCenterCount} data centers (${selectors.dataCenter}), expected at least ${minDataCenters}`);
+        }
+        if (stats.dataCenterCount > 0 && result.length === 0) {
+            addIssue('error', 'no-servers', `Data centers were found but no server cards (${selectors.card})`);
+        } else if (result.length > 0 && (result.length < minServers || result.length > maxServers)) {
+            addIssue('warning', 'server-count', `Found ${result.length} servers, expected between ${minServers} and ${maxServers}`);
+        }
+        if (stats.unknownGaugeClasses.size > 0) {
+            addIssue('error', 'unknown-gauge-class', 'Unknown gauge classes on the progress bar', Array.from(stats.unknownGaugeClasses));
+        }
+        if (stats.missingProgressBars.length > 0) {
+            addIssue('error', 'missing-progress-bar', `Servers without a progress bar (${selectors.progressBar})`, stats.missingProgressBars);
+        }
+        if (stats.invalidGrades.length > 0) {
+            addIssue('error', 'invalid-grade', `Servers without a readable grade (${selectors.grade})`, stats.invalidGrades);
+        }
+        if (stats.missingNames > 0) {
+            addIssue('error', 'missing-name', `${stats.missingNames} servers without a name (${selectors.serverName})`);
+        }
+        if (stats.emptyDataCenters.length > 0) {
+            addIssue('warning', 'empty-data-center', 'Data centers without any server', stats.emptyDataCenters);
+        }
 
-        // Trier par rang pour l'affichage
-        data.sort((a, b) => a.rank - b.rank);
+        return {
+            ok: !issues.some(issue => issue.severity === 'error'),
+            dataCenterCount: stats.dataCenterCount,
+            serverCount: result.length,
+            unknownGaugeClasses: Array.from(stats.unknownGaugeClasses),
+            issues
+        };
+    }
 
-        return data;
+    /**
+     * Crée un classement selon une stratégie (grade puis jauge par défaut)
+     * @param {string} dataCenter - Filtre optionnel pour afficher uniquement les serveurs d'un data center
+     * @param {string} region - Filtre optionnel pour classer uniquement les serveurs d'une région (NA, EU, OCE, JP)
+     * @param {string} strategy - Stratégie de classement (clé de RANKING_STRATEGIES, stratégie par défaut si absente)
+     * @param {Object} context - Données utilisées par la stratégie (ex. { growthRates })
+     * @returns {Array} - Tableau de classement
+     */
+    createRanking(dataCenter = null, region = null, strategy = null, context = {}) {
+        return rankServerData(this.data || [], dataCenter, region, strategy, context);
     }
 
     /**
      * Obtient la liste des data centers uniques
+     * @param {string} region - Filtre optionnel par région
      * @returns {Array} - Liste des data centers
      */
-    getDataCenters() {
+    getDataCenters(region = null) {
         if (!this.data || this.data.length === 0) {
             return [];
         }
 
-        return Array.from(new Set(this.data.map(item => item.dataCenter))).sort();
+        const data = region && region !== 'all'
+            ? this.data.filter(item => item.region === region)
+            : this.data;
+
+        return Array.from(new Set(data.map(item => item.dataCenter))).sort();
+    }
+}
+
+/**
+ * Crée un classement à partir de données de serveurs (voir FFXIVCosmicScraper.createRanking)
+ * @param {Array} servers - Données issues de FFXIVCosmicScraper.scrape()
+ * @param {string} dataCenter - Filtre optionnel par data center
+ * @param {string} region - Filtre optionnel par région
+ * @param {string} strategy - Stratégie de classement (stratégie par défaut si absente)
+ * @param {Object} context - Données utilisées par la stratégie
+ * @returns {Array} - Tableau de classement
+ */
+function rankServerData(servers, dataCenter = null, region = null, strategy = null, context = {}) {
+    // Copier les données
+    let data = [...servers];
+
+    // Filtrer par data center si spécifié
+    if (dataCenter && dataCenter !== 'all') {
+        data = data.filter(item => item.dataCenter === dataCenter);
+    }
+
+    // Filtrer par région si spécifiée
+    if (region && region !== 'all') {
+        data = data.filter(item => item.region === region);
     }
+
+    const ranking = rankServers(data, strategy, context);
+
+    // Progression affichable : la fourchette que la jauge indique réellement
+    ranking.forEach(item => {
+        item.progress = formatGaugeProgress(item);
+    });
+
+    return ranking;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    // En Node.js : chaîne de sources, régions, format des snapshots, stratégies, jauge et statut terminé
+    var { createDefaultSourceChain } = require('./data-sources');
+    var { getDataCenterRegion } = require('./regions');
+    var { toSnapshotData } = require('./snapshot-store');
+    var { rankServers } = require('./ranking-strategies');
+    var { formatGaugeProgress, isCompleteStatus, getCompleteStatusLanguages } = require('./gauge-model');
+    module.exports = { FFXIVCosmicScraper, rankServerData };
 }
@@ -0,0 +1,125 @@
+/**
+ * FileSnapshotStore - Stockage des snapshots sur disque pour cosmic-server
+ * Un fichier JSON Lines par planète, même interface que CosmicSnapshotStore
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CosmicSnapshotStore, toSnapshotData } = require('./snapshot-store');
+
+class FileSnapshotStore extends CosmicSnapshotStore {
+    /**
+     * Constructeur
+     * @param {string} directory - Dossier des fichiers de snapshots (créé si nécessaire)
+     * @param {Object} options - { retentionMs (SNAPSHOT_RETENTION_MS par défaut), lodestoneHost } (optionnel)
+     */
+    constructor(directory, options = {}) {
+        super(undefined, options);
+        this.directory = directory;
+        // Snapshots déjà lus, par planète
+        this.snapshots = new Map();
+    }
+
+    /**
+     * Crée le dossier des snapshots
+     * @returns {Promise<string>} - Dossier utilisé
+     */
+    async open() {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        return this.directory;
+    }
+
+    /**
+     * Chemin du fichier d'une planète
+     * @param {string} planetId - Identifiant de la planète
+     * @returns {string} - Chemin du fichier
+     */
+    getFilePath(planetId) {
+        return path.join(this.directory, `${encodeURIComponent(planetId)}.jsonl`);
+    }
+
+    /**
+     * Lit (une seule fois) les snapshots d'une planète
+     * @param {string} planetId - Identifiant de la planète
+     * @returns {Promise<Array>} - Snapshots du plus ancien au plus récent
+     */
+    async load(planetId) {
+        if (!this.snapshots.has(planetId)) {
+            let lines = [];
+            try {
+                lines = (await fs.promises.readFile(this.getFilePath(planetId), 'utf8')).split('\n');
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            this.snapshots.set(planetId, lines.filter(line => line.trim()).map(line => JSON.parse(line)));
+        }
+        return this.snapshots.get(planetId);
+    }
+
+    /**
+     * Enregistre un snapshot pour une planète et supprime ceux qui ont dépassé la durée de conservation
+     * @param {string} planetId - Identifiant de la planète
+     * @param {Array} data - Résultat de FFXIVCosmicScraper.scrape()
+     * @param {Date} timestamp - Date du scraping (optionnel)
+     * @returns {Promise<Object>} - Le snapshot enregistré
+     */
+    async addSnapshot(planetId, data, timestamp = new Date()) {
+        await this.open();
+        const snapshots = await this.load(planetId);
+        const snapshot = {
+            id: snapshots.length > 0 ? snapshots[snapshots.length - 1].id + 1 : 1,
+            planetId,
+            lodestoneHost: this.lodestoneHost,
+            timestamp: timestamp.getTime(),
+            data: toSnapshotData(data)
+        };
+
+        await fs.promises.appendFile(this.getFilePath(planetId), JSON.stringify(snapshot) + '\n');
+        snapshots.push(snapshot);
+        await this.deleteSnapshotsBefore(planetId, snapshot.timestamp - this.retentionMs);
+        return snapshot;
+    }
+
+    /**
+     * Supprime les snapshots d'une planète antérieurs à une date (le fichier est réécrit)
+     * @param {string} planetId - Identifiant de la planète
+     * @param {number} before - Timestamp en ms (exclu)
+     * @returns {Promise<number>} - Nombre de snapshots supprimés
+     */
+    async deleteSnapshotsBefore(planetId, before) {
+        const snapshots = await this.load(planetId);
+        const kept = snapshots.filter(snapshot => snapshot.timestamp >= before);
+        if (kept.length === snapshots.length) {
+            return 0;
+        }
+
+        await fs.promises.writeFile(this.getFilePath(planetId), kept.map(snapshot => JSON.stringify(snapshot) + '\n').join(''));
+        this.snapshots.set(planetId, kept);
+        return snapshots.length - kept.length;
+    }
+
+    /**
+     * Récupère les snapshots d'une planète, du plus ancien au plus récent
+     * @param {string} planetId - Identifiant de la planète
+     * @param {number} since - Timestamp minimum en ms (optionnel)
+     * @returns {Promise<Array>} - Liste des snapshots
+     */
+    async getSnapshots(planetId, since = 0) {
+        const snapshots = await this.load(planetId);
+        return snapshots
+            .filter(snapshot => snapshot.timestamp >= since && this.matchesHost(snapshot))
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Récupère le dernier snapshot d'une planète
+     * @param {string} planetId - Identifiant de la planète
+     * @returns {Promise<Object|null>} - Le snapshot le plus récent ou null
+     */
+    async getLatestSnapshot(planetId) {
+        const snapshots = await this.getSnapshots(planetId);
+        return snapshots.length > 0 ? snapshots[snapshots.length - 1] : null;
+    }
+}
+
+module.exports = { FileSnapshotStore };
@@ -0,0 +1,138 @@
+/**
+ * Prévision de l'heure de fin - Modèle de vitesse par régression linéaire
+ * sur une fenêtre glissante de snapshots
+ */
+
+// Fenêtre glissante utilisée pour estimer la vitesse de progression
+const FORECAST_WINDOW_MS = 48 * 60 * 60 * 1000;
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * Regroupe les snapshots par serveur
+ * @param {Array} snapshots - Snapshots triés par date (CosmicSnapshotStore.getSnapshots)
+ * @returns {Map} - serverName -> [{ timestamp, grade, progressPercentage, rawGauge, isTransitioning, statusText, isComplete }]
+ */
+function buildServerHistories(snapshots) {
+    const histories = new Map();
+
+    snapshots.forEach(snapshot => {
+        snapshot.data.forEach(server => {
+            if (!histories.has(server.serverName)) {
+                histories.set(server.serverName, []);
+            }
+            histories.get(server.serverName).push({
+                timestamp: snapshot.timestamp,
+                grade: server.grade,
+                progressPercentage: server.progressPercentage,
+                rawGauge: server.rawGauge,
+                isTransitioning: server.isTransitioning,
+                statusText: server.statusText,
+                isComplete: server.isComplete
+            });
+        });
+    });
+
+    return histories;
+}
+
+/**
+ * Régression linéaire par moindres carrés
+ * @param {Array} points - Points { x, y }
+ * @returns {Object} - { slope, intercept, r2 }
+ */
+function linearFit(points) {
+    const n = points.length;
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    points.forEach(p => {
+        sxx += (p.x - meanX) ** 2;
+        sxy += (p.x - meanX) * (p.y - meanY);
+        syy += (p.y - meanY) ** 2;
+    });
+
+    const slope = sxx === 0 ? 0 : sxy / sxx;
+    const intercept = meanY - slope * meanX;
+    const r2 = sxx === 0 || syy === 0 ? 0 : (sxy * sxy) / (sxx * syy);
+
+    return { slope, intercept, r2 };
+}
+
+/**
+ * Indice de confiance selon le nombre de points et la qualité de l'ajustement
+ * @param {number} count - Nombre de points utilisés
+ * @param {number} r2 - Coefficient de détermination
+ * @returns {string} - 'high', 'medium' ou 'low'
+ */
+function getForecastConfidence(count, r2) {
+    if (count >= 6 && r2 >= 0.9) return 'high';
+    if (count >= 3 && r2 >= 0.6) return 'medium';
+    return 'low';
+}
+
+/**
+ * Estime la fin de la jauge courante et l'atteinte du grade maximum
+ * @param {Object} server - Données courantes du serveur
+ * @param {Array} history - Historique du serveur (du plus ancien au plus récent)
+ * @param {Object} options - { maxGrade, now, windowMs } (optionnel)
+ * @returns {Object} - { status, ratePerHour, gaugeEta, maxGradeEta, confidence }
+ */
+function forecastServer(server, history, options = {}) {
+    const maxGrade = options.maxGrade || Infinity;
+    const now = options.now || Date.now();
+    const windowMs = options.windowMs || FORECAST_WINDOW_MS;
+    const current = getGradeProgress(server);
+
+    if (isServerComplete(server) || server.grade >= maxGrade) {
+        return { status: 'complete', ratePerHour: 0, gaugeEta: null, maxGradeEta: null, confidence: 'high' };
+    }
+
+    const points = history
+        .filter(point => point.timestamp >= now - windowMs)
+        .map(point => ({ x: (point.timestamp - now) / MS_PER_HOUR, y: getGradeProgress(point) }));
+
+    if (points.length < 2) {
+        return { status: 'insufficient', ratePerHour: null, gaugeEta: null, maxGradeEta: null, confidence: 'low' };
+    }
+
+    const fit = linearFit(points);
+    if (fit.slope <= 0) {
+        return { status: 'stalled', ratePerHour: 0, gaugeEta: null, maxGradeEta: null, confidence: getForecastConfidence(points.length, fit.r2) };
+    }
+
+    // La jauge courante se termine au grade suivant ; une jauge pleine ou en transition l'est déjà
+    const hoursToGauge = Math.max(0, server.grade + 1 - current) / fit.slope;
+    const hoursToMax = Number.isFinite(maxGrade) ? (maxGrade - current) / fit.slope : null;
+
+    return {
+        status: 'progressing',
+        ratePerHour: fit.slope,
+        gaugeEta: new Date(now + hoursToGauge * MS_PER_HOUR),
+        maxGradeEta: hoursToMax === null ? null : new Date(now + hoursToMax * MS_PER_HOUR),
+        confidence: getForecastConfidence(points.length, fit.r2)
+    };
+}
+
+/**
+ * Ordre d'arrivée prévu : serveurs terminés, puis par date d'atteinte du grade maximum
+ * @param {Array} data - Classement décoré avec server.forecast
+ * @returns {Array} - Copie triée avec predictedRank
+ */
+function createPredictedOrder(data) {
+    const statusOrder = { complete: 0, progressing: 1, stalled: 2, insufficient: 3 };
+    const eta = server => (server.forecast.maxGradeEta ? server.forecast.maxGradeEta.getTime() : Infinity);
+
+    return data
+        .filter(server => server.forecast)
+        .slice()
+        .sort((a, b) =>
+            statusOrder[a.forecast.status] - statusOrder[b.forecast.status] ||
+            eta(a) - eta(b) ||
+            a.rank - b.rank
+        )
+        .map((server, index) => ({ ...server, predictedRank: index + 1 }));
+}
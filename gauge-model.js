@@ -0,0 +1,147 @@
+/**
+ * Modèle de jauge - Niveau brut de la page (gauge-N), état plein ou en transition
+ * et fourchette de progression réellement connue : une jauge au niveau N
+ * couvre N/8 à (N+1)/8, le Lodestone n'en dit pas plus ; statut "terminé" d'un serveur
+ * Partagé entre l'application et la CLI Node.js
+ */
+
+// Nombre de segments d'une jauge
+const GAUGE_SEGMENTS = 8;
+
+// Statut "terminé" selon la langue du Lodestone (attribut lang de la page)
+const COMPLETE_STATUS_PATTERNS = {
+    en: /complete/i,
+    fr: /termin|achev|compl[eé]t/i,
+    de: /abgeschlossen|vollendet|komplett/i,
+    ja: /完了|達成|コンプリート/
+};
+
+/**
+ * Langues dont le statut "terminé" est reconnu
+ * @returns {Array} - Codes de COMPLETE_STATUS_PATTERNS
+ */
+function getCompleteStatusLanguages() {
+    return Object.keys(COMPLETE_STATUS_PATTERNS);
+}
+
+/**
+ * Indique si un texte de statut signifie que la planète est terminée
+ * @param {string} statusText - Texte de statut d'une carte (absent : non terminé)
+ * @param {string} language - Langue de la page (null : toutes les langues sont essayées)
+ * @returns {boolean} - Vrai si le statut indique "terminé"
+ */
+function isCompleteStatus(statusText, language = null) {
+    const patterns = language ? [COMPLETE_STATUS_PATTERNS[language]] : Object.values(COMPLETE_STATUS_PATTERNS);
+    return Boolean(statusText) && patterns.some(pattern => pattern.test(statusText));
+}
+
+/**
+ * Indique si un serveur a terminé la planète
+ * Les relevés antérieurs à isComplete n'ont que le statut, dont la langue n'est pas connue
+ * @param {Object} server - Données d'un serveur ou point d'historique
+ * @returns {boolean} - Vrai si le serveur a terminé
+ */
+function isServerComplete(server) {
+    return server.isComplete !== undefined && server.isComplete !== null
+        ? server.isComplete
+        : isCompleteStatus(server.statusText);
+}
+
+/**
+ * Niveau d'une classe de jauge (gauge-max : jauge pleine)
+ * @param {string} gaugeClass - Classe CSS (ex. 'gauge-3', 'gauge-max')
+ * @returns {number|null} - Niveau de 0 à GAUGE_SEGMENTS, null si illisible
+ */
+function parseGaugeLevel(gaugeClass) {
+    if (!gaugeClass) {
+        return null;
+    }
+    if (gaugeClass.includes('gauge-max')) {
+        return GAUGE_SEGMENTS;
+    }
+
+    const match = gaugeClass.match(/gauge-(\d+)/);
+    return match ? Math.min(parseInt(match[1]), GAUGE_SEGMENTS) : null;
+}
+
+/**
+ * Modèle de progression d'un serveur
+ * Les données sans rawGauge (anciens snapshots, données de test) sont lues depuis progressPercentage
+ * @param {Object} server - Données d'un serveur { rawGauge, isTransitioning, progressPercentage }
+ * @returns {Object} - { level, state ('filling', 'max' ou 'transition'), isFull,
+ *                       position (segments pleins, pour trier), low, high (fourchette de 0 à 1) }
+ */
+function getGaugeModel(server) {
+    let level = parseGaugeLevel(server.rawGauge);
+    if (level === null) {
+        level = Math.round((server.progressPercentage || 0) * GAUGE_SEGMENTS);
+    }
+
+    const state = server.isTransitioning ? 'transition' : level >= GAUGE_SEGMENTS ? 'max' : 'filling';
+    const isFull = state !== 'filling';
+
+    return {
+        level,
+        state,
+        isFull,
+        position: isFull ? GAUGE_SEGMENTS : level,
+        low: isFull ? 1 : level / GAUGE_SEGMENTS,
+        high: isFull ? 1 : (level + 1) / GAUGE_SEGMENTS
+    };
+}
+
+/**
+ * Segments de jauge franchis, pour comparer deux serveurs d'un même grade
+ * @param {Object} server - Données d'un serveur
+ * @returns {number} - Segments pleins (GAUGE_SEGMENTS pour une jauge pleine ou en transition)
+ */
+function getGaugePosition(server) {
+    return getGaugeModel(server).position;
+}
+
+/**
+ * Nombre total de segments de jauge franchis (GAUGE_SEGMENTS par grade)
+ * @param {Object} server - Données d'un serveur
+ * @returns {number} - Segments cumulés
+ */
+function getTotalSegments(server) {
+    return server.grade * GAUGE_SEGMENTS + getGaugePosition(server);
+}
+
+/**
+ * Progression en grades, lue sur la position de la jauge (ex. 5.625 = grade 5, 5 segments pleins)
+ * @param {Object} server - Données d'un serveur ou point d'historique
+ * @returns {number} - Grade et fraction de jauge
+ */
+function getGradeProgress(server) {
+    return getTotalSegments(server) / GAUGE_SEGMENTS;
+}
+
+/**
+ * Progression connue d'un serveur en texte, indépendant de la langue (exports, CLI, API) :
+ * fourchette de la jauge, suivie de l'état d'une jauge pleine (ex. "62.5% – 75%", "100% (transition)")
+ * @param {Object} server - Données d'un serveur
+ * @returns {string} - Progression affichable
+ */
+function formatGaugeProgress(server) {
+    const gauge = getGaugeModel(server);
+    const percent = ratio => `${Number((ratio * 100).toFixed(1))}%`;
+    const range = gauge.low === gauge.high ? percent(gauge.low) : `${percent(gauge.low)} – ${percent(gauge.high)}`;
+    return gauge.isFull && !isServerComplete(server) ? `${range} (${gauge.state})` : range;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GAUGE_SEGMENTS,
+        COMPLETE_STATUS_PATTERNS,
+        parseGaugeLevel,
+        getGaugeModel,
+        getGaugePosition,
+        getTotalSegments,
+        getGradeProgress,
+        getCompleteStatusLanguages,
+        isCompleteStatus,
+        isServerComplete,
+        formatGaugeProgress
+    };
+}
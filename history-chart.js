@@ -0,0 +1,100 @@
+/**
+ * Graphique d'historique - Courbe grade + progression dans le temps,
+ * dessinée en SVG sans service externe
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Crée un élément SVG avec ses attributs
+ * @param {string} tag - Nom de la balise SVG
+ * @param {Object} attributes - Attributs à appliquer
+ * @returns {SVGElement} - Élément créé
+ */
+function createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+/**
+ * Dessine la courbe d'historique d'un serveur
+ * La valeur tracée est le grade plus la position de la jauge (ex. 3.625 = grade 3, 5 segments pleins)
+ * @param {Array} history - Points { timestamp, grade, progressPercentage, rawGauge, isTransitioning, statusText, isComplete }
+ * @param {Object} options - Dimensions du graphique (optionnel)
+ * @returns {SVGElement} - Graphique SVG
+ */
+function createHistoryChart(history, options = {}) {
+    const width = options.width || 640;
+    const height = options.height || 240;
+    const padding = { top: 16, right: 16, bottom: 32, left: 40 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    const svg = createSvgElement('svg', {
+        viewBox: `0 0 ${width} ${height}`,
+        class: 'history-chart',
+        preserveAspectRatio: 'xMidYMid meet'
+    });
+
+    const points = history.map(point => ({
+        x: point.timestamp,
+        y: getGradeProgress(point)
+    }));
+
+    const minX = Math.min(...points.map(p => p.x));
+    const maxX = Math.max(...points.map(p => p.x));
+    const minY = Math.floor(Math.min(...points.map(p => p.y)));
+    const maxY = Math.max(minY + 1, Math.ceil(Math.max(...points.map(p => p.y))));
+
+    const scaleX = x => padding.left + (maxX === minX ? plotWidth / 2 : ((x - minX) / (maxX - minX)) * plotWidth);
+    const scaleY = y => padding.top + plotHeight - ((y - minY) / (maxY - minY)) * plotHeight;
+
+    // Lignes de grille : une par grade
+    for (let grade = minY; grade <= maxY; grade++) {
+        const y = scaleY(grade);
+        svg.appendChild(createSvgElement('line', {
+            x1: padding.left, x2: width - padding.right, y1: y, y2: y,
+            class: 'history-chart-grid'
+        }));
+        const label = createSvgElement('text', {
+            x: padding.left - 8, y: y + 4, 'text-anchor': 'end',
+            class: 'history-chart-label'
+        });
+        label.textContent = `G${grade}`;
+        svg.appendChild(label);
+    }
+
+    // Axe des temps : première et dernière date
+    [minX, maxX].filter((x, i, arr) => arr.indexOf(x) === i).forEach((x, i) => {
+        const label = createSvgElement('text', {
+            x: scaleX(x), y: height - 8,
+            'text-anchor': i === 0 && minX !== maxX ? 'start' : 'end',
+            class: 'history-chart-label'
+        });
+        label.textContent = new Date(x).toLocaleString(getLanguage(), {
+            month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+        svg.appendChild(label);
+    });
+
+    // Courbe
+    const path = points
+        .map((p, i) => `${i === 0 ? 'M' : 'L'}${scaleX(p.x).toFixed(1)},${scaleY(p.y).toFixed(1)}`)
+        .join(' ');
+    svg.appendChild(createSvgElement('path', { d: path, class: 'history-chart-line' }));
+
+    // Points avec info-bulle
+    history.forEach((point, i) => {
+        const circle = createSvgElement('circle', {
+            cx: scaleX(points[i].x), cy: scaleY(points[i].y), r: 3,
+            class: 'history-chart-point'
+        });
+        const title = createSvgElement('title');
+        title.textContent = `${new Date(point.timestamp).toLocaleString(getLanguage())} - ${t('server.grade', { grade: point.grade })}, ${formatGaugeText(point)}`;
+        circle.appendChild(title);
+        svg.appendChild(circle);
+    });
+
+    return svg;
+}
@@ -0,0 +1,915 @@
+/**
+ * Traductions - Textes de l'interface en anglais, français, allemand et japonais,
+ * dates relatives et format des nombres selon la langue choisie
+ */
+
+// Langues proposées (code -> nom affiché dans sa propre langue)
+const LANGUAGES = {
+    en: 'English',
+    fr: 'Français',
+    de: 'Deutsch',
+    ja: '日本語'
+};
+
+// Textes de l'interface, {param} est remplacé par t()
+// Une clé absente d'une langue retombe sur l'anglais
+const TRANSLATIONS = {
+    en: {
+        'header.alerts': 'Auto-refresh and alerts',
+        'header.theme': 'Switch between light and dark theme',
+        'header.language': 'Language',
+        'header.refresh': 'Refresh',
+        'header.refreshing': 'Refreshing...',
+        'header.neverUpdated': 'Never updated',
+        'header.lastUpdated': 'Last updated: {time}',
+        'time.justNow': 'Just now',
+        'duration.minutes': '{minutes}m',
+        'duration.hours': '{hours}h {minutes}m',
+        'duration.days': '{days}d {hours}h',
+        'status.title': 'Exploration Status',
+        'status.description': 'Real-time tracking of cosmic exploration progress for all FFXIV servers.',
+        'controls.lodestone': 'Lodestone',
+        'controls.region': 'Region',
+        'controls.allRegions': 'All Regions',
+        'controls.dataCenter': 'Data Center',
+        'controls.allDataCenters': 'All Data Centers',
+        'controls.viewMode': 'View Mode',
+        'region.NA': 'North America',
+        'region.EU': 'Europe',
+        'region.OCE': 'Oceania',
+        'region.JP': 'Japan',
+        'planet.patch': 'Patch {patch}',
+        'planet.soon': 'Soon',
+        'view.table': 'Table',
+        'view.grid': 'Grid',
+        'view.forecast': 'Forecast',
+        'view.datacenters': 'Data Centers',
+        'view.overall': 'All Planets',
+        'view.activity': 'Activity',
+        'alerts.autoRefresh': 'Auto-refresh',
+        'alerts.refreshEvery': 'Refresh every',
+        'alerts.everyMinutes': '{minutes} minutes',
+        'alerts.everyHour': '1 hour',
+        'alerts.rules': 'Alert Rules',
+        'alerts.server': 'Server',
+        'alerts.rival': 'Rival server',
+        'alerts.add': 'Add',
+        'alerts.enableNotifications': 'Enable browser notifications',
+        'alerts.recent': 'Recent Alerts',
+        'alerts.noRules': 'No alert rules yet',
+        'alerts.noAlerts': 'No alerts fired yet',
+        'alerts.removeRule': 'Remove rule',
+        'alerts.type.grade-up': 'Server gains a grade',
+        'alerts.type.gauge-max': 'Server reaches gauge-max',
+        'alerts.type.overtake': 'Server overtakes a rival',
+        'alerts.type.dc-leader': 'Data center leader changes',
+        'alerts.rule.grade-up': '{server} gains a grade',
+        'alerts.rule.gauge-max': '{server} reaches gauge-max',
+        'alerts.rule.overtake': '{server} overtakes {target}',
+        'alerts.rule.dc-leader': '{dataCenter} leader changes',
+        'alerts.gradeUp.title': '{server} reached Grade {grade}',
+        'alerts.gradeUp.message': 'Rank #{rank} on {dataCenter}',
+        'alerts.gaugeMax.title': '{server} filled its gauge',
+        'alerts.gaugeMax.message': 'Grade {grade} gauge is at max',
+        'alerts.overtake.title': '{server} passed {rival}',
+        'alerts.overtake.message': 'Now #{rank}, {rival} is #{rivalRank}',
+        'alerts.dcLeader.title': '{server} now leads {dataCenter}',
+        'alerts.dcLeader.message': 'Previous leader: {previous}',
+        'error.title': 'Unable to Load Data',
+        'error.message': 'We encountered an error while fetching the latest exploration data.',
+        'error.attempts': '{count} attempts',
+        'error.retry': 'Retry',
+        'error.upload': 'Load HTML file',
+        'comingSoon.title': 'Coming Soon',
+        'comingSoon.message': 'Data for this planet will be available when the patch is released.',
+        'comingSoon.planet': 'Data for {planet} will be available in Patch {patch}',
+        'comingSoon.submessage': 'Please check back after the patch is released.',
+        'formatWarning.title': 'Source Format Changed',
+        'formatWarning.message': 'The Lodestone report page no longer matches what the tracker expects, so the data below may be incomplete or wrong. The tracker needs an update.',
+        'formatWarning.more': '+{count} more',
+        'stale.message': 'Stale data from {time}. Live data could not be loaded, showing the last good data.',
+        'stale.messageOn': 'Stale data from {time} on {date}. Live data could not be loaded, showing the last good data.',
+        'source.lastGood': 'Last good data',
+        'favorites.title': 'My Worlds',
+        'favorites.add': 'Add to My Worlds',
+        'favorites.remove': 'Remove from My Worlds',
+        'favorites.leading': 'Leading',
+        'favorites.behind': '{segments} seg behind {server} (#{rank})',
+        'filters.search': 'Search',
+        'filters.searchPlaceholder': 'Server name',
+        'filters.status': 'Status',
+        'filters.allStatuses': 'All Statuses',
+        'filters.grade': 'Grade',
+        'filters.min': 'Min',
+        'filters.max': 'Max',
+        'filters.minTitle': 'Minimum grade',
+        'filters.maxTitle': 'Maximum grade',
+        'filters.sortBy': 'Sort By',
+        'filters.reverse': 'Reverse order',
+        'filters.strategy': 'Ranking',
+        'strategy.competition': 'Standard (1, 1, 3)',
+        'strategy.dense': 'Dense (1, 1, 2)',
+        'strategy.effective': 'Effective progress',
+        'strategy.growth': 'Recent growth',
+        'strategy.active': 'Ranked by: {strategy}',
+        'filters.noResults': 'No servers match the current filters.',
+        'column.rank': 'Rank',
+        'column.serverName': 'Server',
+        'column.dataCenter': 'Data Center',
+        'column.grade': 'Grade',
+        'column.progress': 'Progress',
+        'column.eta': 'ETA',
+        'column.predicted': 'Predicted',
+        'column.current': 'Current',
+        'column.maxGradeEta': 'Max Grade ETA',
+        'column.rate': 'Rate',
+        'column.servers': 'Servers',
+        'column.averageGrade': 'Avg Grade',
+        'column.totalSegments': 'Total Segments',
+        'column.medianRank': 'Median Rank',
+        'column.completed': 'Completed',
+        'column.best': 'Best',
+        'column.worst': 'Worst',
+        'column.planets': 'Planets',
+        'metric.averageGrade': 'Average Grade',
+        'metric.totalSegments': 'Total Segments',
+        'metric.medianRank': 'Median Rank',
+        'metric.completedCount': 'Completed',
+        'metric.best': 'Best Server',
+        'datacenters.comparison': 'Comparison',
+        'datacenters.headToHead': 'Head-to-Head',
+        'datacenters.pickTwo': 'Pick two data centers to compare',
+        'server.grade': 'Grade {grade}',
+        'server.gradeLabel': 'Grade:',
+        'server.showHistory': 'Show history',
+        'server.gradeUp': 'Grade up!',
+        'server.new': 'new',
+        'server.newTitle': 'New since last refresh',
+        'server.movedUp': 'Up {count} since last refresh',
+        'server.movedDown': 'Down {count} since last refresh',
+        'server.segmentsTitle': 'Gauge segments since last refresh',
+        'server.segments': '{count} seg',
+        'server.rate': '{rate} seg/h',
+        'server.dcRank': 'DC #{rank}',
+        'server.dcRankTitle': 'Rank in {dataCenter}',
+        'gauge.max': 'Max',
+        'gauge.maxTitle': 'Gauge full, waiting for the grade up',
+        'gauge.transition': 'Grading up',
+        'gauge.transitionTitle': 'The Lodestone shows the grade up in progress',
+        'gauge.bandTitle': 'Gauge level {level} of 8: the exact progress is somewhere in this range',
+        'a11y.planets': 'Planets',
+        'a11y.gauge': 'Gauge of {server}',
+        'a11y.loaded': '{planet}: ranking of {count} worlds updated',
+        'a11y.loadedStale': '{planet}: showing the last saved ranking',
+        'a11y.loadFailed': 'Unable to load the ranking',
+        'a11y.view': '{view} view',
+        'a11y.dataCenter': 'Data center: {dataCenter}',
+        'activity.grade-up': '{server} reached Grade {grade}',
+        'activity.gauge-max': '{server} filled its Grade {grade} gauge',
+        'activity.complete': '{server} completed the planet',
+        'activity.overtake': '{server} passed {rival} for #{rank} on {dataCenter}',
+        'activity.overtake-global': '{server} passed {rival} ({rivalDataCenter}) for #{rank} overall',
+        'activity.dc-completed': '{dataCenter} now has {count} completed worlds',
+        'activity.favoritesOnly': 'My Worlds only',
+        'activity.empty': 'No activity yet. Events appear as successive refreshes are stored.',
+        'eta.gauge': 'Gauge',
+        'eta.max': 'Max',
+        'eta.gaugeEta': 'Gauge ETA',
+        'eta.complete': 'Complete',
+        'eta.stalled': 'Stalled',
+        'eta.stalledTitle': 'No progress in the forecast window',
+        'eta.collecting': 'Collecting data',
+        'eta.collectingTitle': 'Needs at least two snapshots',
+        'eta.in': 'in {duration}',
+        'eta.confidence': '{date} ({confidence} confidence)',
+        'confidence.high': 'high',
+        'confidence.medium': 'medium',
+        'confidence.low': 'low',
+        'summary.before': 'Showing',
+        'summary.after': 'servers',
+        'export.label': 'Export',
+        'export.csvTitle': 'Download as CSV',
+        'export.jsonTitle': 'Download as JSON',
+        'export.image': 'Image',
+        'export.imageTitle': 'Download a leaderboard image',
+        'export.imageSubtitle': 'Cosmic Exploration · {scope}',
+        'export.imageFooter': 'Updated {date} · FFXIV Cosmic Exploration Tracker',
+        'history.title': 'Server History',
+        'history.close': 'Close',
+        'history.empty': 'Not enough snapshots yet. History builds up each time the data is refreshed.',
+        'history.notRanked': 'Not ranked',
+        'footer.disclaimer': 'Not affiliated with Square Enix',
+        'footer.shortcuts': 'Shortcuts: R refresh · 1–6 views · [ ] data center',
+        'footer.shortcutsToggle': 'Single-key shortcuts can be turned off',
+        'embed.notFound': '{server} is not ranked on this planet'
+    },
+    fr: {
+        'header.alerts': 'Actualisation automatique et alertes',
+        'header.theme': 'Basculer entre thème clair et sombre',
+        'header.language': 'Langue',
+        'header.refresh': 'Actualiser',
+        'header.refreshing': 'Actualisation...',
+        'header.neverUpdated': 'Jamais mis à jour',
+        'header.lastUpdated': 'Mis à jour : {time}',
+        'time.justNow': "À l'instant",
+        'duration.minutes': '{minutes} min',
+        'duration.hours': '{hours} h {minutes} min',
+        'duration.days': '{days} j {hours} h',
+        'status.title': "État de l'exploration",
+        'status.description': "Suivi en temps réel de la progression de l'exploration cosmique sur tous les serveurs de FFXIV.",
+        'controls.lodestone': 'Lodestone',
+        'controls.region': 'Région',
+        'controls.allRegions': 'Toutes les régions',
+        'controls.dataCenter': 'Centre de données',
+        'controls.allDataCenters': 'Tous les centres de données',
+        'controls.viewMode': 'Affichage',
+        'region.NA': 'Amérique du Nord',
+        'region.EU': 'Europe',
+        'region.OCE': 'Océanie',
+        'region.JP': 'Japon',
+        'planet.patch': 'Patch {patch}',
+        'planet.soon': 'Bientôt',
+        'view.table': 'Tableau',
+        'view.grid': 'Grille',
+        'view.forecast': 'Prévisions',
+        'view.datacenters': 'Centres de données',
+        'view.overall': 'Toutes les planètes',
+        'view.activity': 'Activité',
+        'alerts.autoRefresh': 'Actualisation automatique',
+        'alerts.refreshEvery': 'Actualiser toutes les',
+        'alerts.everyMinutes': '{minutes} minutes',
+        'alerts.everyHour': '1 heure',
+        'alerts.rules': "Règles d'alerte",
+        'alerts.server': 'Serveur',
+        'alerts.rival': 'Serveur rival',
+        'alerts.add': 'Ajouter',
+        'alerts.enableNotifications': 'Activer les notifications du navigateur',
+        'alerts.recent': 'Alertes récentes',
+        'alerts.noRules': "Aucune règle d'alerte",
+        'alerts.noAlerts': 'Aucune alerte déclenchée',
+        'alerts.removeRule': 'Supprimer la règle',
+        'alerts.type.grade-up': 'Un serveur gagne un grade',
+        'alerts.type.gauge-max': 'Un serveur remplit sa jauge',
+        'alerts.type.overtake': 'Un serveur dépasse un rival',
+        'alerts.type.dc-leader': "Le meneur d'un centre de données change",
+        'alerts.rule.grade-up': '{server} gagne un grade',
+        'alerts.rule.gauge-max': '{server} remplit sa jauge',
+        'alerts.rule.overtake': '{server} dépasse {target}',
+        'alerts.rule.dc-leader': 'Le meneur de {dataCenter} change',
+        'alerts.gradeUp.title': '{server} a atteint le grade {grade}',
+        'alerts.gradeUp.message': 'Rang {rank} sur {dataCenter}',
+        'alerts.gaugeMax.title': '{server} a rempli sa jauge',
+        'alerts.gaugeMax.message': 'La jauge du grade {grade} est pleine',
+        'alerts.overtake.title': '{server} a dépassé {rival}',
+        'alerts.overtake.message': 'Désormais {rank}e, {rival} est {rivalRank}e',
+        'alerts.dcLeader.title': '{server} mène désormais {dataCenter}',
+        'alerts.dcLeader.message': 'Meneur précédent : {previous}',
+        'error.title': 'Impossible de charger les données',
+        'error.message': "Une erreur s'est produite lors de la récupération des dernières données d'exploration.",
+        'error.attempts': '{count} tentatives',
+        'error.retry': 'Réessayer',
+        'error.upload': 'Charger un fichier HTML',
+        'comingSoon.title': 'Bientôt disponible',
+        'comingSoon.message': 'Les données de cette planète seront disponibles à la sortie du patch.',
+        'comingSoon.planet': 'Les données de {planet} seront disponibles avec le patch {patch}',
+        'comingSoon.submessage': 'Revenez après la sortie du patch.',
+        'formatWarning.title': 'Format de la source modifié',
+        'formatWarning.message': "La page du rapport Lodestone ne correspond plus à ce qu'attend le tracker : les données ci-dessous peuvent être incomplètes ou fausses. Le tracker doit être mis à jour.",
+        'formatWarning.more': '+{count} autres',
+        'stale.message': 'Données de {time}. Les données en direct sont indisponibles, affichage des dernières données valides.',
+        'stale.messageOn': 'Données du {date} à {time}. Les données en direct sont indisponibles, affichage des dernières données valides.',
+        'source.lastGood': 'Dernières données valides',
+        'favorites.title': 'Mes mondes',
+        'favorites.add': 'Ajouter à Mes mondes',
+        'favorites.remove': 'Retirer de Mes mondes',
+        'favorites.leading': 'En tête',
+        'favorites.behind': '{segments} seg. derrière {server} (n° {rank})',
+        'filters.search': 'Recherche',
+        'filters.searchPlaceholder': 'Nom du serveur',
+        'filters.status': 'Statut',
+        'filters.allStatuses': 'Tous les statuts',
+        'filters.grade': 'Grade',
+        'filters.min': 'Min',
+        'filters.max': 'Max',
+        'filters.minTitle': 'Grade minimum',
+        'filters.maxTitle': 'Grade maximum',
+        'filters.sortBy': 'Trier par',
+        'filters.reverse': 'Inverser l\'ordre',
+        'filters.strategy': 'Classement',
+        'strategy.competition': 'Standard (1, 1, 3)',
+        'strategy.dense': 'Dense (1, 1, 2)',
+        'strategy.effective': 'Progression effective',
+        'strategy.growth': 'Croissance récente',
+        'strategy.active': 'Classement : {strategy}',
+        'filters.noResults': 'Aucun serveur ne correspond aux filtres.',
+        'column.rank': 'Rang',
+        'column.serverName': 'Serveur',
+        'column.dataCenter': 'Centre de données',
+        'column.grade': 'Grade',
+        'column.progress': 'Progression',
+        'column.eta': 'Estimation',
+        'column.predicted': 'Prévu',
+        'column.current': 'Actuel',
+        'column.maxGradeEta': 'Grade max estimé',
+        'column.rate': 'Rythme',
+        'column.servers': 'Serveurs',
+        'column.averageGrade': 'Grade moyen',
+        'column.totalSegments': 'Segments cumulés',
+        'column.medianRank': 'Rang médian',
+        'column.completed': 'Terminés',
+        'column.best': 'Meilleur',
+        'column.worst': 'Dernier',
+        'column.planets': 'Planètes',
+        'metric.averageGrade': 'Grade moyen',
+        'metric.totalSegments': 'Segments cumulés',
+        'metric.medianRank': 'Rang médian',
+        'metric.completedCount': 'Terminés',
+        'metric.best': 'Meilleur serveur',
+        'datacenters.comparison': 'Comparaison',
+        'datacenters.headToHead': 'Face-à-face',
+        'datacenters.pickTwo': 'Choisissez deux centres de données à comparer',
+        'server.grade': 'Grade {grade}',
+        'server.gradeLabel': 'Grade :',
+        'server.showHistory': "Afficher l'historique",
+        'server.gradeUp': 'Grade supérieur !',
+        'server.new': 'nouveau',
+        'server.newTitle': 'Nouveau depuis la dernière actualisation',
+        'server.movedUp': '{count} place(s) gagnée(s) depuis la dernière actualisation',
+        'server.movedDown': '{count} place(s) perdue(s) depuis la dernière actualisation',
+        'server.segmentsTitle': 'Segments de jauge depuis la dernière actualisation',
+        'server.segments': '{count} seg.',
+        'server.rate': '{rate} seg./h',
+        'server.dcRank': 'DC n°{rank}',
+        'server.dcRankTitle': 'Rang dans {dataCenter}',
+        'gauge.max': 'Max',
+        'gauge.maxTitle': 'Jauge pleine, en attente du passage de grade',
+        'gauge.transition': 'Passage de grade',
+        'gauge.transitionTitle': 'Le Lodestone affiche le passage de grade en cours',
+        'gauge.bandTitle': 'Jauge au niveau {level} sur 8 : la progression exacte se situe dans cette fourchette',
+        'a11y.planets': 'Planètes',
+        'a11y.gauge': 'Jauge de {server}',
+        'a11y.loaded': '{planet} : classement de {count} mondes mis à jour',
+        'a11y.loadedStale': '{planet} : affichage du dernier classement enregistré',
+        'a11y.loadFailed': 'Impossible de charger le classement',
+        'a11y.view': 'Vue {view}',
+        'a11y.dataCenter': 'Centre de données : {dataCenter}',
+        'activity.grade-up': '{server} a atteint le grade {grade}',
+        'activity.gauge-max': '{server} a rempli sa jauge du grade {grade}',
+        'activity.complete': '{server} a terminé la planète',
+        'activity.overtake': '{server} a dépassé {rival} et passe n°{rank} sur {dataCenter}',
+        'activity.overtake-global': '{server} a dépassé {rival} ({rivalDataCenter}) et passe n°{rank} au classement général',
+        'activity.dc-completed': '{dataCenter} compte maintenant {count} mondes terminés',
+        'activity.favoritesOnly': 'Mes mondes uniquement',
+        'activity.empty': 'Aucune activité pour le moment. Les événements apparaissent au fil des actualisations enregistrées.',
+        'eta.gauge': 'Jauge',
+        'eta.max': 'Max',
+        'eta.gaugeEta': 'Jauge pleine',
+        'eta.complete': 'Terminé',
+        'eta.stalled': 'À l\'arrêt',
+        'eta.stalledTitle': 'Aucune progression sur la période de prévision',
+        'eta.collecting': 'Collecte en cours',
+        'eta.collectingTitle': 'Il faut au moins deux relevés',
+        'eta.in': 'dans {duration}',
+        'eta.confidence': '{date} (confiance {confidence})',
+        'confidence.high': 'élevée',
+        'confidence.medium': 'moyenne',
+        'confidence.low': 'faible',
+        'summary.before': '',
+        'summary.after': 'serveurs affichés',
+        'export.label': 'Exporter',
+        'export.csvTitle': 'Télécharger en CSV',
+        'export.jsonTitle': 'Télécharger en JSON',
+        'export.image': 'Image',
+        'export.imageTitle': 'Télécharger une image du classement',
+        'export.imageSubtitle': 'Exploration cosmique · {scope}',
+        'export.imageFooter': 'Mis à jour le {date} · FFXIV Cosmic Exploration Tracker',
+        'history.title': 'Historique du serveur',
+        'history.close': 'Fermer',
+        'history.empty': "Pas encore assez de relevés. L'historique se construit à chaque actualisation des données.",
+        'history.notRanked': 'Non classé',
+        'footer.disclaimer': 'Non affilié à Square Enix',
+        'footer.shortcuts': 'Raccourcis : R actualiser · 1–6 vues · [ ] centre de données',
+        'footer.shortcutsToggle': 'Les raccourcis à une touche peuvent être désactivés',
+        'embed.notFound': "{server} n'est pas classé sur cette planète"
+    },
+    de: {
+        'header.alerts': 'Automatische Aktualisierung und Benachrichtigungen',
+        'header.theme': 'Zwischen hellem und dunklem Design wechseln',
+        'header.language': 'Sprache',
+        'header.refresh': 'Aktualisieren',
+        'header.refreshing': 'Wird aktualisiert...',
+        'header.neverUpdated': 'Noch nie aktualisiert',
+        'header.lastUpdated': 'Zuletzt aktualisiert: {time}',
+        'time.justNow': 'Gerade eben',
+        'duration.minutes': '{minutes} Min.',
+        'duration.hours': '{hours} Std. {minutes} Min.',
+        'duration.days': '{days} T. {hours} Std.',
+        'status.title': 'Erkundungsstatus',
+        'status.description': 'Echtzeit-Verfolgung des Fortschritts der kosmischen Erkundung auf allen FFXIV-Welten.',
+        'controls.lodestone': 'Lodestone',
+        'controls.region': 'Region',
+        'controls.allRegions': 'Alle Regionen',
+        'controls.dataCenter': 'Datenzentrum',
+        'controls.allDataCenters': 'Alle Datenzentren',
+        'controls.viewMode': 'Ansicht',
+        'region.NA': 'Nordamerika',
+        'region.EU': 'Europa',
+        'region.OCE': 'Ozeanien',
+        'region.JP': 'Japan',
+        'planet.patch': 'Patch {patch}',
+        'planet.soon': 'Demnächst',
+        'view.table': 'Tabelle',
+        'view.grid': 'Raster',
+        'view.forecast': 'Prognose',
+        'view.datacenters': 'Datenzentren',
+        'view.overall': 'Alle Planeten',
+        'view.activity': 'Aktivität',
+        'alerts.autoRefresh': 'Automatische Aktualisierung',
+        'alerts.refreshEvery': 'Aktualisieren alle',
+        'alerts.everyMinutes': '{minutes} Minuten',
+        'alerts.everyHour': '1 Stunde',
+        'alerts.rules': 'Benachrichtigungsregeln',
+        'alerts.server': 'Welt',
+        'alerts.rival': 'Rivalisierende Welt',
+        'alerts.add': 'Hinzufügen',
+        'alerts.enableNotifications': 'Browser-Benachrichtigungen aktivieren',
+        'alerts.recent': 'Letzte Benachrichtigungen',
+        'alerts.noRules': 'Noch keine Regeln',
+        'alerts.noAlerts': 'Noch keine Benachrichtigungen',
+        'alerts.removeRule': 'Regel entfernen',
+        'alerts.type.grade-up': 'Welt steigt einen Rang auf',
+        'alerts.type.gauge-max': 'Welt füllt ihre Leiste',
+        'alerts.type.overtake': 'Welt überholt einen Rivalen',
+        'alerts.type.dc-leader': 'Neue Spitze im Datenzentrum',
+        'alerts.rule.grade-up': '{server} steigt einen Rang auf',
+        'alerts.rule.gauge-max': '{server} füllt die Leiste',
+        'alerts.rule.overtake': '{server} überholt {target}',
+        'alerts.rule.dc-leader': 'Neue Spitze in {dataCenter}',
+        'alerts.gradeUp.title': '{server} hat Rang {grade} erreicht',
+        'alerts.gradeUp.message': 'Platz {rank} in {dataCenter}',
+        'alerts.gaugeMax.title': '{server} hat die Leiste gefüllt',
+        'alerts.gaugeMax.message': 'Die Leiste von Rang {grade} ist voll',
+        'alerts.overtake.title': '{server} hat {rival} überholt',
+        'alerts.overtake.message': 'Jetzt Platz {rank}, {rival} ist auf Platz {rivalRank}',
+        'alerts.dcLeader.title': '{server} führt jetzt {dataCenter} an',
+        'alerts.dcLeader.message': 'Bisherige Spitze: {previous}',
+        'error.title': 'Daten konnten nicht geladen werden',
+        'error.message': 'Beim Abrufen der neuesten Erkundungsdaten ist ein Fehler aufgetreten.',
+        'error.attempts': '{count} Versuche',
+        'error.retry': 'Erneut versuchen',
+        'error.upload': 'HTML-Datei laden',
+        'comingSoon.title': 'Demnächst verfügbar',
+        'comingSoon.message': 'Die Daten dieses Planeten sind mit Erscheinen des Patches verfügbar.',
+        'comingSoon.planet': 'Die Daten von {planet} sind ab Patch {patch} verfügbar',
+        'comingSoon.submessage': 'Bitte schau nach Erscheinen des Patches wieder vorbei.',
+        'formatWarning.title': 'Quellformat geändert',
+        'formatWarning.message': 'Die Lodestone-Berichtsseite entspricht nicht mehr dem erwarteten Format, die folgenden Daten können unvollständig oder falsch sein. Der Tracker muss aktualisiert werden.',
+        'formatWarning.more': '+{count} weitere',
+        'stale.message': 'Veraltete Daten von {time}. Live-Daten konnten nicht geladen werden, die letzten gültigen Daten werden angezeigt.',
+        'stale.messageOn': 'Veraltete Daten vom {date}, {time}. Live-Daten konnten nicht geladen werden, die letzten gültigen Daten werden angezeigt.',
+        'source.lastGood': 'Letzte gültige Daten',
+        'favorites.title': 'Meine Welten',
+        'favorites.add': 'Zu Meine Welten hinzufügen',
+        'favorites.remove': 'Aus Meine Welten entfernen',
+        'favorites.leading': 'Führend',
+        'favorites.behind': '{segments} Seg. hinter {server} (Nr. {rank})',
+        'filters.search': 'Suche',
+        'filters.searchPlaceholder': 'Name der Welt',
+        'filters.status': 'Status',
+        'filters.allStatuses': 'Alle Status',
+        'filters.grade': 'Rang',
+        'filters.min': 'Min.',
+        'filters.max': 'Max.',
+        'filters.minTitle': 'Mindestrang',
+        'filters.maxTitle': 'Höchstrang',
+        'filters.sortBy': 'Sortieren nach',
+        'filters.reverse': 'Reihenfolge umkehren',
+        'filters.strategy': 'Rangfolge',
+        'strategy.competition': 'Standard (1, 1, 3)',
+        'strategy.dense': 'Dicht (1, 1, 2)',
+        'strategy.effective': 'Effektiver Fortschritt',
+        'strategy.growth': 'Jüngstes Wachstum',
+        'strategy.active': 'Rangfolge: {strategy}',
+        'filters.noResults': 'Keine Welt entspricht den aktuellen Filtern.',
+        'column.rank': 'Platz',
+        'column.serverName': 'Welt',
+        'column.dataCenter': 'Datenzentrum',
+        'column.grade': 'Rang',
+        'column.progress': 'Fortschritt',
+        'column.eta': 'Prognose',
+        'column.predicted': 'Erwartet',
+        'column.current': 'Aktuell',
+        'column.maxGradeEta': 'Höchstrang erwartet',
+        'column.rate': 'Tempo',
+        'column.servers': 'Welten',
+        'column.averageGrade': 'Ø Rang',
+        'column.totalSegments': 'Segmente gesamt',
+        'column.medianRank': 'Median-Platz',
+        'column.completed': 'Abgeschlossen',
+        'column.best': 'Beste',
+        'column.worst': 'Letzte',
+        'column.planets': 'Planeten',
+        'metric.averageGrade': 'Durchschnittlicher Rang',
+        'metric.totalSegments': 'Segmente gesamt',
+        'metric.medianRank': 'Median-Platz',
+        'metric.completedCount': 'Abgeschlossen',
+        'metric.best': 'Beste Welt',
+        'datacenters.comparison': 'Vergleich',
+        'datacenters.headToHead': 'Direktvergleich',
+        'datacenters.pickTwo': 'Wähle zwei Datenzentren zum Vergleichen',
+        'server.grade': 'Rang {grade}',
+        'server.gradeLabel': 'Rang:',
+        'server.showHistory': 'Verlauf anzeigen',
+        'server.gradeUp': 'Rang aufgestiegen!',
+        'server.new': 'neu',
+        'server.newTitle': 'Neu seit der letzten Aktualisierung',
+        'server.movedUp': '{count} Plätze gewonnen seit der letzten Aktualisierung',
+        'server.movedDown': '{count} Plätze verloren seit der letzten Aktualisierung',
+        'server.segmentsTitle': 'Leistensegmente seit der letzten Aktualisierung',
+        'server.segments': '{count} Seg.',
+        'server.rate': '{rate} Seg./Std.',
+        'server.dcRank': 'DC #{rank}',
+        'server.dcRankTitle': 'Rang in {dataCenter}',
+        'gauge.max': 'Max',
+        'gauge.maxTitle': 'Anzeige voll, Rangaufstieg steht aus',
+        'gauge.transition': 'Rangaufstieg',
+        'gauge.transitionTitle': 'Der Lodestone zeigt den laufenden Rangaufstieg',
+        'gauge.bandTitle': 'Anzeigestufe {level} von 8: der genaue Fortschritt liegt in diesem Bereich',
+        'a11y.planets': 'Planeten',
+        'a11y.gauge': 'Anzeige von {server}',
+        'a11y.loaded': '{planet}: Rangliste von {count} Welten aktualisiert',
+        'a11y.loadedStale': '{planet}: letzte gespeicherte Rangliste wird angezeigt',
+        'a11y.loadFailed': 'Rangliste konnte nicht geladen werden',
+        'a11y.view': 'Ansicht {view}',
+        'a11y.dataCenter': 'Datenzentrum: {dataCenter}',
+        'activity.grade-up': '{server} hat Rang {grade} erreicht',
+        'activity.gauge-max': '{server} hat die Anzeige von Rang {grade} gefüllt',
+        'activity.complete': '{server} hat den Planeten abgeschlossen',
+        'activity.overtake': '{server} hat {rival} überholt und ist jetzt Nr. {rank} auf {dataCenter}',
+        'activity.overtake-global': '{server} hat {rival} ({rivalDataCenter}) überholt und ist jetzt Nr. {rank} insgesamt',
+        'activity.dc-completed': '{dataCenter} hat jetzt {count} abgeschlossene Welten',
+        'activity.favoritesOnly': 'Nur meine Welten',
+        'activity.empty': 'Noch keine Aktivität. Ereignisse erscheinen, sobald mehrere Aktualisierungen gespeichert sind.',
+        'eta.gauge': 'Leiste',
+        'eta.max': 'Max.',
+        'eta.gaugeEta': 'Leiste voll',
+        'eta.complete': 'Abgeschlossen',
+        'eta.stalled': 'Stillstand',
+        'eta.stalledTitle': 'Kein Fortschritt im Prognosezeitraum',
+        'eta.collecting': 'Daten werden gesammelt',
+        'eta.collectingTitle': 'Mindestens zwei Momentaufnahmen nötig',
+        'eta.in': 'in {duration}',
+        'eta.confidence': '{date} (Zuverlässigkeit: {confidence})',
+        'confidence.high': 'hoch',
+        'confidence.medium': 'mittel',
+        'confidence.low': 'niedrig',
+        'summary.before': '',
+        'summary.after': 'Welten angezeigt',
+        'export.label': 'Exportieren',
+        'export.csvTitle': 'Als CSV herunterladen',
+        'export.jsonTitle': 'Als JSON herunterladen',
+        'export.image': 'Bild',
+        'export.imageTitle': 'Bild der Rangliste herunterladen',
+        'export.imageSubtitle': 'Kosmische Erkundung · {scope}',
+        'export.imageFooter': 'Aktualisiert am {date} · FFXIV Cosmic Exploration Tracker',
+        'history.title': 'Verlauf der Welt',
+        'history.close': 'Schließen',
+        'history.empty': 'Noch nicht genug Momentaufnahmen. Der Verlauf entsteht mit jeder Aktualisierung der Daten.',
+        'history.notRanked': 'Nicht platziert',
+        'footer.disclaimer': 'Nicht mit Square Enix verbunden',
+        'footer.shortcuts': 'Tastenkürzel: R aktualisieren · 1–6 Ansichten · [ ] Datenzentrum',
+        'footer.shortcutsToggle': 'Tastenkürzel mit einer Taste lassen sich abschalten',
+        'embed.notFound': '{server} ist auf diesem Planeten nicht platziert'
+    },
+    ja: {
+        'header.alerts': '自動更新と通知',
+        'header.theme': 'ライト／ダークテーマを切り替え',
+        'header.language': '言語',
+        'header.refresh': '更新',
+        'header.refreshing': '更新中...',
+        'header.neverUpdated': '未更新',
+        'header.lastUpdated': '最終更新: {time}',
+        'time.justNow': 'たった今',
+        'duration.minutes': '{minutes}分',
+        'duration.hours': '{hours}時間{minutes}分',
+        'duration.days': '{days}日{hours}時間',
+        'status.title': '探索状況',
+        'status.description': 'FFXIV 全ワールドのコスモエクスプローラー進捗をリアルタイムで追跡します。',
+        'controls.lodestone': 'Lodestone',
+        'controls.region': '地域',
+        'controls.allRegions': 'すべての地域',
+        'controls.dataCenter': 'データセンター',
+        'controls.allDataCenters': 'すべてのデータセンター',
+        'controls.viewMode': '表示',
+        'region.NA': '北米',
+        'region.EU': '欧州',
+        'region.OCE': 'オセアニア',
+        'region.JP': '日本',
+        'planet.patch': 'パッチ{patch}',
+        'planet.soon': '近日公開',
+        'view.table': '表',
+        'view.grid': 'グリッド',
+        'view.forecast': '予測',
+        'view.datacenters': 'データセンター',
+        'view.overall': '全惑星',
+        'view.activity': 'アクティビティ',
+        'alerts.autoRefresh': '自動更新',
+        'alerts.refreshEvery': '更新間隔',
+        'alerts.everyMinutes': '{minutes}分',
+        'alerts.everyHour': '1時間',
+        'alerts.rules': '通知ルール',
+        'alerts.server': 'ワールド',
+        'alerts.rival': 'ライバルワールド',
+        'alerts.add': '追加',
+        'alerts.enableNotifications': 'ブラウザ通知を有効にする',
+        'alerts.recent': '最近の通知',
+        'alerts.noRules': '通知ルールはまだありません',
+        'alerts.noAlerts': '通知はまだありません',
+        'alerts.removeRule': 'ルールを削除',
+        'alerts.type.grade-up': 'ワールドのグレードが上がる',
+        'alerts.type.gauge-max': 'ワールドのゲージが最大になる',
+        'alerts.type.overtake': 'ワールドがライバルを追い抜く',
+        'alerts.type.dc-leader': 'データセンターの首位が変わる',
+        'alerts.rule.grade-up': '{server} のグレードが上がる',
+        'alerts.rule.gauge-max': '{server} のゲージが最大になる',
+        'alerts.rule.overtake': '{server} が {target} を追い抜く',
+        'alerts.rule.dc-leader': '{dataCenter} の首位が変わる',
+        'alerts.gradeUp.title': '{server} がグレード{grade}に到達',
+        'alerts.gradeUp.message': '{dataCenter} で {rank} 位',
+        'alerts.gaugeMax.title': '{server} のゲージが最大に',
+        'alerts.gaugeMax.message': 'グレード{grade}のゲージが最大です',
+        'alerts.overtake.title': '{server} が {rival} を追い抜きました',
+        'alerts.overtake.message': '現在 {rank} 位、{rival} は {rivalRank} 位',
+        'alerts.dcLeader.title': '{server} が {dataCenter} の首位に',
+        'alerts.dcLeader.message': '前の首位: {previous}',
+        'error.title': 'データを読み込めません',
+        'error.message': '最新の探索データの取得中にエラーが発生しました。',
+        'error.attempts': '{count} 回試行',
+        'error.retry': '再試行',
+        'error.upload': 'HTML ファイルを読み込む',
+        'comingSoon.title': '近日公開',
+        'comingSoon.message': 'この惑星のデータはパッチ公開後に利用できます。',
+        'comingSoon.planet': '{planet} のデータはパッチ{patch}で利用できます',
+        'comingSoon.submessage': 'パッチ公開後にもう一度ご確認ください。',
+        'formatWarning.title': 'ソースの形式が変更されました',
+        'formatWarning.message': 'Lodestone のレポートページが想定と一致しないため、以下のデータは不完全または誤っている可能性があります。トラッカーの更新が必要です。',
+        'formatWarning.more': '他 {count} 件',
+        'stale.message': '{time} 時点の古いデータです。最新データを読み込めなかったため、最後に取得できたデータを表示しています。',
+        'stale.messageOn': '{date} {time} 時点の古いデータです。最新データを読み込めなかったため、最後に取得できたデータを表示しています。',
+        'source.lastGood': '最後に取得できたデータ',
+        'favorites.title': 'マイワールド',
+        'favorites.add': 'マイワールドに追加',
+        'favorites.remove': 'マイワールドから削除',
+        'favorites.leading': '首位',
+        'favorites.behind': '{server}（{rank} 位）まで {segments} セグメント',
+        'filters.search': '検索',
+        'filters.searchPlaceholder': 'ワールド名',
+        'filters.status': '状態',
+        'filters.allStatuses': 'すべての状態',
+        'filters.grade': 'グレード',
+        'filters.min': '最小',
+        'filters.max': '最大',
+        'filters.minTitle': '最小グレード',
+        'filters.maxTitle': '最大グレード',
+        'filters.sortBy': '並べ替え',
+        'filters.reverse': '逆順',
+        'filters.strategy': '順位方式',
+        'strategy.competition': '標準 (1, 1, 3)',
+        'strategy.dense': '密 (1, 1, 2)',
+        'strategy.effective': '実質進捗',
+        'strategy.growth': '最近の伸び',
+        'strategy.active': '順位方式: {strategy}',
+        'filters.noResults': '条件に一致するワールドはありません。',
+        'column.rank': '順位',
+        'column.serverName': 'ワールド',
+        'column.dataCenter': 'データセンター',
+        'column.grade': 'グレード',
+        'column.progress': '進捗',
+        'column.eta': '予測',
+        'column.predicted': '予測順位',
+        'column.current': '現在',
+        'column.maxGradeEta': '最大グレード予測',
+        'column.rate': 'ペース',
+        'column.servers': 'ワールド数',
+        'column.averageGrade': '平均グレード',
+        'column.totalSegments': '合計セグメント',
+        'column.medianRank': '順位の中央値',
+        'column.completed': '完了',
+        'column.best': '最上位',
+        'column.worst': '最下位',
+        'column.planets': '惑星',
+        'metric.averageGrade': '平均グレード',
+        'metric.totalSegments': '合計セグメント',
+        'metric.medianRank': '順位の中央値',
+        'metric.completedCount': '完了',
+        'metric.best': '最上位ワールド',
+        'datacenters.comparison': '比較',
+        'datacenters.headToHead': '直接対決',
+        'datacenters.pickTwo': '比較するデータセンターを2つ選んでください',
+        'server.grade': 'グレード{grade}',
+        'server.gradeLabel': 'グレード:',
+        'server.showHistory': '履歴を表示',
+        'server.gradeUp': 'グレードアップ！',
+        'server.new': '新規',
+        'server.newTitle': '前回の更新以降に追加',
+        'server.movedUp': '前回の更新から {count} 位上昇',
+        'server.movedDown': '前回の更新から {count} 位下降',
+        'server.segmentsTitle': '前回の更新からのゲージセグメント',
+        'server.segments': '{count} セグ',
+        'server.rate': '{rate} セグ/時',
+        'server.dcRank': 'DC内 {rank}位',
+        'server.dcRankTitle': '{dataCenter}内の順位',
+        'gauge.max': 'MAX',
+        'gauge.maxTitle': 'ゲージ満タン（グレードアップ待ち）',
+        'gauge.transition': 'グレードアップ中',
+        'gauge.transitionTitle': 'Lodestoneでグレードアップ進行中と表示されています',
+        'gauge.bandTitle': 'ゲージ段階 {level}/8：正確な進捗はこの範囲内です',
+        'a11y.planets': '惑星',
+        'a11y.gauge': '{server} のゲージ',
+        'a11y.loaded': '{planet}：{count} ワールドのランキングを更新しました',
+        'a11y.loadedStale': '{planet}：最後に保存したランキングを表示しています',
+        'a11y.loadFailed': 'ランキングを読み込めませんでした',
+        'a11y.view': '{view}表示',
+        'a11y.dataCenter': 'データセンター：{dataCenter}',
+        'activity.grade-up': '{server} がグレード{grade}に到達',
+        'activity.gauge-max': '{server} のグレード{grade}のゲージが満タン',
+        'activity.complete': '{server} が惑星を達成',
+        'activity.overtake': '{server} が {rival} を抜いて {dataCenter} で {rank} 位に',
+        'activity.overtake-global': '{server} が {rival}（{rivalDataCenter}）を抜いて総合 {rank} 位に',
+        'activity.dc-completed': '{dataCenter} の達成ワールドが {count} になりました',
+        'activity.favoritesOnly': 'マイワールドのみ',
+        'activity.empty': 'まだアクティビティはありません。更新が保存されるたびにイベントが表示されます。',
+        'eta.gauge': 'ゲージ',
+        'eta.max': '最大',
+        'eta.gaugeEta': 'ゲージ予測',
+        'eta.complete': '完了',
+        'eta.stalled': '停滞',
+        'eta.stalledTitle': '予測期間内に進捗がありません',
+        'eta.collecting': 'データ収集中',
+        'eta.collectingTitle': '2回以上の記録が必要です',
+        'eta.in': 'あと{duration}',
+        'eta.confidence': '{date}（信頼度: {confidence}）',
+        'confidence.high': '高',
+        'confidence.medium': '中',
+        'confidence.low': '低',
+        'summary.before': '',
+        'summary.after': 'ワールドを表示中',
+        'export.label': 'エクスポート',
+        'export.csvTitle': 'CSV でダウンロード',
+        'export.jsonTitle': 'JSON でダウンロード',
+        'export.image': '画像',
+        'export.imageTitle': 'ランキング画像をダウンロード',
+        'export.imageSubtitle': 'コスモエクスプローラー · {scope}',
+        'export.imageFooter': '{date} 更新 · FFXIV Cosmic Exploration Tracker',
+        'history.title': 'ワールドの履歴',
+        'history.close': '閉じる',
+        'history.empty': '記録がまだ足りません。履歴はデータを更新するたびに蓄積されます。',
+        'history.notRanked': '圏外',
+        'footer.disclaimer': 'Square Enix とは無関係です',
+        'footer.shortcuts': 'ショートカット：R 更新 · 1–6 表示切替 · [ ] データセンター',
+        'footer.shortcutsToggle': '1 キーのショートカットはオフにできます',
+        'embed.notFound': '{server} はこの惑星でランク外です'
+    }
+};
+
+// Langue courante
+let currentLanguage = detectLanguage(
+    typeof localStorage !== 'undefined' ? localStorage.getItem('language') : null,
+    typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []
+);
+
+/**
+ * Choisit la langue de l'interface
+ * @param {string} saved - Langue enregistrée par l'utilisateur (optionnel)
+ * @param {Array} preferred - Langues préférées du navigateur (ex. ['fr-FR', 'en'])
+ * @returns {string} - Code d'une langue de LANGUAGES, l'anglais par défaut
+ */
+function detectLanguage(saved, preferred = []) {
+    if (saved in LANGUAGES) {
+        return saved;
+    }
+
+    const match = preferred
+        .map(language => String(language).toLowerCase().split('-')[0])
+        .find(language => language in LANGUAGES);
+    return match || 'en';
+}
+
+/**
+ * Langue courante
+ * @returns {string} - Code de la langue
+ */
+function getLanguage() {
+    return currentLanguage;
+}
+
+/**
+ * Change la langue courante
+ * @param {string} language - Code de la langue (ignoré s'il est inconnu)
+ * @returns {string} - Langue effectivement retenue
+ */
+function setLanguage(language) {
+    if (language in LANGUAGES) {
+        currentLanguage = language;
+    }
+    return currentLanguage;
+}
+
+/**
+ * Traduit un texte de l'interface
+ * @param {string} key - Clé de TRANSLATIONS
+ * @param {Object} params - Valeurs des {param} du texte (optionnel)
+ * @returns {string} - Texte traduit, en anglais si la clé manque, la clé elle-même à défaut
+ */
+function t(key, params = {}) {
+    const text = TRANSLATIONS[currentLanguage][key] ?? TRANSLATIONS.en[key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => name in params ? String(params[name]) : match);
+}
+
+/**
+ * Formate un nombre selon la langue courante
+ * @param {number} value - Nombre
+ * @param {Object} options - Options d'Intl.NumberFormat (optionnel)
+ * @returns {string} - Nombre formaté (ex. 1,234.5 / 1 234,5)
+ */
+function formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(currentLanguage, options).format(value);
+}
+
+/**
+ * Formate une progression en pourcentage avec deux décimales
+ * @param {number} ratio - Progression (0-1.0)
+ * @returns {string} - Pourcentage formaté (ex. 62.50% / 62,50 %)
+ */
+function formatPercent(ratio) {
+    return formatNumber(ratio, { style: 'percent', minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Formate une fourchette de pourcentages (ex. "62.5% – 75%", "62,5–75 %")
+ * @param {number} low - Borne basse (0-1)
+ * @param {number} high - Borne haute (0-1)
+ * @returns {string} - Fourchette, ou une seule valeur si les bornes sont égales
+ */
+function formatPercentRange(low, high) {
+    const format = new Intl.NumberFormat(currentLanguage, { style: 'percent', maximumFractionDigits: 1 });
+    if (low === high) {
+        return format.format(low);
+    }
+    return typeof format.formatRange === 'function'
+        ? format.formatRange(low, high)
+        : `${format.format(low)}–${format.format(high)}`;
+}
+
+/**
+ * Progression connue d'un serveur : fourchette de la jauge, suivie de l'état d'une jauge pleine
+ * @param {Object} server - Données d'un serveur ou point d'historique
+ * @returns {string} - Texte dans la langue courante (ex. "62.5% – 75%", "100%, Grading up")
+ */
+function formatGaugeText(server) {
+    const gauge = getGaugeModel(server);
+    const range = formatPercentRange(gauge.low, gauge.high);
+    return gauge.isFull && !isServerComplete(server) ? `${range}, ${t(`gauge.${gauge.state}`)}` : range;
+}
+
+/**
+ * Formate le temps écoulé depuis une date (ex. "5 minutes ago", "il y a 5 minutes")
+ * @param {Date} date - Date passée
+ * @param {Date} now - Date de référence (optionnel)
+ * @returns {string} - Temps relatif dans la langue courante
+ */
+function formatRelativeTime(date, now = new Date()) {
+    const diffMins = Math.round((now - date) / 60000);
+    if (diffMins < 1) {
+        return t('time.justNow');
+    }
+
+    const format = new Intl.RelativeTimeFormat(currentLanguage, { numeric: 'always' });
+    return diffMins < 60
+        ? format.format(-diffMins, 'minute')
+        : format.format(-Math.floor(diffMins / 60), 'hour');
+}
+
+/**
+ * Traduit les textes statiques d'un élément et de ses descendants
+ * data-i18n : contenu texte, data-i18n-title : infobulle,
+ * data-i18n-placeholder : texte indicatif, data-i18n-label : nom accessible (aria-label),
+ * data-i18n-params : paramètres JSON
+ * @param {Element|Document} root - Racine à traduire
+ */
+function applyTranslations(root) {
+    const getParams = element => element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n, getParams(element));
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle, getParams(element));
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nLabel, getParams(element)));
+    });
+}
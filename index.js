@@ -0,0 +1,52 @@
+/**
+ * Point d'entrée Node.js - Expose le scraper et ses dépendances hors navigateur
+ */
+
+const dataSources = require('./data-sources');
+const regions = require('./regions');
+const planets = require('./planets');
+const rankingFormat = require('./ranking-format');
+const snapshotStore = require('./snapshot-store');
+const gaugeModel = require('./gauge-model');
+const rankingStrategies = require('./ranking-strategies');
+const rankingDelta = require('./ranking-delta');
+const { FFXIVCosmicScraper, rankServerData } = require('./ffxiv-cosmic-scraper');
+
+/**
+ * Parseur HTML pour Node.js, basé sur linkedom
+ * @param {string} html - Contenu HTML
+ * @returns {Document} - Document DOM
+ */
+function parseHtml(html) {
+    const { DOMParser } = require('linkedom');
+    return new DOMParser().parseFromString(html, 'text/html');
+}
+
+/**
+ * Crée un scraper configuré pour Node.js
+ * @param {string} url - URL de la page Lodestone (optionnel)
+ * @param {Object} options - Options du scraper ; sources par défaut : accès direct
+ * @returns {FFXIVCosmicScraper} - Instance du scraper
+ */
+function createNodeScraper(url = null, options = {}) {
+    return new FFXIVCosmicScraper(url, {
+        sources: new dataSources.DataSourceChain([new dataSources.DirectSource()]),
+        parseHtml,
+        ...options
+    });
+}
+
+module.exports = {
+    FFXIVCosmicScraper,
+    rankServerData,
+    createNodeScraper,
+    parseHtml,
+    ...planets,
+    ...dataSources,
+    ...regions,
+    ...snapshotStore,
+    ...gaugeModel,
+    ...rankingStrategies,
+    ...rankingDelta,
+    ...rankingFormat
+};
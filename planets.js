@@ -0,0 +1,81 @@
+/**
+ * Planètes - Registre des planètes d'exploration cosmique, chargé depuis planets.json
+ * Partagé entre l'application et la CLI Node.js
+ */
+
+// Planètes du registre, dans l'ordre des onglets
+const COSMIC_PLANETS = [];
+
+// Profils de sélecteurs CSS du scraper, par nom
+const SELECTOR_PROFILES = {};
+
+/**
+ * Remplace le contenu du registre
+ * Les tableaux sont modifiés sur place pour que les références existantes restent valides
+ * @param {Object} config - Contenu de planets.json { selectorProfiles, planets }
+ * @throws {Error} - Si la configuration est invalide
+ */
+function setPlanetRegistry(config) {
+    const planets = config && Array.isArray(config.planets) ? config.planets : [];
+    const profiles = (config && config.selectorProfiles) || {};
+
+    if (planets.length === 0) {
+        throw new Error('Planet registry has no planets');
+    }
+    planets.forEach(planet => {
+        if (!planet.id || !planet.name) {
+            throw new Error(`Planet entry without id or name: ${JSON.stringify(planet)}`);
+        }
+        if (planet.isActive && !planet.path && !planet.url) {
+            throw new Error(`Active planet ${planet.id} has no path or url`);
+        }
+        if (planet.selectorProfile && !profiles[planet.selectorProfile]) {
+            throw new Error(`Planet ${planet.id} uses unknown selector profile ${planet.selectorProfile}`);
+        }
+    });
+
+    COSMIC_PLANETS.splice(0, COSMIC_PLANETS.length, ...planets);
+    Object.keys(SELECTOR_PROFILES).forEach(name => delete SELECTOR_PROFILES[name]);
+    Object.assign(SELECTOR_PROFILES, profiles);
+}
+
+/**
+ * Charge le registre depuis un fichier JSON (navigateur)
+ * @param {string} url - URL de la configuration
+ * @returns {Promise<Array>} - Planètes chargées
+ */
+async function loadPlanetRegistry(url = 'planets.json') {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Unable to load ${url} (HTTP ${response.status})`);
+    }
+    setPlanetRegistry(await response.json());
+    return COSMIC_PLANETS;
+}
+
+/**
+ * Sélecteurs CSS à utiliser pour la page d'une planète
+ * @param {Object} planet - Planète du registre
+ * @returns {Object} - Sélecteurs (vide : ceux du scraper par défaut)
+ */
+function getSelectorProfile(planet) {
+    return SELECTOR_PROFILES[planet.selectorProfile] || {};
+}
+
+/**
+ * URL de la page de rapport d'une planète
+ * Une URL complète dans le registre remplace le chemin sur le site Lodestone choisi
+ * @param {Object} planet - Planète du registre
+ * @param {string} hostId - Identifiant du site Lodestone (na, eu, fr, de, jp)
+ * @returns {string} - URL de la page
+ */
+function getPlanetUrl(planet, hostId) {
+    return planet.url || getLodestoneUrl(hostId, planet.path);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    // En Node.js : URL Lodestone de regions.js, registre lu depuis planets.json
+    var { getLodestoneUrl } = require('./regions');
+    setPlanetRegistry(require('./planets.json'));
+    module.exports = { COSMIC_PLANETS, SELECTOR_PROFILES, setPlanetRegistry, getSelectorProfile, getPlanetUrl };
+}
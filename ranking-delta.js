@@ -0,0 +1,78 @@
+/**
+ * Calcul des mouvements de classement entre deux rafraîchissements
+ * Partagé entre l'application et les outils Node.js
+ */
+
+/**
+ * Classe un jeu de données brutes (ex. un snapshot stocké) sans modifier les originaux
+ * @param {Array} data - Données issues de FFXIVCosmicScraper.scrape()
+ * @param {string} region - Filtre optionnel par région
+ * @param {string} strategy - Stratégie de classement (optionnel)
+ * @param {Object} context - Données utilisées par la stratégie (optionnel)
+ * @returns {Array} - Classement produit par createRanking()
+ */
+function rankSnapshotData(data, region = null, strategy = null, context = {}) {
+    // Les anciens snapshots n'ont pas de région
+    const servers = data.map(item => ({
+        ...item,
+        region: item.region !== undefined ? item.region : getDataCenterRegion(item.dataCenter).region
+    }));
+    return rankServerData(servers, null, region, strategy, context);
+}
+
+/**
+ * Écart avec le serveur classé juste devant
+ * @param {Array} ranking - Classement trié par rang
+ * @param {Object} server - Serveur du classement
+ * @returns {Object|null} - { target, segments } ou null si le serveur est en tête
+ */
+function computeGapToNext(ranking, server) {
+    const ahead = ranking.filter(item => item.rank < server.rank);
+    if (ahead.length === 0) {
+        return null;
+    }
+
+    const target = ahead[ahead.length - 1];
+    return { target, segments: getTotalSegments(target) - getTotalSegments(server) };
+}
+
+/**
+ * Compare le classement courant au classement précédent
+ * @param {Array} current - Classement courant
+ * @param {Array} previous - Classement précédent (vide si aucun)
+ * @returns {Map} - serverName -> { rankChange, segmentChange, gradeUp, isNew }
+ */
+function computeRankingDeltas(current, previous) {
+    const deltas = new Map();
+    if (!previous || previous.length === 0) {
+        return deltas;
+    }
+
+    const previousByName = new Map(previous.map(item => [item.serverName, item]));
+
+    current.forEach(server => {
+        const before = previousByName.get(server.serverName);
+        if (!before) {
+            deltas.set(server.serverName, { rankChange: 0, segmentChange: 0, gradeUp: false, isNew: true });
+            return;
+        }
+
+        deltas.set(server.serverName, {
+            // Positif = le serveur a gagné des places
+            rankChange: before.rank - server.rank,
+            segmentChange: getTotalSegments(server) - getTotalSegments(before),
+            gradeUp: server.grade > before.grade,
+            isNew: false
+        });
+    });
+
+    return deltas;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    // En Node.js : jauge, régions et classement commun avec le scraper
+    var { getTotalSegments } = require('./gauge-model');
+    var { getDataCenterRegion } = require('./regions');
+    var { rankServerData } = require('./ffxiv-cosmic-scraper');
+    module.exports = { rankSnapshotData, computeGapToNext, computeRankingDeltas };
+}
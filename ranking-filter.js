@@ -0,0 +1,52 @@
+/**
+ * Filtres et tri du classement - Recherche par nom, statut, plage de grades
+ * et tri par colonne, appliqués aux vues tableau et grille
+ */
+
+// Colonnes triables et comparateurs (ordre croissant), libellés : clés column.* de TRANSLATIONS
+const RANKING_SORTS = {
+    rank: { defaultDirection: 'asc', compare: (a, b) => a.rank - b.rank },
+    serverName: { defaultDirection: 'asc', compare: (a, b) => a.serverName.localeCompare(b.serverName) },
+    dataCenter: { defaultDirection: 'asc', compare: (a, b) => a.dataCenter.localeCompare(b.dataCenter) },
+    grade: { defaultDirection: 'desc', compare: (a, b) => a.grade - b.grade },
+    progress: { defaultDirection: 'desc', compare: (a, b) => getGaugePosition(a) - getGaugePosition(b) }
+};
+
+/**
+ * Trie un classement sans le modifier
+ * Les égalités gardent l'ordre du classement
+ * @param {Array} ranking - Classement trié par rang
+ * @param {string} key - Colonne (clé de RANKING_SORTS)
+ * @param {string} direction - 'asc' ou 'desc'
+ * @returns {Array} - Nouveau tableau trié
+ */
+function sortRanking(ranking, key = 'rank', direction = 'asc') {
+    const sort = RANKING_SORTS[key] || RANKING_SORTS.rank;
+    const sign = direction === 'desc' ? -1 : 1;
+
+    return ranking
+        .map((server, index) => ({ server, index }))
+        .sort((a, b) => sign * sort.compare(a.server, b.server) || a.index - b.index)
+        .map(item => item.server);
+}
+
+/**
+ * Filtre un classement
+ * @param {Array} ranking - Classement
+ * @param {Object} filters - { dataCenter, search, status, minGrade, maxGrade }
+ *                           ('all' ou '' pour ne pas filtrer)
+ * @returns {Array} - Serveurs retenus
+ */
+function filterRanking(ranking, filters) {
+    const search = (filters.search || '').trim().toLowerCase();
+    const minGrade = filters.minGrade === '' || filters.minGrade === undefined ? -Infinity : Number(filters.minGrade);
+    const maxGrade = filters.maxGrade === '' || filters.maxGrade === undefined ? Infinity : Number(filters.maxGrade);
+
+    return ranking.filter(server =>
+        (!filters.dataCenter || filters.dataCenter === 'all' || server.dataCenter === filters.dataCenter) &&
+        (!search || server.serverName.toLowerCase().includes(search)) &&
+        (!filters.status || filters.status === 'all' || server.statusText === filters.status) &&
+        server.grade >= minGrade &&
+        server.grade <= maxGrade
+    );
+}
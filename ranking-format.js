@@ -0,0 +1,84 @@
+/**
+ * Formats de sortie du classement (CSV, JSON, tableau texte)
+ * Partagés entre l'application et la CLI Node.js
+ */
+
+// Colonnes exportées, dans l'ordre
+const RANKING_COLUMNS = [
+    { key: 'rank', label: 'Rank' },
+    { key: 'serverName', label: 'Server' },
+    { key: 'dataCenter', label: 'Data Center' },
+    { key: 'region', label: 'Region' },
+    { key: 'grade', label: 'Grade' },
+    { key: 'progress', label: 'Progress' },
+    { key: 'rawGauge', label: 'Gauge' },
+    { key: 'statusText', label: 'Status' }
+];
+
+/**
+ * Échappe une valeur pour le CSV (RFC 4180)
+ * Un texte commençant par =, +, -, @ (ou tabulation, retour chariot) est préfixé d'une apostrophe
+ * pour qu'un tableur ne l'exécute pas comme une formule ; les nombres restent tels quels
+ * @param {*} value - Valeur à échapper
+ * @returns {string} - Valeur échappée
+ */
+function escapeCsvValue(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convertit un classement en CSV
+ * @param {Array} ranking - Résultat de createRanking()
+ * @returns {string} - Contenu CSV avec en-tête
+ */
+function rankingToCSV(ranking) {
+    const lines = [RANKING_COLUMNS.map(column => escapeCsvValue(column.label)).join(',')];
+    ranking.forEach(server => {
+        lines.push(RANKING_COLUMNS.map(column => escapeCsvValue(server[column.key])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Convertit un classement en JSON
+ * @param {Array} ranking - Résultat de createRanking()
+ * @param {Object} meta - Métadonnées ajoutées à la racine (optionnel)
+ * @returns {string} - Contenu JSON indenté
+ */
+function rankingToJSON(ranking, meta = {}) {
+    const servers = ranking.map(server => {
+        const item = {};
+        RANKING_COLUMNS.forEach(column => { item[column.key] = server[column.key]; });
+        item.progressPercentage = server.progressPercentage;
+        return item;
+    });
+    return JSON.stringify({ ...meta, servers }, null, 2);
+}
+
+/**
+ * Convertit un classement en tableau texte aligné (pour un terminal)
+ * @param {Array} ranking - Résultat de createRanking()
+ * @returns {string} - Tableau texte
+ */
+function rankingToTable(ranking) {
+    const rows = [
+        RANKING_COLUMNS.map(column => column.label),
+        ...ranking.map(server => RANKING_COLUMNS.map(column => String(server[column.key] ?? '')))
+    ];
+    const widths = RANKING_COLUMNS.map((column, i) => Math.max(...rows.map(row => row[i].length)));
+
+    const formatRow = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+    return [
+        formatRow(rows[0]),
+        widths.map(width => '-'.repeat(width)).join('  '),
+        ...rows.slice(1).map(formatRow)
+    ].join('\n') + '\n';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RANKING_COLUMNS, rankingToCSV, rankingToJSON, rankingToTable };
+}
@@ -0,0 +1,112 @@
+/**
+ * Stratégies de classement - Ordre des serveurs et traitement des égalités,
+ * au choix de l'utilisateur. Partagées entre l'application et la CLI Node.js
+ */
+
+// Stratégies : score(server, context) -> valeurs comparées dans l'ordre (la plus grande d'abord),
+// ties : 'competition' (1, 1, 3) ou 'dense' (1, 1, 2). Libellés : clés strategy.* de TRANSLATIONS
+const RANKING_STRATEGIES = {
+    competition: {
+        ties: 'competition',
+        score: server => [server.grade, getGaugePosition(server)]
+    },
+    dense: {
+        ties: 'dense',
+        score: server => [server.grade, getGaugePosition(server)]
+    },
+    effective: {
+        ties: 'competition',
+        score: server => [getEffectiveProgress(server)]
+    },
+    growth: {
+        ties: 'competition',
+        score: (server, context) => [getGrowthRate(server, context), server.grade, getGaugePosition(server)]
+    }
+};
+
+const DEFAULT_RANKING_STRATEGY = 'competition';
+
+/**
+ * Progression totale en un seul nombre, en segments : une jauge pleine vaut le grade suivant
+ * @param {Object} server - Données d'un serveur
+ * @returns {number} - Progression effective
+ */
+function getEffectiveProgress(server) {
+    return getTotalSegments(server);
+}
+
+/**
+ * Vitesse de progression récente d'un serveur
+ * @param {Object} server - Données d'un serveur
+ * @param {Object} context - { growthRates: Map serverName -> grades par heure }
+ * @returns {number} - Vitesse, 0 si inconnue
+ */
+function getGrowthRate(server, context) {
+    const rate = context.growthRates ? context.growthRates.get(server.serverName) : null;
+    return Number.isFinite(rate) ? rate : 0;
+}
+
+/**
+ * Compare deux scores valeur par valeur, le plus grand d'abord
+ * @param {Array} a - Score
+ * @param {Array} b - Score
+ * @returns {number} - Négatif si a passe avant b, 0 en cas d'égalité
+ */
+function compareScores(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) {
+            return b[i] - a[i];
+        }
+    }
+    return 0;
+}
+
+/**
+ * Attribue les rangs d'une liste triée par score
+ * @param {Array} scored - Éléments { server, score } triés
+ * @param {string} field - Champ du serveur à remplir (ex. 'rank')
+ * @param {string} ties - 'competition' ou 'dense'
+ */
+function assignRanks(scored, field, ties) {
+    let rank = 0;
+    scored.forEach((item, index) => {
+        if (index === 0 || compareScores(scored[index - 1].score, item.score) !== 0) {
+            rank = ties === 'dense' ? rank + 1 : index + 1;
+        }
+        item.server[field] = rank;
+    });
+}
+
+/**
+ * Classe des serveurs selon une stratégie
+ * Chaque serveur reçoit son rang global (rank) et son rang dans son data center (dataCenterRank)
+ * @param {Array} servers - Serveurs à classer (modifiés sur place)
+ * @param {string} strategyId - Clé de RANKING_STRATEGIES (stratégie par défaut si inconnue)
+ * @param {Object} context - Données utilisées par certaines stratégies ({ growthRates })
+ * @returns {Array} - Serveurs triés par rang ; les égalités gardent l'ordre d'origine
+ */
+function rankServers(servers, strategyId = DEFAULT_RANKING_STRATEGY, context = {}) {
+    const strategy = RANKING_STRATEGIES[strategyId] || RANKING_STRATEGIES[DEFAULT_RANKING_STRATEGY];
+    const scored = servers
+        .map(server => ({ server, score: strategy.score(server, context) }))
+        .sort((a, b) => compareScores(a.score, b.score));
+
+    assignRanks(scored, 'rank', strategy.ties);
+
+    const byDataCenter = new Map();
+    scored.forEach(item => {
+        if (!byDataCenter.has(item.server.dataCenter)) {
+            byDataCenter.set(item.server.dataCenter, []);
+        }
+        byDataCenter.get(item.server.dataCenter).push(item);
+    });
+    byDataCenter.forEach(items => assignRanks(items, 'dataCenterRank', strategy.ties));
+
+    return scored.map(item => item.server);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    // En Node.js : positions de jauge de gauge-model.js
+    var { getGaugePosition, getTotalSegments } = require('./gauge-model');
+    module.exports = { RANKING_STRATEGIES, DEFAULT_RANKING_STRATEGY, getEffectiveProgress, rankServers };
+}
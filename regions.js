@@ -0,0 +1,64 @@
+/**
+ * Régions - Sites Lodestone régionaux et correspondance
+ * data center logique -> région / data center physique
+ */
+
+// Sites Lodestone régionaux
+const LODESTONE_HOSTS = {
+    na: { name: "North America", url: "https://na.finalfantasyxiv.com" },
+    eu: { name: "Europe (English)", url: "https://eu.finalfantasyxiv.com" },
+    fr: { name: "France", url: "https://fr.finalfantasyxiv.com" },
+    de: { name: "Deutschland", url: "https://de.finalfantasyxiv.com" },
+    jp: { name: "日本", url: "https://jp.finalfantasyxiv.com" }
+};
+
+// Régions de jeu
+const GAME_REGIONS = {
+    NA: "North America",
+    EU: "Europe",
+    OCE: "Oceania",
+    JP: "Japan"
+};
+
+// Data centers logiques regroupés par data center physique
+const DATA_CENTER_REGIONS = {
+    Aether: { region: "NA", physicalDataCenter: "North American Data Center" },
+    Crystal: { region: "NA", physicalDataCenter: "North American Data Center" },
+    Dynamis: { region: "NA", physicalDataCenter: "North American Data Center" },
+    Primal: { region: "NA", physicalDataCenter: "North American Data Center" },
+    Chaos: { region: "EU", physicalDataCenter: "European Data Center" },
+    Light: { region: "EU", physicalDataCenter: "European Data Center" },
+    Materia: { region: "OCE", physicalDataCenter: "Oceanian Data Center" },
+    Elemental: { region: "JP", physicalDataCenter: "Japanese Data Center" },
+    Gaia: { region: "JP", physicalDataCenter: "Japanese Data Center" },
+    Mana: { region: "JP", physicalDataCenter: "Japanese Data Center" },
+    Meteor: { region: "JP", physicalDataCenter: "Japanese Data Center" }
+};
+
+/**
+ * Construit l'URL d'une page Lodestone sur un site régional
+ * @param {string} hostId - Identifiant du site (na, eu, fr, de, jp)
+ * @param {string} path - Chemin de la page (ex. '/lodestone/cosmic_exploration/report')
+ * @returns {string} - URL complète
+ */
+function getLodestoneUrl(hostId, path) {
+    const host = LODESTONE_HOSTS[hostId] || LODESTONE_HOSTS.eu;
+    return host.url + path;
+}
+
+/**
+ * Trouve la région et le data center physique d'un data center logique
+ * Le nom affiché par le Lodestone peut contenir du texte en plus (ex. "Light [EU]")
+ * @param {string} dataCenter - Nom du data center
+ * @returns {Object} - { region, physicalDataCenter } (null si inconnu)
+ */
+function getDataCenterRegion(dataCenter) {
+    const name = Object.keys(DATA_CENTER_REGIONS)
+        .find(dc => dataCenter.toLowerCase().includes(dc.toLowerCase()));
+
+    return name ? DATA_CENTER_REGIONS[name] : { region: null, physicalDataCenter: null };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LODESTONE_HOSTS, GAME_REGIONS, DATA_CENTER_REGIONS, getLodestoneUrl, getDataCenterRegion };
+}
@@ -0,0 +1,535 @@
+/**
+ * cosmic-server - Serveur auto-hébergeable remplaçant le proxy CORS externe
+ * - /proxy?url= : pages Lodestone mises en cache, débit limité par client et vers le Lodestone
+ * - relevés planifiés de chaque planète active, conservés sur disque
+ * - API JSON : /api/planets, /api/planets/:id/ranking?dc=&region=, /api/servers/:name/history?planet=
+ * - fichiers de l'application, pour l'utiliser depuis la même origine
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const {
+    COSMIC_PLANETS,
+    LODESTONE_HOSTS,
+    DataSourceChain,
+    createNodeScraper,
+    getPlanetUrl,
+    getSelectorProfile
+} = require('.');
+const { HISTORY_WINDOW_MS } = require('./snapshot-store');
+const { FileSnapshotStore } = require('./file-snapshot-store');
+
+const ROOT = __dirname;
+
+// Fichiers de l'application servis, par extension
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// Options par défaut du serveur
+const SERVER_DEFAULTS = {
+    port: 8080,
+    host: '127.0.0.1',
+    dataDir: path.join(ROOT, 'data'),
+    lodestone: 'eu',
+    upstream: null,
+    cacheTtlMs: 5 * 60 * 1000,
+    cacheMaxEntries: 50,
+    upstreamIntervalMs: 2000,
+    rateLimit: 60,
+    rateWindowMs: 60 * 1000,
+    scrapeIntervalMinutes: 15,
+    serveApp: true
+};
+
+/**
+ * Erreur renvoyée au client avec un statut HTTP
+ */
+class HttpError extends Error {
+    /**
+     * Constructeur
+     * @param {number} status - Statut HTTP
+     * @param {string} message - Message renvoyé en JSON
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+/**
+ * Limite le nombre de requêtes par client sur une fenêtre fixe
+ */
+class RateLimiter {
+    /**
+     * Constructeur
+     * @param {number} limit - Requêtes autorisées par fenêtre
+     * @param {number} windowMs - Durée de la fenêtre en ms
+     */
+    constructor(limit, windowMs) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.windows = new Map();
+    }
+
+    /**
+     * Compte une requête d'un client
+     * @param {string} key - Identifiant du client (adresse IP)
+     * @param {number} now - Date courante en ms (optionnel)
+     * @returns {Object} - { allowed, retryAfterMs }
+     */
+    take(key, now = Date.now()) {
+        let window = this.windows.get(key);
+        if (!window || now - window.start >= this.windowMs) {
+            window = { start: now, count: 0 };
+            this.windows.set(key, window);
+        }
+
+        window.count++;
+        return {
+            allowed: window.count <= this.limit,
+            retryAfterMs: window.start + this.windowMs - now
+        };
+    }
+
+    /**
+     * Oublie les fenêtres expirées
+     * @param {number} now - Date courante en ms (optionnel)
+     */
+    prune(now = Date.now()) {
+        this.windows.forEach((window, key) => {
+            if (now - window.start >= this.windowMs) this.windows.delete(key);
+        });
+    }
+}
+
+/**
+ * Accès au Lodestone avec cache et intervalle minimal entre deux requêtes
+ * Utilisable comme source d'une DataSourceChain
+ */
+class LodestoneCache {
+    /**
+     * Constructeur
+     * @param {Object} options - { ttlMs, maxEntries, minIntervalMs, upstream }
+     *   upstream remplace l'origine des pages Lodestone (ex. un Lodestone factice pour les tests)
+     */
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs;
+        this.maxEntries = options.maxEntries || SERVER_DEFAULTS.cacheMaxEntries;
+        this.minIntervalMs = options.minIntervalMs;
+        this.upstream = options.upstream || null;
+        this.name = 'Lodestone';
+        this.live = true;
+        this.retryable = true;
+        this.entries = new Map();
+        this.pending = new Map();
+        this.queue = Promise.resolve();
+        this.lastRequestAt = 0;
+        this.upstreamRequests = 0;
+    }
+
+    /**
+     * URL sans le paramètre anti-cache des sources du navigateur
+     * @param {string} url - URL demandée
+     * @returns {string} - Clé du cache
+     */
+    getCacheKey(url) {
+        const parsed = new URL(url);
+        parsed.searchParams.delete('_t');
+        return parsed.href;
+    }
+
+    /**
+     * URL réellement récupérée
+     * @param {string} url - URL de la page Lodestone
+     * @returns {string} - URL sur le Lodestone ou son remplaçant
+     */
+    getUpstreamUrl(url) {
+        if (!this.upstream) return url;
+        const parsed = new URL(url);
+        return new URL(parsed.pathname + parsed.search, this.upstream).href;
+    }
+
+    /**
+     * Récupère une page, depuis le cache si elle est récente
+     * Les demandes simultanées d'une même page partagent la même requête
+     * @param {string} url - URL de la page Lodestone
+     * @returns {Promise<string>} - Contenu HTML
+     */
+    async fetch(url) {
+        const key = this.getCacheKey(url);
+        const entry = this.entries.get(key);
+        if (entry && Date.now() - entry.fetchedAt < this.ttlMs) {
+            return entry.html;
+        }
+
+        if (!this.pending.has(key)) {
+            const request = this.schedule(() => this.fetchUpstream(key))
+                .then(html => {
+                    // Une page rafraîchie passe en fin de file
+                    this.entries.delete(key);
+                    this.entries.set(key, { html, fetchedAt: Date.now() });
+                    this.prune();
+                    return html;
+                })
+                .finally(() => this.pending.delete(key));
+            this.pending.set(key, request);
+        }
+        return this.pending.get(key);
+    }
+
+    /**
+     * Oublie les pages expirées, puis les plus anciennes au-delà de maxEntries
+     * @param {number} now - Date courante en ms (optionnel)
+     */
+    prune(now = Date.now()) {
+        this.entries.forEach((entry, key) => {
+            if (now - entry.fetchedAt >= this.ttlMs) this.entries.delete(key);
+        });
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Exécute les requêtes vers le Lodestone une par une, espacées de minIntervalMs
+     * @param {Function} task - Requête à exécuter
+     * @returns {Promise<*>} - Résultat de la requête
+     */
+    schedule(task) {
+        const run = this.queue.then(async () => {
+            const wait = this.lastRequestAt + this.minIntervalMs - Date.now();
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+            this.lastRequestAt = Date.now();
+            return task();
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Récupère une page sans passer par le cache
+     * @param {string} url - URL de la page Lodestone
+     * @returns {Promise<string>} - Contenu HTML
+     */
+    async fetchUpstream(url) {
+        this.upstreamRequests++;
+        const response = await fetch(this.getUpstreamUrl(url));
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.text();
+    }
+}
+
+/**
+ * Serveur HTTP : proxy, relevés planifiés et API JSON
+ */
+class CosmicServer {
+    /**
+     * Constructeur
+     * @param {Object} options - Remplace SERVER_DEFAULTS (scrapeIntervalMinutes à 0 : pas de relevé planifié)
+     */
+    constructor(options = {}) {
+        this.options = { ...SERVER_DEFAULTS, ...options };
+        this.lodestone = new LodestoneCache({
+            ttlMs: this.options.cacheTtlMs,
+            maxEntries: this.options.cacheMaxEntries,
+            minIntervalMs: this.options.upstreamIntervalMs,
+            upstream: this.options.upstream
+        });
+        this.rateLimiter = new RateLimiter(this.options.rateLimit, this.options.rateWindowMs);
+        this.store = new FileSnapshotStore(this.options.dataDir, { lodestoneHost: this.options.lodestone });
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.scrapeTimer = null;
+        // Dernier relevé de chaque planète { at, ok, error }
+        this.scrapeStatus = new Map();
+    }
+
+    /**
+     * Démarre le serveur et les relevés planifiés
+     * @returns {Promise<string>} - Adresse du serveur (ex. "http://127.0.0.1:8080")
+     */
+    async start() {
+        await this.store.open();
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.options.port, this.options.host, resolve);
+        });
+
+        const minutes = this.options.scrapeIntervalMinutes;
+        if (minutes > 0) {
+            // Le relevé suivant est planifié à la fin du précédent : un Lodestone lent ne fait pas se chevaucher
+            // deux relevés (et leurs snapshots)
+            const run = async () => {
+                await this.scrapeAll();
+                // stop() a pu être appelé pendant le relevé
+                if (this.scrapeTimer !== null) {
+                    this.scrapeTimer = setTimeout(run, minutes * 60 * 1000);
+                }
+            };
+            this.scrapeTimer = setTimeout(run, 0);
+        }
+
+        const { address, port } = this.server.address();
+        return `http://${address.includes(':') ? `[${address}]` : address}:${port}`;
+    }
+
+    /**
+     * Arrête les relevés et le serveur
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        clearTimeout(this.scrapeTimer);
+        this.scrapeTimer = null;
+        if (this.server.listening) {
+            await new Promise(resolve => this.server.close(resolve));
+        }
+    }
+
+    /**
+     * Relève chaque planète active ; un échec n'empêche pas les autres relevés
+     * @returns {Promise<Array>} - Planètes relevées avec succès
+     */
+    async scrapeAll() {
+        const scraped = [];
+        for (const planet of COSMIC_PLANETS.filter(p => p.isActive)) {
+            try {
+                await this.scrapePlanet(planet);
+                scraped.push(planet.id);
+            } catch (error) {
+                console.warn(`Scrape of ${planet.id} failed: ${error.message}`);
+            }
+        }
+        this.rateLimiter.prune();
+        this.lodestone.prune();
+        return scraped;
+    }
+
+    /**
+     * Relève une planète et conserve le snapshot
+     * Une page dont le format a changé n'est pas conservée
+     * @param {Object} planet - Planète du registre
+     * @returns {Promise<Object>} - Le snapshot enregistré
+     */
+    async scrapePlanet(planet) {
+        const scraper = createNodeScraper(getPlanetUrl(planet, this.options.lodestone), {
+            selectors: getSelectorProfile(planet),
+            sources: new DataSourceChain([this.lodestone], { retries: 1 })
+        });
+
+        try {
+            await scraper.scrape();
+            if (!scraper.diagnostics.ok) {
+                const errors = scraper.diagnostics.issues.filter(issue => issue.severity === 'error');
+                throw new Error(`Source format changed: ${errors.map(issue => issue.message).join('; ')}`);
+            }
+            const snapshot = await this.store.addSnapshot(planet.id, scraper.data, scraper.fetchedAt);
+            this.scrapeStatus.set(planet.id, { at: scraper.fetchedAt, ok: true, error: null });
+            return snapshot;
+        } catch (error) {
+            this.scrapeStatus.set(planet.id, { at: new Date(), ok: false, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Traite une requête HTTP
+     * @param {IncomingMessage} req - Requête
+     * @param {ServerResponse} res - Réponse
+     */
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const isApi = url.pathname === '/proxy' || url.pathname.startsWith('/api/');
+
+        try {
+            if (isApi) {
+                res.setHeader('Access-Control-Allow-Origin', '*');
+                if (req.method === 'OPTIONS') {
+                    res.writeHead(204, { 'Access-Control-Allow-Methods': 'GET' });
+                    res.end();
+                    return;
+                }
+            }
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                throw new HttpError(405, `Method ${req.method} not allowed`);
+            }
+
+            if (isApi) {
+                const limit = this.rateLimiter.take(req.socket.remoteAddress);
+                if (!limit.allowed) {
+                    res.setHeader('Retry-After', Math.ceil(limit.retryAfterMs / 1000));
+                    throw new HttpError(429, 'Too many requests');
+                }
+            }
+
+            if (url.pathname === '/proxy') {
+                this.send(res, 200, 'text/html; charset=utf-8', await this.proxy(url.searchParams.get('url')));
+            } else if (url.pathname.startsWith('/api/')) {
+                this.send(res, 200, 'application/json; charset=utf-8', JSON.stringify(await this.route(url)));
+            } else if (this.options.serveApp) {
+                await this.serveFile(res, url.pathname);
+            } else {
+                throw new HttpError(404, 'Not found');
+            }
+        } catch (error) {
+            // Les autres erreurs viennent du Lodestone (ou d'un chemin mal encodé)
+            const status = error instanceof HttpError ? error.status : error instanceof URIError ? 400 : 502;
+            this.send(res, status, 'application/json; charset=utf-8', JSON.stringify({ error: error.message }));
+        }
+    }
+
+    /**
+     * Récupère une page Lodestone pour le client (format de ProxySource : ?url=<URL encodée>)
+     * Seuls les rapports des planètes du registre sont servis, sans autre paramètre que _t :
+     * une URL quelconque ferait grossir le cache et solliciterait le Lodestone pour rien
+     * @param {string} target - URL demandée
+     * @returns {Promise<string>} - Contenu HTML
+     * @throws {HttpError} - Si l'URL n'est pas un rapport d'exploration cosmique du Lodestone
+     */
+    async proxy(target) {
+        let parsed;
+        try {
+            parsed = new URL(target);
+        } catch (error) {
+            throw new HttpError(400, 'Missing or invalid url parameter');
+        }
+
+        const allowed = Object.values(LODESTONE_HOSTS).some(host => new URL(host.url).origin === parsed.origin);
+        parsed.searchParams.delete('_t');
+        const page = parsed.pathname.replace(/\/+$/, '') + parsed.search;
+        const reports = COSMIC_PLANETS.filter(planet => planet.path).map(planet => planet.path);
+        if (!allowed || !reports.includes(page)) {
+            throw new HttpError(403, 'Only cosmic exploration reports can be proxied');
+        }
+        return this.lodestone.fetch(parsed.href);
+    }
+
+    /**
+     * Répond à une route de l'API JSON
+     * @param {URL} url - URL de la requête
+     * @returns {Promise<Object>} - Contenu de la réponse
+     * @throws {HttpError} - Route, planète ou serveur inconnus, ou aucun relevé
+     */
+    async route(url) {
+        const parts = url.pathname.split('/').slice(2).map(decodeURIComponent);
+
+        if (parts.length === 1 && parts[0] === 'planets') {
+            return {
+                planets: COSMIC_PLANETS.map(({ id, name, patch, isActive }) => ({
+                    id, name, patch, isActive, lastScrape: this.scrapeStatus.get(id) || null
+                }))
+            };
+        }
+        if (parts.length === 3 && parts[0] === 'planets' && parts[2] === 'ranking') {
+            return this.getRanking(parts[1], url.searchParams.get('dc'), url.searchParams.get('region'));
+        }
+        if (parts.length === 3 && parts[0] === 'servers' && parts[2] === 'history') {
+            return this.getServerHistory(parts[1], url.searchParams.get('planet'));
+        }
+        throw new HttpError(404, `Unknown API route ${url.pathname}`);
+    }
+
+    /**
+     * Trouve une planète active du registre
+     * @param {string} planetId - Identifiant (première planète active si absent)
+     * @returns {Object} - Planète
+     * @throws {HttpError} - Si la planète est inconnue ou inactive
+     */
+    getPlanet(planetId) {
+        const planet = planetId
+            ? COSMIC_PLANETS.find(p => p.id === planetId)
+            : COSMIC_PLANETS.find(p => p.isActive);
+        if (!planet || !planet.isActive) {
+            throw new HttpError(404, `Unknown or inactive planet: ${planetId}`);
+        }
+        return planet;
+    }
+
+    /**
+     * Classement du dernier relevé d'une planète
+     * @param {string} planetId - Identifiant de la planète
+     * @param {string} dataCenter - Filtre par data center (optionnel)
+     * @param {string} region - Filtre par région (optionnel)
+     * @returns {Promise<Object>} - { planet, timestamp, dataCenter, region, servers }
+     */
+    async getRanking(planetId, dataCenter = null, region = null) {
+        const planet = this.getPlanet(planetId);
+        const snapshot = await this.store.getLatestSnapshot(planet.id);
+        if (!snapshot) {
+            throw new HttpError(503, `No snapshot of ${planet.id} yet`);
+        }
+
+        const scraper = createNodeScraper();
+        scraper.data = snapshot.data.map(server => ({ ...server }));
+        return {
+            planet: planet.id,
+            timestamp: new Date(snapshot.timestamp).toISOString(),
+            dataCenter: dataCenter || null,
+            region: region || null,
+            servers: scraper.createRanking(dataCenter, region)
+        };
+    }
+
+    /**
+     * Historique récent d'un serveur sur une planète (HISTORY_WINDOW_MS)
+     * @param {string} serverName - Nom du serveur (sans tenir compte de la casse)
+     * @param {string} planetId - Identifiant de la planète (optionnel)
+     * @returns {Promise<Object>} - { server, planet, history }
+     */
+    async getServerHistory(serverName, planetId = null) {
+        const planet = this.getPlanet(planetId);
+        const latest = await this.store.getLatestSnapshot(planet.id);
+        const server = latest && latest.data.find(item => item.serverName.toLowerCase() === serverName.toLowerCase());
+        if (!server) {
+            throw new HttpError(404, `Unknown server on ${planet.id}: ${serverName}`);
+        }
+
+        const history = await this.store.getServerHistory(planet.id, server.serverName, Date.now() - HISTORY_WINDOW_MS);
+        return {
+            server: server.serverName,
+            planet: planet.id,
+            history: history.map(point => ({ ...point, timestamp: new Date(point.timestamp).toISOString() }))
+        };
+    }
+
+    /**
+     * Sert un fichier de l'application
+     * @param {ServerResponse} res - Réponse
+     * @param {string} pathname - Chemin demandé
+     * @throws {HttpError} - Si le fichier n'existe pas ou n'est pas servi
+     */
+    async serveFile(res, pathname) {
+        const name = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+        const file = path.join(ROOT, name);
+        const type = STATIC_TYPES[path.extname(file)];
+
+        // Pas de sortie du dossier, ni de fichiers internes (package.json, data, node_modules...)
+        if (!type || path.dirname(file) !== ROOT || name === 'package.json' || name === 'package-lock.json') {
+            throw new HttpError(404, 'Not found');
+        }
+
+        try {
+            this.send(res, 200, type, await fs.promises.readFile(file));
+        } catch (error) {
+            throw new HttpError(404, 'Not found');
+        }
+    }
+
+    send(res, status, type, body) {
+        res.writeHead(status, { 'Content-Type': type });
+        res.end(body);
+    }
+}
+
+module.exports = { SERVER_DEFAULTS, HttpError, RateLimiter, LodestoneCache, CosmicServer };
@@ -0,0 +1,222 @@
+/**
+ * CosmicSnapshotStore - Stockage des résultats de scraping horodatés
+ * dans IndexedDB, indexés par planète
+ */
+
+// Durée de conservation des snapshots : les plus anciens sont supprimés à chaque enregistrement
+const SNAPSHOT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Période couverte par l'historique d'un serveur
+const HISTORY_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Garde les champs d'un résultat de scraping conservés dans un snapshot
+ * @param {Array} data - Résultat de FFXIVCosmicScraper.scrape()
+ * @returns {Array} - Données du snapshot
+ */
+function toSnapshotData(data) {
+    return data.map(({ serverName, dataCenter, region, physicalDataCenter, grade, progressPercentage, rawGauge, isTransitioning, statusText, isComplete }) => ({
+        serverName,
+        dataCenter,
+        region,
+        physicalDataCenter,
+        grade,
+        progressPercentage,
+        rawGauge,
+        isTransitioning,
+        statusText,
+        isComplete
+    }));
+}
+
+class CosmicSnapshotStore {
+    /**
+     * Constructeur
+     * @param {string} dbName - Nom de la base IndexedDB (optionnel)
+     * @param {Object} options - { retentionMs (SNAPSHOT_RETENTION_MS par défaut), lodestoneHost } (optionnel)
+     */
+    constructor(dbName = 'cosmic-exploration-tracker', options = {}) {
+        this.dbName = dbName;
+        this.storeName = 'snapshots';
+        this.version = 1;
+        this.db = null;
+        this.retentionMs = options.retentionMs !== undefined ? options.retentionMs : SNAPSHOT_RETENTION_MS;
+        // Site Lodestone des relevés : les classements de sites différents ne se mélangent pas (null : tous)
+        this.lodestoneHost = options.lodestoneHost || null;
+    }
+
+    /**
+     * Indique si un snapshot vient du site Lodestone du store
+     * Les snapshots enregistrés sans site sont ignorés dès qu'un site est choisi
+     * @param {Object} snapshot - Snapshot enregistré
+     * @returns {boolean} - Vrai si le snapshot est à lire
+     */
+    matchesHost(snapshot) {
+        return !this.lodestoneHost || snapshot.lodestoneHost === this.lodestoneHost;
+    }
+
+    /**
+     * Ouvre (et crée si nécessaire) la base de données
+     * @returns {Promise<IDBDatabase>} - Base de données ouverte
+     */
+    open() {
+        if (this.db) {
+            return Promise.resolve(this.db);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('planet_timestamp', ['planetId', 'timestamp']);
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Enregistre un snapshot pour une planète et supprime ceux qui ont dépassé la durée de conservation
+     * @param {string} planetId - Identifiant de la planète
+     * @param {Array} data - Résultat de FFXIVCosmicScraper.scrape()
+     * @param {Date} timestamp - Date du scraping (optionnel)
+     * @returns {Promise<Object>} - Le snapshot enregistré
+     */
+    async addSnapshot(planetId, data, timestamp = new Date()) {
+        const db = await this.open();
+        const snapshot = {
+            planetId,
+            lodestoneHost: this.lodestoneHost,
+            timestamp: timestamp.getTime(),
+            data: toSnapshotData(data)
+        };
+
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, 'readwrite');
+            const request = tx.objectStore(this.storeName).add(snapshot);
+            request.onsuccess = () => {
+                snapshot.id = request.result;
+                resolve();
+            };
+            tx.onerror = () => reject(tx.error);
+        });
+
+        await this.deleteSnapshotsBefore(planetId, snapshot.timestamp - this.retentionMs);
+        return snapshot;
+    }
+
+    /**
+     * Supprime les snapshots d'une planète antérieurs à une date, quel que soit leur site
+     * @param {string} planetId - Identifiant de la planète
+     * @param {number} before - Timestamp en ms (exclu)
+     * @returns {Promise<number>} - Nombre de snapshots supprimés
+     */
+    async deleteSnapshotsBefore(planetId, before) {
+        // Rien d'aussi ancien (conservation illimitée) ; une borne négative ferait échouer IDBKeyRange
+        if (!(before > 0)) {
+            return 0;
+        }
+        const db = await this.open();
+        const range = IDBKeyRange.bound([planetId, 0], [planetId, before], false, true);
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, 'readwrite');
+            const request = tx.objectStore(this.storeName).index('planet_timestamp').openCursor(range);
+            let deleted = 0;
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    deleted++;
+                    cursor.continue();
+                }
+            };
+            tx.oncomplete = () => resolve(deleted);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Récupère les snapshots d'une planète, du plus ancien au plus récent
+     * @param {string} planetId - Identifiant de la planète
+     * @param {number} since - Timestamp minimum en ms (optionnel)
+     * @returns {Promise<Array>} - Liste des snapshots
+     */
+    async getSnapshots(planetId, since = 0) {
+        const db = await this.open();
+        const range = IDBKeyRange.bound([planetId, since], [planetId, Infinity]);
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, 'readonly');
+            const request = tx.objectStore(this.storeName).index('planet_timestamp').getAll(range);
+            request.onsuccess = () => resolve(request.result.filter(snapshot => this.matchesHost(snapshot)));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Récupère le dernier snapshot d'une planète
+     * @param {string} planetId - Identifiant de la planète
+     * @returns {Promise<Object|null>} - Le snapshot le plus récent ou null
+     */
+    async getLatestSnapshot(planetId) {
+        const db = await this.open();
+        const range = IDBKeyRange.bound([planetId, 0], [planetId, Infinity]);
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, 'readonly');
+            const request = tx.objectStore(this.storeName).index('planet_timestamp').openCursor(range, 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor && !this.matchesHost(cursor.value)) {
+                    cursor.continue();
+                } else {
+                    resolve(cursor ? cursor.value : null);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Construit l'historique d'un serveur à partir des snapshots
+     * @param {string} planetId - Identifiant de la planète
+     * @param {string} serverName - Nom du serveur
+     * @param {number} since - Timestamp minimum en ms (optionnel)
+     * @returns {Promise<Array>} - Points { timestamp, grade, progressPercentage, rawGauge, isTransitioning, statusText, isComplete }
+     */
+    async getServerHistory(planetId, serverName, since = 0) {
+        const snapshots = await this.getSnapshots(planetId, since);
+        const history = [];
+
+        snapshots.forEach(snapshot => {
+            const server = snapshot.data.find(item => item.serverName === serverName);
+            if (server) {
+                history.push({
+                    timestamp: snapshot.timestamp,
+                    grade: server.grade,
+                    progressPercentage: server.progressPercentage,
+                    rawGauge: server.rawGauge,
+                    isTransitioning: server.isTransitioning,
+                    statusText: server.statusText,
+                    isComplete: server.isComplete
+                });
+            }
+        });
+
+        return history;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SNAPSHOT_RETENTION_MS, HISTORY_WINDOW_MS, CosmicSnapshotStore, toSnapshotData };
+}
@@ -0,0 +1,79 @@
+/**
+ * Service worker - Met en cache les fichiers de l'application pour pouvoir
+ * l'ouvrir hors ligne. Les pages Lodestone ne passent pas par ce cache :
+ * les dernières données valides sont conservées par l'application
+ */
+
+const SHELL_CACHE = 'cosmic-shell-v1';
+
+// Fichiers de l'application
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'favicon.ico',
+    'icon.svg',
+    'manifest.webmanifest',
+    'planets.json',
+    'planets.js',
+    'data-sources.js',
+    'regions.js',
+    'i18n.js',
+    'dom.js',
+    'gauge-model.js',
+    'ranking-strategies.js',
+    'ffxiv-cosmic-scraper.js',
+    'snapshot-store.js',
+    'history-chart.js',
+    'ranking-delta.js',
+    'forecast.js',
+    'ranking-format.js',
+    'export.js',
+    'ranking-filter.js',
+    'datacenter-stats.js',
+    'datacenter-chart.js',
+    'cross-planet.js',
+    'url-state.js',
+    'alerts.js',
+    'activity.js',
+    'embed.js',
+    'app.js'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Supprime les caches des versions précédentes
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Réseau d'abord pour recevoir les mises à jour, cache en cas d'échec
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+    // Proxy et API de cosmic-server : données en direct, jamais mises en cache
+    if (url.pathname === '/proxy' || url.pathname.startsWith('/api/')) return;
+
+    event.respondWith(
+        fetch(event.request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(SHELL_CACHE).then(cache => cache.put(event.request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(event.request, { ignoreSearch: true })
+                .then(cached => cached || Response.error()))
+    );
+});
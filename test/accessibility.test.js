@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, readFixture, scrapeFixture } = require('./helpers');
+
+/**
+ * Envoie une touche comme si elle était pressée sur un élément
+ */
+function pressKey(window, target, key) {
+    target.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+}
+
+test('planet tabs form a tablist navigated with the arrow keys', async () => {
+    const { window, evaluate } = await loadApp();
+    try {
+        const { document } = window;
+        assert.strictEqual(document.getElementById('planet-tabs').getAttribute('role'), 'tablist');
+
+        let tabs = Array.from(document.querySelectorAll('#planet-tabs .tab-item'));
+        assert.deepStrictEqual(tabs.map(tab => tab.getAttribute('aria-selected')), ['true', 'false', 'false', 'false']);
+        assert.deepStrictEqual(tabs.map(tab => tab.tabIndex), [0, -1, -1, -1]);
+        assert.strictEqual(document.getElementById('content-container').getAttribute('aria-labelledby'), tabs[0].id);
+
+        // Upcoming planets are skipped, so open them all to move between tabs
+        window.setupEventListeners();
+        evaluate('COSMIC_PLANETS.forEach(planet => { planet.isActive = true; }); renderPlanetTabs(); selectPlanet(COSMIC_PLANETS[0].id);');
+        tabs = Array.from(document.querySelectorAll('#planet-tabs .tab-item'));
+
+        tabs[0].focus();
+        pressKey(window, tabs[0], 'ArrowRight');
+        assert.strictEqual(document.activeElement, tabs[1]);
+        pressKey(window, tabs[1], 'End');
+        assert.strictEqual(document.activeElement, tabs[3]);
+        pressKey(window, tabs[3], 'ArrowRight');
+        assert.strictEqual(document.activeElement, tabs[0]);
+        pressKey(window, tabs[0], 'ArrowLeft');
+        assert.strictEqual(document.activeElement, tabs[3]);
+
+        // Moving the focus does not open the planet
+        assert.strictEqual(evaluate('state.activePlanet'), tabs[0].dataset.planet);
+    } finally {
+        window.close();
+    }
+});
+
+test('gauges are progress bars reading out their range', async () => {
+    const { window } = await loadApp();
+    try {
+        const scraper = await scrapeFixture('report-mixed.html');
+        window.updateTableView(window.JSON.parse(JSON.stringify(scraper.createRanking())));
+
+        const getGauge = name => Array.from(window.document.querySelectorAll('#table-body tr'))
+            .find(row => row.querySelector('.server-name').textContent === name)
+            .querySelector('[role="progressbar"]');
+
+        const odin = getGauge('Odin');
+        assert.strictEqual(odin.getAttribute('aria-label'), 'Gauge of Odin');
+        assert.strictEqual(odin.getAttribute('aria-valuemin'), '0');
+        assert.strictEqual(odin.getAttribute('aria-valuemax'), '8');
+        assert.strictEqual(odin.getAttribute('aria-valuenow'), '5');
+        assert.strictEqual(odin.getAttribute('aria-valuetext').replace(/\s/g, ' '), '62.5% – 75%');
+
+        assert.strictEqual(getGauge('Twintania').getAttribute('aria-valuetext'), '100%, Grading up');
+        assert.strictEqual(getGauge('Phoenix').getAttribute('aria-valuetext'), '100%');
+    } finally {
+        window.close();
+    }
+});
+
+test('keyboard shortcuts refresh, switch views and data centers, and are announced', async () => {
+    const { window, evaluate } = await loadApp();
+    try {
+        const { document } = window;
+        const scraper = await scrapeFixture('report-mixed.html');
+        const state = evaluate('state');
+        state.rawData = window.JSON.parse(JSON.stringify(scraper.data));
+        window.updateRanking();
+        window.updateDataCentersDropdown();
+        window.setupEventListeners();
+
+        const refreshes = [];
+        window.loadCosmicData = forceRefresh => refreshes.push(forceRefresh);
+        const announcer = document.getElementById('announcer');
+
+        pressKey(window, document.body, '2');
+        assert.strictEqual(state.viewMode, 'grid');
+        assert.strictEqual(document.getElementById('grid-view-btn').getAttribute('aria-pressed'), 'true');
+        assert.strictEqual(document.getElementById('table-view-btn').getAttribute('aria-pressed'), 'false');
+        assert.strictEqual(announcer.textContent, 'Grid view');
+
+        pressKey(window, document.body, ']');
+        assert.strictEqual(state.dataCenter, 'Aether');
+        assert.strictEqual(announcer.textContent, 'Data center: Aether');
+        pressKey(window, document.body, '[');
+        pressKey(window, document.body, '[');
+        assert.strictEqual(state.dataCenter, 'Light');
+
+        pressKey(window, document.body, 'r');
+        assert.deepStrictEqual(refreshes, [true]);
+
+        // Typing in a field is not a shortcut
+        pressKey(window, document.getElementById('search-input'), '1');
+        assert.strictEqual(state.viewMode, 'grid');
+
+        // Single-key shortcuts can be turned off, and are no longer advertised
+        const toggle = document.getElementById('shortcuts-toggle');
+        toggle.checked = false;
+        toggle.dispatchEvent(new window.Event('change'));
+        assert.strictEqual(window.localStorage.getItem('keyboardShortcuts'), 'false');
+        assert.strictEqual(document.querySelectorAll('[aria-keyshortcuts]').length, 0);
+        pressKey(window, document.body, '1');
+        pressKey(window, document.body, 'r');
+        assert.strictEqual(state.viewMode, 'grid');
+        assert.deepStrictEqual(refreshes, [true]);
+
+        toggle.checked = true;
+        toggle.dispatchEvent(new window.Event('change'));
+        assert.strictEqual(document.getElementById('refresh-btn').getAttribute('aria-keyshortcuts'), 'R');
+        pressKey(window, document.body, '1');
+        assert.strictEqual(state.viewMode, 'table');
+    } finally {
+        window.close();
+    }
+});
+
+test('the live region announces the end of each load', async () => {
+    const { window, evaluate } = await loadApp();
+    try {
+        const state = evaluate('state');
+        state.snapshotStore = { getLatestSnapshot: async () => null, getSnapshots: async () => [] };
+        const announcer = window.document.getElementById('announcer');
+        assert.strictEqual(announcer.getAttribute('aria-live'), 'polite');
+
+        const page = evaluate(`new UploadSource('report-mixed.html', ${JSON.stringify(readFixture('report-mixed.html'))})`);
+        await window.loadCosmicData(true, [page]);
+        assert.strictEqual(announcer.textContent, 'Sinus Ardorum: ranking of 8 worlds updated');
+        assert.strictEqual(window.document.getElementById('content-container').getAttribute('aria-busy'), 'false');
+
+        await window.loadCosmicData(true, [evaluate("new UploadSource('broken.html', '')")]);
+        assert.strictEqual(announcer.textContent, 'Unable to load the ranking');
+    } finally {
+        window.close();
+    }
+});
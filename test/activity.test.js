@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, scrapeFixture } = require('./helpers');
+
+/**
+ * Trois relevés successifs, une heure d'écart : le dernier fait évoluer quelques serveurs
+ */
+async function loadSnapshots(window) {
+    const scraper = await scrapeFixture('report-mixed.html');
+    const copy = () => window.JSON.parse(JSON.stringify(scraper.data));
+    const current = copy();
+    const find = name => current.find(server => server.serverName === name);
+
+    Object.assign(find('Zodiark'), { grade: 5, progressPercentage: 0.75, rawGauge: 'gauge-6' });
+    Object.assign(find('Gilgamesh'), { progressPercentage: 1, rawGauge: 'gauge-max' });
+    Object.assign(find('Twintania'), { statusText: 'Complete', isComplete: true });
+
+    const start = new Date(2025, 3, 12, 12, 0).getTime();
+    return [copy(), copy(), current].map((data, index) => ({ timestamp: start + index * 3600000, data }));
+}
+
+test('detectActivityEvents reports grade ups, full gauges, completions and overtakes', async () => {
+    const { window } = await loadApp();
+    try {
+        const [, previous, current] = await loadSnapshots(window);
+        const events = window.detectActivityEvents(
+            window.rankSnapshotData(previous.data), window.rankSnapshotData(current.data), current.timestamp);
+
+        assert.deepStrictEqual(Array.from(events, window.describeActivityEvent), [
+            'Twintania completed the planet',
+            'Zodiark reached Grade 5',
+            'Zodiark passed Odin for #3 on Light',
+            'Zodiark passed Cerberus (Chaos) for #3 overall',
+            'Light now has 2 completed worlds',
+            'Gilgamesh filled its Grade 4 gauge'
+        ]);
+        assert.deepStrictEqual(
+            { ...events[2] },
+            { type: 'overtake', time: current.timestamp, server: 'Zodiark', dataCenter: 'Light', region: 'EU', rank: 3, rival: 'Odin' }
+        );
+        // Overtakes across data centers are ranked on the global ranking
+        assert.deepStrictEqual(
+            { ...events[3] },
+            { type: 'overtake-global', time: current.timestamp, server: 'Zodiark', dataCenter: 'Light', region: 'EU', rank: 3, rival: 'Cerberus', rivalDataCenter: 'Chaos' }
+        );
+
+        // Nothing happens between two identical scrapes
+        assert.strictEqual(window.detectActivityEvents(
+            window.rankSnapshotData(previous.data), window.rankSnapshotData(previous.data), current.timestamp).length, 0);
+    } finally {
+        window.close();
+    }
+});
+
+test('the activity feed is rebuilt from stored snapshots and filtered by data center and favorites', async () => {
+    const { window, evaluate } = await loadApp();
+    try {
+        const { document } = window;
+        const snapshots = await loadSnapshots(window);
+        const state = evaluate('state');
+        state.snapshotStore = {
+            getLatestSnapshot: async () => snapshots[snapshots.length - 1],
+            getSnapshots: async () => snapshots
+        };
+        window.setupEventListeners();
+
+        // A reload reads the feed back from the snapshot store
+        await window.loadLastGoodData();
+        window.updateUI();
+        assert.strictEqual(state.activity.length, 6);
+        assert.ok(state.activity.every(event => event.time === snapshots[2].timestamp));
+
+        document.getElementById('activity-view-btn').click();
+        assert.strictEqual(document.getElementById('activity-view').classList.contains('hidden'), false);
+        assert.strictEqual(document.getElementById('filter-bar').classList.contains('hidden'), true);
+
+        const items = () => Array.from(document.querySelectorAll('#activity-list li .activity-description'))
+            .map(item => item.textContent);
+        assert.strictEqual(items().length, 6);
+
+        state.dataCenter = 'Aether';
+        window.updateUI();
+        assert.deepStrictEqual(items(), ['Gilgamesh filled its Grade 4 gauge']);
+
+        // The passed world's data center sees the overtake too
+        state.dataCenter = 'Chaos';
+        window.updateUI();
+        assert.deepStrictEqual(items(), ['Zodiark passed Cerberus (Chaos) for #3 overall']);
+
+        state.dataCenter = 'all';
+        state.favorites = new window.Set(['Odin']);
+        document.getElementById('activity-favorites-toggle').click();
+        assert.deepStrictEqual(items(), ['Zodiark passed Odin for #3 on Light']);
+        assert.strictEqual(window.localStorage.getItem('activityFavoritesOnly'), 'true');
+
+        state.favorites = new window.Set();
+        window.updateUI();
+        assert.strictEqual(document.getElementById('activity-empty').classList.contains('hidden'), false);
+    } finally {
+        window.close();
+    }
+});
+
+test('the activity feed exports to CSV and JSON', async () => {
+    const { window } = await loadApp();
+    try {
+        const [, previous, current] = await loadSnapshots(window);
+        const events = window.buildActivityFeed([previous, current]).filter(event => event.dataCenter === 'Aether');
+
+        assert.strictEqual(window.activityToCSV(events),
+            'time,type,server,dataCenter,region,grade,rank,rival,rivalDataCenter,count,description\r\n' +
+            `${new Date(current.timestamp).toISOString()},gauge-max,Gilgamesh,Aether,NA,4,,,,,Gilgamesh filled its Grade 4 gauge\r\n`);
+
+        const json = JSON.parse(window.activityToJSON(events, { planet: 'sinus-ardorum' }));
+        assert.strictEqual(json.planet, 'sinus-ardorum');
+        assert.strictEqual(json.events[0].description, 'Gilgamesh filled its Grade 4 gauge');
+        assert.strictEqual(json.events[0].time, new Date(current.timestamp).toISOString());
+    } finally {
+        window.close();
+    }
+});
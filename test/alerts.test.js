@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, scrapeFixture } = require('./helpers');
+
+/**
+ * Deux relevés successifs : le second fait évoluer quelques serveurs
+ */
+async function loadSuccessiveData(window) {
+    const scraper = await scrapeFixture('report-mixed.html');
+    const previous = window.JSON.parse(JSON.stringify(scraper.data));
+    const current = window.JSON.parse(JSON.stringify(scraper.data));
+    const find = name => current.find(server => server.serverName === name);
+
+    Object.assign(find('Zodiark'), { grade: 5 });
+    Object.assign(find('Gilgamesh'), { progressPercentage: 1, rawGauge: 'gauge-max' });
+    Object.assign(find('Shiva'), { progressPercentage: 0.75, rawGauge: 'gauge-6' });
+    Object.assign(find('Twintania'), { grade: 6, progressPercentage: 0, rawGauge: 'gauge-0' });
+
+    return { previous, current };
+}
+
+test('evaluateAlertRules fires each rule type only when it matches', async () => {
+    const { window } = await loadApp();
+    try {
+        const { previous, current } = await loadSuccessiveData(window);
+        const rules = [
+            { type: 'grade-up', server: 'Zodiark' },
+            { type: 'grade-up', server: 'Odin' },
+            { type: 'gauge-max', server: 'Gilgamesh' },
+            { type: 'gauge-max', server: 'Phoenix' },
+            { type: 'overtake', server: 'Shiva', target: 'Odin' },
+            { type: 'overtake', server: 'Odin', target: 'Shiva' },
+            { type: 'dc-leader', dataCenter: 'Light' },
+            { type: 'dc-leader', dataCenter: 'Chaos' }
+        ];
+
+        const alerts = window.evaluateAlertRules(rules, window.rankSnapshotData(previous), window.rankSnapshotData(current));
+
+        assert.deepStrictEqual(alerts.map(alert => alert.title), [
+            'Zodiark reached Grade 5',
+            'Gilgamesh filled its gauge',
+            'Shiva passed Odin',
+            'Twintania now leads Light'
+        ]);
+        assert.strictEqual(alerts[3].message, 'Previous leader: Phoenix');
+    } finally {
+        window.close();
+    }
+});
+
+test('checkAlerts falls back to an in-page toast and logs fired alerts', async () => {
+    const { window, evaluate } = await loadApp();
+    try {
+        const { previous, current } = await loadSuccessiveData(window);
+        const state = evaluate('state');
+        state.alertRules = [{ type: 'grade-up', server: 'Zodiark' }];
+
+        window.checkAlerts(previous, current);
+
+        const toasts = window.document.querySelectorAll('#toast-container .toast');
+        assert.strictEqual(toasts.length, 1);
+        assert.strictEqual(toasts[0].querySelector('.toast-title').textContent, 'Zodiark reached Grade 5');
+        assert.strictEqual(window.document.querySelectorAll('#alert-log li').length, 1);
+
+        // Nothing fires without a previous ranking
+        window.checkAlerts([], current);
+        assert.strictEqual(state.alertLog.length, 1);
+    } finally {
+        window.close();
+    }
+});
+
+test('a notification that cannot be shown falls back to a toast and never breaks the load', async () => {
+    const { window, evaluate } = await loadApp();
+    try {
+        const { previous, current } = await loadSuccessiveData(window);
+        const state = evaluate('state');
+        state.alertRules = [{ type: 'grade-up', server: 'Zodiark' }];
+
+        // As on Android Chrome: permission granted, but the constructor is illegal
+        window.Notification = class {
+            static get permission() { return 'granted'; }
+            constructor() { throw new window.TypeError('Illegal constructor'); }
+        };
+        window.checkAlerts(previous, current);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        assert.strictEqual(window.document.querySelectorAll('#toast-container .toast').length, 1);
+
+        // The shown notification goes through the service worker registration
+        const shown = [];
+        Object.defineProperty(window.navigator, 'serviceWorker', {
+            value: { getRegistration: async () => ({ showNotification: async (title, options) => shown.push([title, options.body]) }) },
+            configurable: true
+        });
+        window.checkAlerts(previous, current);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        assert.deepStrictEqual(shown, [['Zodiark reached Grade 5', 'Rank #6 on Light']]);
+
+        window.evaluateAlertRules = () => { throw new Error('broken rule'); };
+        assert.doesNotThrow(() => window.checkAlerts(previous, current));
+    } finally {
+        window.close();
+    }
+});
+
+test('alert rules and auto-refresh settings are saved', async () => {
+    const { window, evaluate } = await loadApp();
+    try {
+        const { document } = window;
+        window.setupEventListeners();
+        window.setupAlertsPanel();
+
+        document.getElementById('alert-rule-type').value = 'overtake';
+        document.getElementById('alert-rule-type').dispatchEvent(new window.Event('change'));
+        assert.strictEqual(document.getElementById('alert-rule-dc').classList.contains('hidden'), true);
+
+        document.getElementById('alert-rule-server').value = 'Shiva';
+        document.getElementById('alert-rule-target').value = 'Odin';
+        document.getElementById('alert-rule-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+
+        assert.deepStrictEqual(JSON.parse(window.localStorage.getItem('alertRules')), [{ type: 'overtake', server: 'Shiva', target: 'Odin' }]);
+        assert.strictEqual(document.querySelector('#alert-rules-list li span').textContent, 'Shiva overtakes Odin');
+
+        document.getElementById('auto-refresh-toggle').checked = true;
+        document.getElementById('auto-refresh-toggle').dispatchEvent(new window.Event('change'));
+        assert.deepStrictEqual(JSON.parse(window.localStorage.getItem('autoRefresh')), { enabled: true, minutes: 15 });
+        assert.notStrictEqual(evaluate('state').autoRefreshTimer, null);
+
+        // Saved intervals that are not offered fall back to 15 minutes
+        for (const minutes of [0, -5, '1', 7, null]) {
+            window.localStorage.setItem('autoRefresh', JSON.stringify({ enabled: true, minutes }));
+            assert.deepStrictEqual({ ...window.loadAutoRefresh() }, { enabled: true, minutes: 15 });
+        }
+        window.localStorage.setItem('autoRefresh', '{"enabled":"yes","minutes":30}');
+        assert.deepStrictEqual({ ...window.loadAutoRefresh() }, { enabled: false, minutes: 30 });
+        window.localStorage.setItem('autoRefresh', 'not json');
+        assert.deepStrictEqual({ ...window.loadAutoRefresh() }, { enabled: false, minutes: 15 });
+    } finally {
+        window.close();
+    }
+});
@@ -0,0 +1,341 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, scrapeFixture } = require('./helpers');
+
+/**
+ * Copie un classement Node dans le contexte jsdom
+ */
+async function loadRanking(window, dataCenter = null) {
+    const scraper = await scrapeFixture('report-mixed.html');
+    return window.JSON.parse(JSON.stringify(scraper.createRanking(dataCenter)));
+}
+
+test('getProgressBarSegments fills one segment per eighth', async () => {
+    const { window } = await loadApp();
+    try {
+        const container = window.document.createElement('div');
+        container.innerHTML = window.getProgressBarSegments({ progressPercentage: 3 / 8, statusText: 'In progress' });
+
+        const segments = container.querySelectorAll('.progress-segment');
+        assert.strictEqual(segments.length, 8);
+        assert.strictEqual(container.querySelectorAll('.filled').length, 3);
+        assert.strictEqual(container.querySelectorAll('.complete').length, 0);
+
+        container.innerHTML = window.getProgressBarSegments({ progressPercentage: 1, statusText: 'Complete' });
+        assert.strictEqual(container.querySelectorAll('.filled.complete').length, 8);
+    } finally {
+        window.close();
+    }
+});
+
+test('forecasts and the history chart follow the gauge position', async () => {
+    const { window } = await loadApp();
+    try {
+        const now = Date.parse('2025-04-12T20:00:00Z');
+        const hour = 60 * 60 * 1000;
+        const point = (hoursAgo, rawGauge, isTransitioning = false) => ({
+            timestamp: now - hoursAgo * hour, grade: 5, progressPercentage: 1, rawGauge, isTransitioning, statusText: 'In progress'
+        });
+        const history = [point(2, 'gauge-6'), point(1, 'gauge-7'), point(0, 'gauge-7', true)];
+
+        // A grading-up gauge has filled its eighth segment, not jumped to 100%
+        const forecast = window.forecastServer(history[2], history, { now });
+        assert.strictEqual(forecast.ratePerHour, 1 / 8);
+        assert.strictEqual(forecast.gaugeEta.getTime(), now);
+
+        const titles = Array.from(window.createHistoryChart(history).querySelectorAll('title'), title => title.textContent);
+        assert.match(titles[0], /Grade 5, 75% – 87\.5%$/);
+        assert.match(titles[2], /Grade 5, 100%, Grading up$/);
+    } finally {
+        window.close();
+    }
+});
+
+test('updateTableView renders one row per server', async () => {
+    const { window } = await loadApp();
+    try {
+        const ranking = await loadRanking(window);
+        window.updateTableView(ranking);
+
+        const rows = window.document.querySelectorAll('#table-body tr');
+        assert.strictEqual(rows.length, 8);
+
+        const cells = rows[2].querySelectorAll('td');
+        assert.strictEqual(cells[0].querySelector('.rank-badge').textContent, '3');
+        assert.strictEqual(cells[1].querySelector('.server-name').textContent, 'Odin');
+        assert.strictEqual(cells[2].querySelector('.region-tag').textContent, 'EU');
+        assert.strictEqual(cells[3].textContent.trim(), '5');
+        assert.strictEqual(cells[4].querySelector('.progress-value').textContent.trim().replace(/\s/g, ' '), '62.5% – 75%');
+        assert.strictEqual(cells[4].querySelectorAll('.progress-segment.filled').length, 5);
+        assert.strictEqual(cells[4].querySelectorAll('.progress-segment.uncertain').length, 1);
+    } finally {
+        window.close();
+    }
+});
+
+test('updateTableView shows rank movement and grade-up badges', async () => {
+    const { window } = await loadApp();
+    try {
+        const ranking = await loadRanking(window, 'Chaos');
+        ranking[0].movement = { rankChange: 2, segmentChange: 9, gradeUp: true, isNew: false };
+        ranking[1].movement = { rankChange: -1, segmentChange: 0, gradeUp: false, isNew: false };
+        window.updateTableView(ranking);
+
+        const rows = window.document.querySelectorAll('#table-body tr');
+        assert.match(rows[0].querySelector('.rank-movement.up').textContent, /2/);
+        assert.strictEqual(rows[0].querySelector('.segment-change').textContent, '+9 seg');
+        assert.ok(rows[0].querySelector('.grade-up-badge'));
+        assert.match(rows[1].querySelector('.rank-movement.down').textContent, /1/);
+        assert.strictEqual(rows[1].querySelector('.grade-up-badge'), null);
+    } finally {
+        window.close();
+    }
+});
+
+test('updateGridView renders one card per server', async () => {
+    const { window } = await loadApp();
+    try {
+        const ranking = await loadRanking(window, 'Light');
+        window.updateGridView(ranking);
+
+        const cards = window.document.querySelectorAll('#grid-view .server-card');
+        assert.strictEqual(cards.length, 5);
+        assert.strictEqual(cards[0].querySelector('.card-title').textContent, 'Phoenix');
+        assert.strictEqual(cards[0].querySelector('.card-rank').textContent, '1');
+        assert.strictEqual(cards[0].querySelector('.card-status').textContent, 'Complete');
+        assert.strictEqual(cards[0].querySelectorAll('.progress-segment.filled.complete').length, 8);
+    } finally {
+        window.close();
+    }
+});
+
+test('updateUI filters by data center and updates the count', async () => {
+    const { window, evaluate } = await loadApp();
+    try {
+        const state = evaluate('state');
+        state.data = await loadRanking(window);
+        state.dataCenter = 'Chaos';
+        window.updateUI();
+
+        assert.strictEqual(window.document.getElementById('data-count').textContent, '2');
+        assert.strictEqual(window.document.querySelectorAll('#table-body tr').length, 2);
+        assert.strictEqual(window.document.querySelectorAll('#grid-view .server-card').length, 2);
+    } finally {
+        window.close();
+    }
+});
+
+test('updateUI applies search, status and grade filters to table and grid', async () => {
+    const { window, evaluate } = await loadApp();
+    try {
+        const state = evaluate('state');
+        state.data = await loadRanking(window);
+        const names = selector => Array.from(window.document.querySelectorAll(selector)).map(el => el.textContent);
+
+        state.search = 'o';
+        state.status = 'In progress';
+        state.minGrade = '4';
+        state.maxGrade = '4';
+        window.updateUI();
+
+        assert.deepStrictEqual(names('#table-body .server-name'), ['Zodiark']);
+        assert.deepStrictEqual(names('#grid-view .card-title'), ['Zodiark']);
+        assert.strictEqual(window.document.getElementById('no-results').classList.contains('hidden'), true);
+
+        state.search = 'nothing';
+        window.updateUI();
+        assert.strictEqual(window.document.getElementById('no-results').classList.contains('hidden'), false);
+    } finally {
+        window.close();
+    }
+});
+
+test('column headers sort the table and reverse on a second click', async () => {
+    const { window, evaluate } = await loadApp();
+    try {
+        const state = evaluate('state');
+        state.data = await loadRanking(window, 'Light');
+        window.setupEventListeners();
+        const names = () => Array.from(window.document.querySelectorAll('#table-body .server-name')).map(el => el.textContent);
+        const header = window.document.querySelector('th[data-sort="serverName"]');
+
+        header.click();
+        assert.deepStrictEqual(names(), ['Odin', 'Phoenix', 'Shiva', 'Twintania', 'Zodiark']);
+        assert.strictEqual(header.getAttribute('aria-sort'), 'ascending');
+        assert.strictEqual(window.location.search, '?sort=serverName');
+
+        header.click();
+        assert.deepStrictEqual(names(), ['Zodiark', 'Twintania', 'Shiva', 'Phoenix', 'Odin']);
+        assert.strictEqual(window.location.search, '?sort=serverName&dir=desc');
+
+        // Progress sorts highest first, ties keep the ranking order
+        window.document.querySelector('th[data-sort="progress"]').click();
+        assert.deepStrictEqual(names(), ['Phoenix', 'Twintania', 'Odin', 'Shiva', 'Zodiark']);
+        assert.deepStrictEqual(Array.from(window.document.querySelectorAll('#grid-view .card-title')).map(el => el.textContent), names());
+    } finally {
+        window.close();
+    }
+});
+
+test('the ranking strategy select re-ranks the table and labels the rank column', async () => {
+    const { window, evaluate } = await loadApp();
+    try {
+        const { document } = window;
+        const scraper = await scrapeFixture('report-mixed.html');
+        const state = evaluate('state');
+        state.rawData = window.JSON.parse(JSON.stringify(scraper.data));
+        window.setupStrategySelect();
+        window.setupEventListeners();
+        window.updateRanking();
+        window.updateUI();
+
+        const ranks = () => Array.from(document.querySelectorAll('#table-body .rank-badge')).map(el => Number(el.textContent));
+        assert.deepStrictEqual(ranks(), [1, 1, 3, 3, 3, 6, 7, 8]);
+        assert.strictEqual(document.getElementById('rank-strategy').textContent, 'Standard (1, 1, 3)');
+        assert.strictEqual(document.querySelector('#table-body tr .dc-rank').textContent, 'DC #1');
+
+        const select = document.getElementById('ranking-strategy-select');
+        select.value = 'dense';
+        select.dispatchEvent(new window.Event('change'));
+
+        assert.deepStrictEqual(ranks(), [1, 1, 2, 2, 2, 3, 4, 5]);
+        assert.strictEqual(document.getElementById('rank-strategy').textContent, 'Dense (1, 1, 2)');
+        assert.strictEqual(window.location.search, '?rank=dense');
+
+        window.applyUrlState(window.readUrlState('?rank=unknown'));
+        assert.strictEqual(state.rankingStrategy, 'competition');
+    } finally {
+        window.close();
+    }
+});
+
+test('updateLoadingState shows the format warning instead of an empty table', async () => {
+    const { window, evaluate } = await loadApp();
+    try {
+        const state = evaluate('state');
+        state.rawData = [];
+        state.diagnostics = {
+            ok: false,
+            issues: [{ severity: 'error', code: 'no-data-centers', message: 'Found 0 data centers', items: [] }]
+        };
+        window.updateLoadingState();
+
+        const warning = window.document.getElementById('format-warning');
+        assert.strictEqual(warning.classList.contains('hidden'), false);
+        assert.strictEqual(warning.querySelector('li').textContent, 'Found 0 data centers');
+        assert.strictEqual(window.document.getElementById('content-container').classList.contains('hidden'), true);
+    } finally {
+        window.close();
+    }
+});
+
+test('getExportFileName names exports after planet, scope and time', async () => {
+    const { window } = await loadApp();
+    try {
+        const date = new window.Date(2025, 3, 12, 14, 32);
+        assert.strictEqual(window.getExportFileName('sinus-ardorum', 'Light', date, 'csv'), 'cosmic-sinus-ardorum-light-20250412-1432.csv');
+        assert.strictEqual(window.getExportFileName('sinus-ardorum', 'all', date, 'png'), 'cosmic-sinus-ardorum-all-20250412-1432.png');
+    } finally {
+        window.close();
+    }
+});
+
+test('buildUrlSearch keeps only non-default filters and unknown parameters', async () => {
+    const { window } = await loadApp();
+    try {
+        const search = window.buildUrlSearch(
+            { activePlanet: 'sinus-ardorum', region: 'all', dataCenter: 'Light', viewMode: 'grid' },
+            '?embed=server:Phoenix&dc=Chaos'
+        );
+        assert.strictEqual(search, '?embed=server%3APhoenix&dc=Light&view=grid');
+        assert.strictEqual(window.buildUrlSearch({ activePlanet: 'sinus-ardorum', region: 'all', dataCenter: 'all', viewMode: 'table' }), '');
+    } finally {
+        window.close();
+    }
+});
+
+test('applyUrlState restores filters and view mode', async () => {
+    const { window, evaluate } = await loadApp();
+    try {
+        window.applyUrlState(window.readUrlState('?region=EU&dc=Light&view=grid&sort=grade&dir=desc&q=od&gmin=4&gmax=oops'));
+
+        const state = evaluate('state');
+        assert.strictEqual(state.region, 'EU');
+        assert.strictEqual(state.dataCenter, 'Light');
+        assert.strictEqual(state.viewMode, 'grid');
+        assert.strictEqual(state.sortKey, 'grade');
+        assert.strictEqual(state.sortDirection, 'desc');
+        assert.strictEqual(window.document.getElementById('search-input').value, 'od');
+        assert.strictEqual(state.minGrade, '4');
+        assert.strictEqual(state.maxGrade, '');
+        assert.strictEqual(window.document.getElementById('grid-view').classList.contains('hidden'), false);
+
+        // Back to a URL without parameters restores the defaults
+        window.applyUrlState(window.readUrlState(''));
+        assert.strictEqual(state.region, 'all');
+        assert.strictEqual(state.viewMode, 'table');
+    } finally {
+        window.close();
+    }
+});
+
+test('favorites are highlighted and pinned with the gap to the next server', async () => {
+    const { window, evaluate } = await loadApp();
+    try {
+        const state = evaluate('state');
+        state.data = await loadRanking(window);
+        window.toggleFavorite('Zodiark');
+        window.toggleFavorite('Phoenix');
+
+        assert.deepStrictEqual(JSON.parse(window.localStorage.getItem('favoriteServers')), ['Zodiark', 'Phoenix']);
+
+        const items = window.document.querySelectorAll('#favorites-list .favorite-item');
+        assert.strictEqual(window.document.getElementById('favorites-panel').classList.contains('hidden'), false);
+        assert.strictEqual(items.length, 2);
+        assert.strictEqual(items[0].querySelector('.server-name').textContent, 'Phoenix');
+        assert.strictEqual(items[0].querySelector('.favorite-gap').textContent, 'Leading');
+        assert.strictEqual(items[1].querySelector('.favorite-gap').textContent, '4 seg behind Gilgamesh (#6)');
+
+        assert.strictEqual(window.document.querySelectorAll('#table-body tr.favorite').length, 2);
+        assert.strictEqual(window.document.querySelectorAll('#grid-view .server-card.favorite').length, 2);
+
+        // Clicking the star again removes the favorite
+        window.document.querySelector('#favorites-list .favorite-btn').click();
+        assert.deepStrictEqual(JSON.parse(window.localStorage.getItem('favoriteServers')), ['Zodiark']);
+    } finally {
+        window.close();
+    }
+});
+
+test('a failed load falls back to the last good data with a stale banner', async () => {
+    const { window, evaluate } = await loadApp();
+    try {
+        const scraper = await scrapeFixture('report-mixed.html');
+        const state = evaluate('state');
+        const timestamp = new Date(2025, 3, 12, 14, 32).getTime();
+        state.snapshotStore = {
+            getLatestSnapshot: async () => ({ timestamp, data: window.JSON.parse(JSON.stringify(scraper.data)) }),
+            getSnapshots: async () => []
+        };
+        const brokenSource = () => evaluate("new UploadSource('broken.html', '')");
+
+        await window.loadCosmicData(true, [brokenSource()]);
+
+        const document = window.document;
+        assert.strictEqual(state.isError, false);
+        assert.strictEqual(document.getElementById('error').classList.contains('hidden'), true);
+        assert.strictEqual(document.getElementById('content-container').classList.contains('hidden'), false);
+        assert.strictEqual(document.getElementById('stale-banner').classList.contains('hidden'), false);
+        assert.match(document.getElementById('stale-message').textContent, /^Stale data from 14:32 on /);
+        assert.strictEqual(document.querySelectorAll('#table-body tr').length, 8);
+
+        // Without stored data the error is shown as before
+        state.snapshotStore.getLatestSnapshot = async () => null;
+        await window.loadCosmicData(true, [brokenSource()]);
+        assert.strictEqual(state.isError, true);
+        assert.strictEqual(document.getElementById('error').classList.contains('hidden'), false);
+        assert.strictEqual(document.getElementById('stale-banner').classList.contains('hidden'), true);
+    } finally {
+        window.close();
+    }
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'cosmic-scrape.js');
+const FIXTURE = path.join(__dirname, 'fixtures', 'report-mixed.html');
+
+const run = args => execFileSync(process.execPath, [CLI, ...args], { encoding: 'utf8', stdio: 'pipe' });
+
+test('cosmic-scrape prints the ranking of a saved page as JSON', () => {
+    const output = JSON.parse(run(['--input', FIXTURE, '--dc', 'Light', '--format', 'json']));
+
+    assert.strictEqual(output.planet, 'sinus-ardorum');
+    assert.deepStrictEqual(
+        output.servers.map(server => [server.serverName, server.rank]),
+        [['Phoenix', 1], ['Twintania', 1], ['Odin', 3], ['Shiva', 3], ['Zodiark', 5]]
+    );
+});
+
+test('cosmic-scrape prints CSV', () => {
+    const lines = run(['--input', FIXTURE, '--region', 'NA', '--format', 'csv']).trim().split('\r\n');
+
+    assert.deepStrictEqual(lines, [
+        'Rank,Server,Data Center,Region,Grade,Progress,Gauge,Status',
+        '1,Gilgamesh,Aether,NA,4,75% – 87.5%,gauge-6,In progress'
+    ]);
+});
+
+test('cosmic-scrape rejects unknown formats', () => {
+    assert.throws(() => run(['--input', FIXTURE, '--format', 'xml']), error => error.status === 2);
+});
+
+test('cosmic-scrape exits with 1 and a plain message when the input file cannot be read', () => {
+    assert.throws(() => run(['--input', path.join(__dirname, 'fixtures', 'missing.html')]), error => {
+        assert.strictEqual(error.status, 1);
+        assert.match(error.stderr, /^ENOENT: no such file or directory/);
+        assert.doesNotMatch(error.stderr, /\n\s+at /);
+        return true;
+    });
+});
+
+test('cosmic-scrape exits with 3 when the source format changed', () => {
+    const changed = path.join(__dirname, 'fixtures', 'report-changed.html');
+    assert.throws(() => run(['--input', changed]), error => {
+        assert.strictEqual(error.status, 3);
+        assert.match(error.stderr, /error: Unknown gauge classes on the progress bar: gauge-level-5/);
+        return true;
+    });
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DataSourceChain, DataSourceError, UploadSource } = require('..');
+
+/**
+ * Source factice qui échoue un nombre donné de fois avant de réussir
+ */
+function flakySource(name, failures, html = '<html></html>') {
+    return {
+        name,
+        live: true,
+        retryable: true,
+        calls: 0,
+        async fetch() {
+            this.calls++;
+            if (this.calls <= failures) throw new Error(`failure ${this.calls}`);
+            return html;
+        }
+    };
+}
+
+test('DataSourceChain retries a source before falling back', async () => {
+    const source = flakySource('Flaky', 2);
+    const chain = new DataSourceChain([source], { retries: 2, backoffMs: 1 });
+
+    const result = await chain.load('https://example.test/report');
+    assert.strictEqual(source.calls, 3);
+    assert.strictEqual(result.source, source);
+});
+
+test('DataSourceChain falls back to the next source', async () => {
+    const broken = flakySource('Broken', Infinity);
+    const upload = new UploadSource('report.html', '<html>ok</html>');
+    const chain = new DataSourceChain([broken, upload], { retries: 1, backoffMs: 1 });
+
+    const result = await chain.load('https://example.test/report');
+    assert.strictEqual(result.html, '<html>ok</html>');
+    assert.strictEqual(result.source, upload);
+});
+
+test('DataSourceChain reports every failed source', async () => {
+    const chain = new DataSourceChain([
+        flakySource('Broken', Infinity),
+        new UploadSource('empty.html', '')
+    ], { retries: 1, backoffMs: 1 });
+
+    await assert.rejects(chain.load('https://example.test/report'), error => {
+        assert.ok(error instanceof DataSourceError);
+        assert.deepStrictEqual(error.failures, [
+            { source: 'Broken', reason: 'failure 2', attempts: 2 },
+            { source: 'File empty.html', reason: 'Empty file', attempts: 1 }
+        ]);
+        return true;
+    });
+});
+
+test('DataSourceChain times out slow sources', async () => {
+    const slow = {
+        name: 'Slow',
+        retryable: false,
+        fetch: (url, signal) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('aborted')));
+        })
+    };
+    const chain = new DataSourceChain([slow], { timeoutMs: 20 });
+
+    await assert.rejects(chain.load('https://example.test/report'), error => {
+        assert.strictEqual(error.failures[0].reason, 'Timed out after 0.02s');
+        return true;
+    });
+});
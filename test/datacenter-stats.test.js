@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, scrapeFixture } = require('./helpers');
+
+/**
+ * Classement global et data centers de la page de test dans le contexte jsdom
+ */
+async function loadRankingAndDataCenters(window) {
+    const scraper = await scrapeFixture('report-mixed.html');
+    return {
+        ranking: window.JSON.parse(JSON.stringify(scraper.createRanking())),
+        dataCenters: scraper.getDataCenters()
+    };
+}
+
+test('computeDataCenterStats aggregates each data center', async () => {
+    const { window } = await loadApp();
+    try {
+        const { ranking, dataCenters } = await loadRankingAndDataCenters(window);
+        const stats = window.computeDataCenterStats(ranking, dataCenters);
+
+        // Materia has no server and is left out
+        assert.deepStrictEqual(Array.from(stats, item => item.dataCenter), ['Light', 'Chaos', 'Aether']);
+
+        const light = stats[0];
+        assert.strictEqual(light.rank, 1);
+        assert.strictEqual(light.serverCount, 5);
+        assert.strictEqual(light.averageGrade, 4.8);
+        assert.strictEqual(light.totalSegments, 220);
+        assert.strictEqual(light.medianRank, 3);
+        assert.strictEqual(light.completedCount, 1);
+        assert.strictEqual(light.best.serverName, 'Phoenix');
+        assert.strictEqual(light.worst.serverName, 'Zodiark');
+
+        // An even number of servers averages the two middle ranks
+        assert.strictEqual(stats[1].medianRank, 5.5);
+        assert.strictEqual(stats[1].totalSegments, 69);
+    } finally {
+        window.close();
+    }
+});
+
+test('compareDataCenters picks a winner per metric', async () => {
+    const { window } = await loadApp();
+    try {
+        const { ranking, dataCenters } = await loadRankingAndDataCenters(window);
+        const [light, chaos] = window.computeDataCenterStats(ranking, dataCenters);
+
+        const comparison = window.compareDataCenters(chaos, light);
+        assert.deepStrictEqual(Array.from(comparison, row => [row.label, row.a, row.b, row.winner]), [
+            ['Average Grade', '4.00', '4.80', 'b'],
+            ['Total Segments', '69', '220', 'b'],
+            ['Median Rank', '5.5', '3', 'b'],
+            ['Completed', '0', '1', 'b'],
+            ['Best Server', 'Cerberus (#3)', 'Phoenix (#1)', 'b']
+        ]);
+    } finally {
+        window.close();
+    }
+});
+
+test('the data center view renders the leaderboard, chart and head-to-head', async () => {
+    const { window, evaluate } = await loadApp();
+    try {
+        const { ranking, dataCenters } = await loadRankingAndDataCenters(window);
+        const state = evaluate('state');
+        state.data = ranking;
+        state.dataCenters = dataCenters;
+        state.viewMode = 'datacenters';
+        window.updateUI();
+
+        const document = window.document;
+        assert.strictEqual(document.getElementById('datacenter-view').classList.contains('hidden'), false);
+        assert.strictEqual(document.getElementById('filter-bar').classList.contains('hidden'), true);
+        assert.strictEqual(document.querySelectorAll('#datacenter-body tr').length, 3);
+        assert.strictEqual(document.querySelectorAll('#datacenter-chart .datacenter-chart-bar').length, 3);
+        assert.strictEqual(document.querySelectorAll('#datacenter-chart .datacenter-chart-bar.highlighted').length, 2);
+
+        // The two leading data centers are compared by default
+        assert.deepStrictEqual(Array.from(state.compareDataCenters), ['Light', 'Chaos']);
+        assert.strictEqual(document.querySelectorAll('#compare-body .compare-winner').length, 5);
+
+        // Comparing a data center with itself shows a hint instead
+        state.compareDataCenters[1] = 'Light';
+        window.updateDataCenterView();
+        assert.ok(document.querySelector('#compare-body .compare-empty'));
+    } finally {
+        window.close();
+    }
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { scrapeFixture } = require('./helpers');
+
+const codes = diagnostics => diagnostics.issues.map(issue => [issue.severity, issue.code]);
+
+test('diagnostics pass on a well-formed page', async () => {
+    const scraper = await scrapeFixture('report-mixed.html');
+
+    assert.strictEqual(scraper.diagnostics.ok, true);
+    assert.strictEqual(scraper.diagnostics.dataCenterCount, 4);
+    assert.strictEqual(scraper.diagnostics.serverCount, 8);
+    assert.deepStrictEqual(scraper.diagnostics.unknownGaugeClasses, []);
+    assert.deepStrictEqual(codes(scraper.diagnostics), [
+        ['warning', 'server-count'],
+        ['warning', 'empty-data-center']
+    ]);
+});
+
+test('diagnostics fail when no data center is found', async () => {
+    const scraper = await scrapeFixture('report-empty.html');
+
+    assert.strictEqual(scraper.diagnostics.ok, false);
+    assert.deepStrictEqual(codes(scraper.diagnostics), [['error', 'no-data-centers']]);
+});
+
+test('diagnostics report changed markup', async () => {
+    const scraper = await scrapeFixture('report-changed.html');
+    const byCode = Object.fromEntries(scraper.diagnostics.issues.map(issue => [issue.code, issue]));
+
+    assert.strictEqual(scraper.diagnostics.ok, false);
+    assert.deepStrictEqual(scraper.diagnostics.unknownGaugeClasses, ['gauge-level-5']);
+    assert.deepStrictEqual(byCode['missing-progress-bar'].items, ['Zodiark']);
+    assert.deepStrictEqual(byCode['invalid-grade'].items, ['Louisoix']);
+});
+
+test('expectations can be tuned per scraper', async () => {
+    const { createNodeScraper, DataSourceChain, UploadSource } = require('..');
+    const { readFixture } = require('./helpers');
+    const scraper = createNodeScraper(null, {
+        sources: new DataSourceChain([new UploadSource('report-gauges.html', readFixture('report-gauges.html'))]),
+        expectations: { minServers: 1 }
+    });
+    await scraper.scrape();
+
+    assert.deepStrictEqual(codes(scraper.diagnostics), []);
+});
+
+test('only a validated live page is kept as last-good payload', async () => {
+    const { createNodeScraper, DataSourceChain, CacheSource } = require('..');
+    const { readFixture } = require('./helpers');
+    const storage = new Map();
+    const cache = new CacheSource({
+        getItem: key => storage.get(key) || null,
+        setItem: (key, value) => storage.set(key, value)
+    });
+    const live = html => ({ name: 'Live', live: true, fetch: async () => html });
+
+    const broken = createNodeScraper('https://example.test/report', {
+        sources: new DataSourceChain([live(readFixture('report-changed.html')), cache])
+    });
+    await broken.scrape();
+    assert.strictEqual(storage.size, 0);
+
+    const valid = createNodeScraper('https://example.test/report', {
+        sources: new DataSourceChain([live(readFixture('report-mixed.html')), cache])
+    });
+    await valid.scrape();
+    assert.strictEqual(storage.size, 1);
+});
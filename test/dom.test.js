@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadApp, scrapeFixture } = require('./helpers');
+
+const INJECTED_NAME = '<img src=x onerror="alert(1)">';
+
+/**
+ * Copie un classement Node dans le contexte jsdom
+ */
+async function loadRanking(window, dataCenter = null) {
+    const scraper = await scrapeFixture('report-mixed.html');
+    return window.JSON.parse(JSON.stringify(scraper.createRanking(dataCenter)));
+}
+
+test('html escapes interpolated values and setHTML rejects plain strings', async () => {
+    const { window } = await loadApp();
+    try {
+        const fragment = window.html`<div title="${'"quoted" & <b>'}">${INJECTED_NAME}${window.html`<b>ok</b>`}${null}</div>`;
+        assert.strictEqual(String(fragment),
+            '<div title="&quot;quoted&quot; &amp; &lt;b&gt;">&lt;img src=x onerror=&quot;alert(1)&quot;&gt;<b>ok</b></div>');
+
+        const element = window.document.createElement('div');
+        assert.throws(() => window.setHTML(element, INJECTED_NAME), window.TypeError);
+        window.setHTML(element, fragment);
+        assert.strictEqual(element.querySelector('img'), null);
+    } finally {
+        window.close();
+    }
+});
+
+test('scraped server names are rendered as text in the table and grid', async () => {
+    const { window } = await loadApp();
+    try {
+        const { document } = window;
+        const ranking = await loadRanking(window, 'Light');
+        ranking[0].serverName = INJECTED_NAME;
+        ranking[0].dataCenter = '<script>alert(1)</script>';
+
+        window.updateTableView(ranking);
+        window.updateGridView(ranking);
+
+        assert.strictEqual(document.querySelector('#table-body img, #grid-view img, #table-body script'), null);
+        assert.strictEqual(document.querySelector('#table-body .server-name').textContent, INJECTED_NAME);
+        assert.strictEqual(document.querySelector('#grid-view .card-title').textContent, INJECTED_NAME);
+    } finally {
+        window.close();
+    }
+});
+
+test('table rows are reused by server, updated in place, reordered and removed', async () => {
+    const { window } = await loadApp();
+    try {
+        const { document } = window;
+        const ranking = await loadRanking(window, 'Light');
+        window.updateTableView(ranking);
+
+        const rowsByName = new Map(Array.from(document.querySelectorAll('#table-body tr'))
+            .map(row => [row.querySelector('.server-name').textContent, row]));
+        const untouched = rowsByName.get(ranking[1].serverName).querySelector('.server-name');
+
+        // The leader drops to the bottom with a lower gauge; the last server leaves
+        const [leader, ...rest] = ranking;
+        const next = [...rest.slice(0, -1), { ...leader, rank: 5, rawGauge: 'gauge-6', progressPercentage: 0.75 }];
+        window.updateTableView(next);
+
+        const rows = Array.from(document.querySelectorAll('#table-body tr'));
+        assert.strictEqual(rows.length, 4);
+        assert.strictEqual(rows[3], rowsByName.get(leader.serverName));
+        assert.strictEqual(rows[3].querySelector('.rank-badge').textContent, '5');
+        assert.strictEqual(rows[3].querySelectorAll('.progress-segment.filled').length, 6);
+        assert.strictEqual(rows[0].querySelector('.server-name'), untouched);
+        assert.strictEqual(rowsByName.get(ranking[4].serverName).isConnected, false);
+    } finally {
+        window.close();
+    }
+});
+
+test('the favorite star of a reused row does not open the history', async () => {
+    const { window, evaluate } = await loadApp();
+    try {
+        const { document } = window;
+        const scraper = await scrapeFixture('report-mixed.html');
+        const state = evaluate('state');
+        state.rawData = window.JSON.parse(JSON.stringify(scraper.data));
+        window.updateRanking();
+        window.updateUI();
+
+        const row = document.querySelector('#table-body tr');
+        row.querySelector('.favorite-btn').click();
+        assert.strictEqual(document.querySelector('#table-body tr'), row);
+        assert.strictEqual(row.classList.contains('favorite'), true);
+        assert.strictEqual(document.getElementById('history-panel').classList.contains('hidden'), true);
+    } finally {
+        window.close();
+    }
+});
+
+test('index.html ships a strict CSP without inline scripts or handlers', () => {
+    const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+    const csp = /<meta http-equiv="Content-Security-Policy"\s+content="([^"]+)"/.exec(html);
+
+    assert.ok(csp);
+    assert.match(csp[1], /script-src 'self';/);
+    assert.doesNotMatch(csp[1], /unsafe-inline|unsafe-eval/);
+    assert.doesNotMatch(html, /<script>|<script(?![^>]*\bsrc=)[^>]*>/);
+    assert.doesNotMatch(html, /\son[a-z]+=|\sstyle=/);
+});
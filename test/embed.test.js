@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, scrapeFixture } = require('./helpers');
+
+test('readEmbedOptions reads the embedded server and widget options', async () => {
+    const { window } = await loadApp();
+    try {
+        assert.strictEqual(window.readEmbedOptions(''), null);
+        assert.strictEqual(window.readEmbedOptions('?embed=server:'), null);
+        assert.strictEqual(window.readEmbedOptions('?embed=dc:Light'), null);
+
+        const options = window.readEmbedOptions('?embed=server:Phoenix&theme=dark&transparent=1&refresh=10&lang=fr');
+        assert.deepStrictEqual({ ...options }, {
+            server: 'Phoenix', theme: 'dark', transparent: true, refreshMinutes: 10, language: 'fr'
+        });
+
+        // Unknown themes are ignored and the refresh interval has a floor
+        const defaults = window.readEmbedOptions('?embed=server:Phoenix&theme=neon&refresh=1');
+        assert.strictEqual(defaults.theme, null);
+        assert.strictEqual(defaults.transparent, false);
+        assert.strictEqual(defaults.refreshMinutes, window.eval('EMBED_MIN_REFRESH_MINUTES'));
+    } finally {
+        window.close();
+    }
+});
+
+test('embed mode renders the grid card of one server without actions', async () => {
+    const { window, evaluate } = await loadApp();
+    try {
+        const { document } = window;
+        const scraper = await scrapeFixture('report-mixed.html');
+        const state = evaluate('state');
+        state.embed = window.readEmbedOptions('?embed=server:odin&theme=dark&transparent=1&refresh=15');
+        window.setupEmbedMode();
+
+        state.rawData = window.JSON.parse(JSON.stringify(scraper.data));
+        state.lastUpdated = new Date();
+        window.updateRanking();
+        window.updateUI();
+
+        assert.strictEqual(document.body.classList.contains('embed-mode'), true);
+        assert.strictEqual(document.body.classList.contains('embed-transparent'), true);
+        assert.strictEqual(document.body.classList.contains('dark-theme'), true);
+        assert.deepStrictEqual({ ...state.autoRefresh }, { enabled: true, minutes: 15 });
+
+        const view = document.getElementById('embed-view');
+        const cards = view.querySelectorAll('.server-card');
+        assert.strictEqual(view.classList.contains('hidden'), false);
+        assert.strictEqual(cards.length, 1);
+        assert.strictEqual(cards[0].querySelector('.card-title').textContent, 'Odin');
+        assert.strictEqual(cards[0].querySelector('.favorite-btn'), null);
+        assert.strictEqual(cards[0].title, '');
+        assert.match(view.querySelector('.embed-footer').textContent, /Last updated: Just now$/);
+
+        // The grid keeps its interactive cards
+        assert.notStrictEqual(document.querySelector('#grid-view .server-card .favorite-btn'), null);
+
+        state.embed.server = 'Nowhere';
+        window.updateEmbedView();
+        assert.strictEqual(view.querySelector('.embed-empty').textContent, 'Nowhere is not ranked on this planet');
+    } finally {
+        window.close();
+    }
+});
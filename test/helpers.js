@@ -0,0 +1,64 @@
+/**
+ * Utilitaires de test - Fixtures Lodestone et chargement des scripts navigateur
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const { createNodeScraper, DataSourceChain, UploadSource } = require('..');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Lit une fixture HTML enregistrée
+ * @param {string} name - Nom du fichier dans test/fixtures
+ * @returns {string} - Contenu HTML
+ */
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+/**
+ * Scrape une fixture sans réseau
+ * @param {string} name - Nom du fichier dans test/fixtures
+ * @returns {Promise<FFXIVCosmicScraper>} - Scraper avec ses données
+ */
+async function scrapeFixture(name) {
+    const scraper = createNodeScraper(null, {
+        sources: new DataSourceChain([new UploadSource(name, readFixture(name))])
+    });
+    await scraper.scrape();
+    return scraper;
+}
+
+/**
+ * Charge index.html et ses scripts dans un DOM jsdom, sans lancer init()
+ * Les scripts sont évalués après DOMContentLoaded pour que rien ne soit récupéré ;
+ * le registre des planètes est lu sur le disque et la première planète sélectionnée
+ * @returns {Promise<Object>} - { window, evaluate } (appeler window.close() à la fin)
+ */
+async function loadApp() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const dom = new JSDOM(html, { runScripts: 'outside-only', url: 'http://localhost/' });
+    const { window } = dom;
+
+    await new Promise(resolve => window.addEventListener('load', resolve));
+
+    const scripts = Array.from(window.document.querySelectorAll('script[src]'))
+        .map(script => script.getAttribute('src'))
+        .filter(src => !/^https?:/.test(src));
+    // Comme des <script> classiques : les const/class de haut niveau sont partagées
+    const context = dom.getInternalVMContext();
+    scripts.forEach(src => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, src), 'utf8'), context, { filename: src });
+    });
+
+    const registry = fs.readFileSync(path.join(ROOT, 'planets.json'), 'utf8');
+    vm.runInContext(`setPlanetRegistry(${registry}); renderPlanetTabs(); selectPlanet(COSMIC_PLANETS[0].id);`, context);
+
+    return { window, evaluate: code => vm.runInContext(code, context) };
+}
+
+module.exports = { readFixture, scrapeFixture, loadApp };
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, scrapeFixture } = require('./helpers');
+
+test('t falls back to English, then to the key, and fills parameters', async () => {
+    const { window } = await loadApp();
+    try {
+        assert.strictEqual(window.getLanguage(), 'en');
+        assert.strictEqual(window.t('server.grade', { grade: 4 }), 'Grade 4');
+
+        window.setLanguage('fr');
+        assert.strictEqual(window.t('server.grade', { grade: 4 }), 'Grade 4');
+        assert.strictEqual(window.t('header.refresh'), 'Actualiser');
+        assert.strictEqual(window.t('missing.key'), 'missing.key');
+
+        // Unknown languages are ignored
+        assert.strictEqual(window.setLanguage('xx'), 'fr');
+        assert.strictEqual(window.detectLanguage(null, ['de-AT', 'en']), 'de');
+        assert.strictEqual(window.detectLanguage('ja', ['de-AT']), 'ja');
+        assert.strictEqual(window.detectLanguage(null, ['pt-BR']), 'en');
+    } finally {
+        window.close();
+    }
+});
+
+test('formatTimeDiff and number formatting follow the language', async () => {
+    const { window } = await loadApp();
+    try {
+        const minutesAgo = minutes => new Date(Date.now() - minutes * 60000);
+        const expected = {
+            en: ['Just now', '1 minute ago', '5 minutes ago', '2 hours ago', '62.50%'],
+            fr: ["À l'instant", 'il y a 1 minute', 'il y a 5 minutes', 'il y a 2 heures', '62,50 %'],
+            de: ['Gerade eben', 'vor 1 Minute', 'vor 5 Minuten', 'vor 2 Stunden', '62,50 %'],
+            ja: ['たった今', '1 分前', '5 分前', '2 時間前', '62.50%']
+        };
+
+        Object.entries(expected).forEach(([language, [justNow, oneMinute, minutes, hours, percent]]) => {
+            window.setLanguage(language);
+            assert.strictEqual(window.formatTimeDiff(new Date()), justNow);
+            assert.strictEqual(window.formatTimeDiff(minutesAgo(1)), oneMinute);
+            assert.strictEqual(window.formatTimeDiff(minutesAgo(5)), minutes);
+            assert.strictEqual(window.formatTimeDiff(minutesAgo(130)), hours);
+            // fr / de separate the sign with a (narrow) no-break space
+            assert.strictEqual(window.formatPercent(0.625).replace(/\s/g, ' '), percent);
+        });
+    } finally {
+        window.close();
+    }
+});
+
+test('changeLanguage translates the page and the rendered ranking', async () => {
+    const { window, evaluate } = await loadApp();
+    try {
+        const { document } = window;
+        window.setupLanguageSelect();
+        window.setupSortSelect();
+        window.setupEventListeners();
+
+        const scraper = await scrapeFixture('report-mixed.html');
+        const state = evaluate('state');
+        state.rawData = window.JSON.parse(JSON.stringify(scraper.data));
+        window.updateRanking();
+
+        document.getElementById('language-select').value = 'de';
+        document.getElementById('language-select').dispatchEvent(new window.Event('change'));
+
+        assert.strictEqual(document.documentElement.lang, 'de');
+        assert.strictEqual(window.localStorage.getItem('language'), 'de');
+        assert.strictEqual(document.querySelector('#table-view-btn span[data-i18n]').textContent, 'Tabelle');
+        assert.strictEqual(document.getElementById('search-input').placeholder, 'Name der Welt');
+        assert.strictEqual(document.querySelector('#sort-select option[value="rank"]').textContent, 'Platz');
+        assert.strictEqual(document.querySelector('#refresh-btn span:not(.material-icons)').textContent, 'Aktualisieren');
+
+        const odin = Array.from(document.querySelectorAll('#table-body tr'))
+            .find(row => row.querySelector('.server-name').textContent === 'Odin');
+        assert.strictEqual(odin.querySelector('.progress-value').textContent.trim().replace(/\s/g, ' '), '62,5–75 %');
+        assert.strictEqual(odin.title, 'Verlauf anzeigen');
+    } finally {
+        window.close();
+    }
+});
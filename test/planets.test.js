@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    COSMIC_PLANETS,
+    SELECTOR_PROFILES,
+    DataSourceChain,
+    UploadSource,
+    createNodeScraper,
+    getPlanetUrl,
+    getSelectorProfile,
+    setPlanetRegistry
+} = require('..');
+const { loadApp, readFixture, scrapeFixture } = require('./helpers');
+const registry = require('../planets.json');
+
+test('the registry is loaded from planets.json', () => {
+    assert.deepStrictEqual(COSMIC_PLANETS.map(planet => planet.id), registry.planets.map(planet => planet.id));
+    assert.strictEqual(getPlanetUrl(COSMIC_PLANETS[0], 'na'), 'https://na.finalfantasyxiv.com/lodestone/cosmic_exploration/report');
+    assert.strictEqual(getSelectorProfile(COSMIC_PLANETS[0]), SELECTOR_PROFILES['cosmic-report']);
+    assert.deepStrictEqual(getSelectorProfile(COSMIC_PLANETS[1]), {});
+
+    // A full URL in the registry replaces the Lodestone path
+    assert.strictEqual(getPlanetUrl({ url: 'https://example.com/report', path: '/ignored' }, 'na'), 'https://example.com/report');
+});
+
+test('setPlanetRegistry rejects invalid configurations', () => {
+    try {
+        assert.throws(() => setPlanetRegistry({ planets: [] }), /no planets/);
+        assert.throws(() => setPlanetRegistry({ planets: [{ id: 'x', name: 'X', isActive: true }] }), /no path or url/);
+        assert.throws(() => setPlanetRegistry({
+            planets: [{ id: 'x', name: 'X', isActive: true, path: '/x', selectorProfile: 'missing' }]
+        }), /unknown selector profile missing/);
+    } finally {
+        setPlanetRegistry(registry);
+    }
+    assert.strictEqual(COSMIC_PLANETS.length, registry.planets.length);
+});
+
+test('a selector profile lets the scraper read another page layout', async () => {
+    const html = readFixture('report-mixed.html').replace(/cosmic__report__card__name/g, 'world__name');
+    const scraper = createNodeScraper(null, {
+        sources: new DataSourceChain([new UploadSource('renamed.html', html)]),
+        selectors: { serverName: '.world__name' }
+    });
+    await scraper.scrape();
+
+    const expected = await scrapeFixture('report-mixed.html');
+    assert.deepStrictEqual(scraper.data, expected.data);
+    assert.strictEqual(scraper.diagnostics.issues.some(issue => issue.code === 'missing-name'), false);
+});
+
+test('planet tabs are built from the registry', async () => {
+    const { window } = await loadApp();
+    try {
+        const tabs = window.document.querySelectorAll('#planet-tabs .tab-item');
+        assert.strictEqual(tabs.length, registry.planets.length);
+        assert.strictEqual(tabs[0].querySelector('.tab-title').textContent, 'Sinus Ardorum');
+        assert.strictEqual(tabs[0].classList.contains('active'), true);
+        assert.strictEqual(tabs[1].disabled, true);
+        assert.strictEqual(tabs[1].querySelector('.tab-badge').textContent, 'Soon');
+    } finally {
+        window.close();
+    }
+});
+
+test('cross-planet views rank servers on every planet and overall', async () => {
+    const { window, evaluate } = await loadApp();
+    try {
+        const scraper = await scrapeFixture('report-mixed.html');
+        const first = window.JSON.parse(JSON.stringify(scraper.data));
+        const second = window.JSON.parse(JSON.stringify(scraper.data))
+            .filter(server => server.serverName !== 'Phoenix')
+            .map(server => server.serverName === 'Zodiark' ? { ...server, grade: 8 } : server);
+        const planetData = [
+            { planet: { id: 'sinus-ardorum', name: 'Sinus Ardorum' }, data: first },
+            { planet: { id: 'next', name: 'Next Planet' }, data: second }
+        ];
+
+        const standings = window.getServerStandings('Phoenix', planetData);
+        assert.strictEqual(standings[0].server.rank, 1);
+        assert.strictEqual(standings[1].server, null);
+
+        // Zodiark: 34 + 66 segments, Twintania: 48 + 48
+        const ranking = window.createCumulativeRanking(planetData);
+        assert.deepStrictEqual(Array.from(ranking.slice(0, 3), server => [server.serverName, server.totalSegments, server.rank]), [
+            ['Zodiark', 100, 1],
+            ['Twintania', 96, 2],
+            ['Cerberus', 90, 3]
+        ]);
+        assert.strictEqual(ranking.find(server => server.serverName === 'Odin').rank, 3);
+        assert.strictEqual(ranking.find(server => server.serverName === 'Phoenix').planetCount, 1);
+
+        const state = evaluate('state');
+        state.planetData = planetData;
+        window.updateOverallView();
+        assert.strictEqual(window.document.querySelectorAll('#overall-body tr').length, 8);
+
+        window.updateServerStandings('Phoenix');
+        const items = window.document.querySelectorAll('#history-planets .history-planet');
+        assert.strictEqual(items[0].querySelector('.current-rank').textContent, '#1 / 8');
+        assert.strictEqual(items[1].querySelector('.current-rank').textContent, 'Not ranked');
+    } finally {
+        window.close();
+    }
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { rankingToCSV, rankingToJSON, rankingToTable } = require('..');
+const { scrapeFixture } = require('./helpers');
+
+test('rankingToCSV quotes values that need escaping', () => {
+    const csv = rankingToCSV([
+        { rank: 1, serverName: 'Odin, "the Allfather"', dataCenter: 'Light', region: 'EU', grade: 5, progress: '62.50%', rawGauge: 'gauge-5', statusText: 'In progress' }
+    ]);
+
+    assert.strictEqual(csv,
+        'Rank,Server,Data Center,Region,Grade,Progress,Gauge,Status\r\n' +
+        '1,"Odin, ""the Allfather""",Light,EU,5,62.50%,gauge-5,In progress\r\n');
+});
+
+test('rankingToCSV neutralises cells a spreadsheet would read as formulas', () => {
+    const csv = rankingToCSV([
+        { rank: 1, serverName: '=HYPERLINK("http://example.com")', dataCenter: '+Light', region: '-EU', grade: -1, progress: '@SUM(A1)', rawGauge: 'gauge-5', statusText: 'In progress' }
+    ]);
+
+    assert.strictEqual(csv.split('\r\n')[1],
+        `1,"'=HYPERLINK(""http://example.com"")",'+Light,'-EU,-1,'@SUM(A1),gauge-5,In progress`);
+});
+
+test('rankingToJSON keeps the raw gauge and metadata', async () => {
+    const scraper = await scrapeFixture('report-mixed.html');
+    const json = JSON.parse(rankingToJSON(scraper.createRanking('Chaos'), { timestamp: '2025-04-12T14:32:00.000Z' }));
+
+    assert.strictEqual(json.timestamp, '2025-04-12T14:32:00.000Z');
+    assert.deepStrictEqual(json.servers[0], {
+        rank: 1,
+        serverName: 'Cerberus',
+        dataCenter: 'Chaos',
+        region: 'EU',
+        grade: 5,
+        progress: '62.5% – 75%',
+        rawGauge: 'gauge-5',
+        statusText: 'In progress',
+        progressPercentage: 0.625
+    });
+});
+
+test('rankingToTable aligns columns', async () => {
+    const scraper = await scrapeFixture('report-mixed.html');
+    const lines = rankingToTable(scraper.createRanking('Chaos')).trimEnd().split('\n');
+
+    assert.strictEqual(lines.length, 4);
+    assert.strictEqual(lines[0].indexOf('Server'), lines[2].indexOf('Cerberus'));
+    assert.strictEqual(lines[2].indexOf('Chaos'), lines[3].indexOf('Chaos'));
+});
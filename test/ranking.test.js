@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { rankServers, isServerComplete, formatGaugeProgress } = require('..');
+const { scrapeFixture } = require('./helpers');
+
+const ranks = ranking => ranking.map(server => [server.serverName, server.rank]);
+
+test('createRanking sorts by grade then gauge and shares ranks on ties', async () => {
+    const scraper = await scrapeFixture('report-mixed.html');
+    const ranking = scraper.createRanking();
+
+    assert.deepStrictEqual(ranks(ranking), [
+        ['Phoenix', 1],
+        ['Twintania', 1],
+        ['Odin', 3],
+        ['Shiva', 3],
+        ['Cerberus', 3],
+        ['Gilgamesh', 6],
+        ['Zodiark', 7],
+        ['Louisoix', 8]
+    ]);
+});
+
+test('createRanking formats the progress for display', async () => {
+    const scraper = await scrapeFixture('report-mixed.html');
+    const progress = name => scraper.createRanking().find(server => server.serverName === name).progress;
+
+    // The gauge only tells which eighth the progress is in
+    assert.strictEqual(progress('Odin'), '62.5% – 75%');
+    assert.strictEqual(progress('Twintania'), '100% (transition)');
+    assert.strictEqual(progress('Phoenix'), '100%');
+});
+
+test('completion falls back on the status in any language for snapshots without isComplete', () => {
+    const full = { grade: 5, progressPercentage: 1, rawGauge: 'gauge-max' };
+
+    assert.strictEqual(isServerComplete({ ...full, statusText: 'Terminé' }), true);
+    assert.strictEqual(isServerComplete({ ...full, statusText: 'En cours', isComplete: null }), false);
+    assert.strictEqual(isServerComplete({ ...full, statusText: 'Complete', isComplete: false }), false);
+    assert.strictEqual(isServerComplete(full), false);
+    assert.strictEqual(formatGaugeProgress({ ...full, statusText: '完了' }), '100%');
+    assert.strictEqual(formatGaugeProgress(full), '100% (max)');
+});
+
+test('createRanking ranks within a data center', async () => {
+    const scraper = await scrapeFixture('report-mixed.html');
+
+    assert.deepStrictEqual(ranks(scraper.createRanking('Chaos')), [
+        ['Cerberus', 1],
+        ['Louisoix', 2]
+    ]);
+    assert.deepStrictEqual(scraper.createRanking('Materia'), []);
+});
+
+test('createRanking ranks within a region', async () => {
+    const scraper = await scrapeFixture('report-mixed.html');
+
+    assert.deepStrictEqual(ranks(scraper.createRanking(null, 'NA')), [['Gilgamesh', 1]]);
+    assert.strictEqual(scraper.createRanking(null, 'EU').length, 7);
+});
+
+test('createRanking gives every gauge level its own rank', async () => {
+    const scraper = await scrapeFixture('report-gauges.html');
+
+    assert.deepStrictEqual(
+        scraper.createRanking().map(server => server.rank),
+        [1, 2, 3, 4, 5, 6, 7, 8, 9]
+    );
+});
+
+test('dense ranking does not skip ranks after ties and data center ranks follow the strategy', async () => {
+    const scraper = await scrapeFixture('report-mixed.html');
+
+    assert.deepStrictEqual(scraper.createRanking(null, null, 'dense').map(server => server.rank), [1, 1, 2, 2, 2, 3, 4, 5]);
+    assert.deepStrictEqual(
+        scraper.createRanking(null, null, 'competition')
+            .filter(server => server.dataCenter === 'Light')
+            .map(server => [server.serverName, server.dataCenterRank]),
+        [['Phoenix', 1], ['Twintania', 1], ['Odin', 3], ['Shiva', 3], ['Zodiark', 5]]
+    );
+});
+
+test('effective progress and growth strategies rank on one number and on recent rates', () => {
+    const servers = () => [
+        { serverName: 'Full', dataCenter: 'Light', grade: 3, progressPercentage: 1 },
+        { serverName: 'Next', dataCenter: 'Light', grade: 4, progressPercentage: 0 },
+        { serverName: 'Slow', dataCenter: 'Chaos', grade: 4, progressPercentage: 0.5 }
+    ];
+
+    assert.deepStrictEqual(ranks(rankServers(servers(), 'effective')), [['Slow', 1], ['Full', 2], ['Next', 2]]);
+    assert.deepStrictEqual(ranks(rankServers(servers())), [['Slow', 1], ['Next', 2], ['Full', 3]]);
+
+    const growthRates = new Map([['Full', 0.5], ['Next', 0.1]]);
+    assert.deepStrictEqual(ranks(rankServers(servers(), 'growth', { growthRates })), [['Full', 1], ['Next', 2], ['Slow', 3]]);
+
+    // Unknown strategies fall back to the default
+    assert.deepStrictEqual(ranks(rankServers(servers(), 'nope')), [['Slow', 1], ['Next', 2], ['Full', 3]]);
+});
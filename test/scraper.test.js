@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FFXIVCosmicScraper, createNodeScraper, DataSourceChain, UploadSource, getGaugeModel, parseGaugeLevel, rankServers } = require('..');
+const { readFixture, scrapeFixture } = require('./helpers');
+
+/**
+ * Scrape la page de test traduite : attribut lang et textes de statut remplacés
+ */
+async function scrapeTranslatedFixture(lang, statuses, options = {}) {
+    const html = readFixture('report-mixed.html')
+        .replace('<html lang="en-gb">', lang ? `<html lang="${lang}">` : '<html>')
+        .replace(/status__text">Complete</g, `status__text">${statuses.complete}<`)
+        .replace(/status__text">In progress</g, `status__text">${statuses.inProgress}<`);
+    const scraper = createNodeScraper(null, {
+        sources: new DataSourceChain([new UploadSource('report-translated.html', html)]),
+        ...options
+    });
+    await scraper.scrape();
+    return scraper;
+}
+
+test('parseGaugeValue converts gauge classes to eighths', () => {
+    const scraper = new FFXIVCosmicScraper();
+
+    for (let level = 0; level < 8; level++) {
+        assert.strictEqual(scraper.parseGaugeValue(`gauge-${level}`), level / 8);
+    }
+    assert.strictEqual(scraper.parseGaugeValue('gauge-max'), 1.0);
+    assert.strictEqual(scraper.parseGaugeValue('cosmic__report__status__progress__bar gauge-max'), 1.0);
+    assert.strictEqual(scraper.parseGaugeValue(''), 0.0);
+    assert.strictEqual(scraper.parseGaugeValue(null), 0.0);
+    assert.strictEqual(scraper.parseGaugeValue('gauge-unknown'), 0.0);
+});
+
+test('scrape reads every gauge level', async () => {
+    const scraper = await scrapeFixture('report-gauges.html');
+
+    assert.strictEqual(scraper.data.length, 9);
+    scraper.data.slice(0, 8).forEach((server, level) => {
+        assert.strictEqual(server.serverName, `World${level}`);
+        assert.strictEqual(server.rawGauge, `gauge-${level}`);
+        assert.strictEqual(server.progressPercentage, level / 8);
+        assert.strictEqual(server.grade, 3);
+    });
+    assert.strictEqual(scraper.data[8].rawGauge, 'gauge-max');
+    assert.strictEqual(scraper.data[8].progressPercentage, 1.0);
+});
+
+test('scrape lowers the grade of completed servers', async () => {
+    const scraper = await scrapeFixture('report-mixed.html');
+    const phoenix = scraper.data.find(server => server.serverName === 'Phoenix');
+
+    assert.strictEqual(phoenix.statusText, 'Complete');
+    assert.strictEqual(phoenix.isComplete, true);
+    assert.strictEqual(phoenix.grade, 5);
+    assert.strictEqual(phoenix.progressPercentage, 1.0);
+});
+
+test('scrape detects completion in the language of the page', async () => {
+    const pages = [
+        await scrapeTranslatedFixture('fr', { complete: 'Terminé', inProgress: 'En cours' }),
+        await scrapeTranslatedFixture('de', { complete: 'Abgeschlossen', inProgress: 'In Bearbeitung' }),
+        await scrapeTranslatedFixture('ja', { complete: '完了', inProgress: '進行中' }),
+        await scrapeTranslatedFixture(null, { complete: 'Abgeschlossen', inProgress: 'In Bearbeitung' }),
+        await scrapeTranslatedFixture(null, { complete: '完了', inProgress: '進行中' }, { language: 'ja' })
+    ];
+
+    pages.forEach(scraper => {
+        const phoenix = scraper.data.find(server => server.serverName === 'Phoenix');
+        assert.strictEqual(phoenix.isComplete, true);
+        assert.strictEqual(phoenix.grade, 5);
+        assert.strictEqual(scraper.data.filter(server => server.isComplete).length, 1);
+    });
+});
+
+test('isCompleteStatus only uses the patterns of the given language', () => {
+    const scraper = new FFXIVCosmicScraper();
+
+    assert.strictEqual(scraper.isCompleteStatus('Complete', 'en'), true);
+    assert.strictEqual(scraper.isCompleteStatus('Terminé', 'en'), false);
+    assert.strictEqual(scraper.isCompleteStatus('Terminé', 'fr'), true);
+    assert.strictEqual(scraper.isCompleteStatus('Terminé'), true);
+    assert.strictEqual(scraper.isCompleteStatus('En cours', 'fr'), false);
+});
+
+test('scrape treats the transition <p> as a full gauge', async () => {
+    const scraper = await scrapeFixture('report-mixed.html');
+    const twintania = scraper.data.find(server => server.serverName === 'Twintania');
+
+    assert.strictEqual(twintania.rawGauge, 'gauge-7');
+    assert.strictEqual(twintania.isTransitioning, true);
+    assert.strictEqual(twintania.progressPercentage, 1.0);
+    assert.strictEqual(twintania.grade, 5);
+    assert.deepStrictEqual(getGaugeModel(twintania), { level: 7, state: 'transition', isFull: true, position: 8, low: 1, high: 1 });
+});
+
+test('the gauge model gives the range a level covers, and sorts full gauges first', () => {
+    const odin = { rawGauge: 'gauge-5', progressPercentage: 0.625 };
+    assert.deepStrictEqual(getGaugeModel(odin), { level: 5, state: 'filling', isFull: false, position: 5, low: 0.625, high: 0.75 });
+    assert.strictEqual(getGaugeModel({ rawGauge: 'gauge-max', progressPercentage: 1 }).state, 'max');
+    assert.strictEqual(getGaugeModel({ rawGauge: 'gauge-0', progressPercentage: 0 }).high, 0.125);
+
+    // Snapshots without rawGauge fall back to progressPercentage
+    assert.strictEqual(getGaugeModel({ progressPercentage: 3 / 8 }).level, 3);
+    assert.strictEqual(parseGaugeLevel('gauge'), null);
+
+    const servers = [
+        { serverName: 'Odin', dataCenter: 'Light', grade: 5, rawGauge: 'gauge-5', progressPercentage: 0.625 },
+        { serverName: 'Twintania', dataCenter: 'Light', grade: 5, rawGauge: 'gauge-7', isTransitioning: true, progressPercentage: 1 },
+        { serverName: 'Phoenix', dataCenter: 'Light', grade: 5, rawGauge: 'gauge-max', progressPercentage: 1 }
+    ];
+    assert.deepStrictEqual(
+        rankServers(servers).map(server => [server.serverName, server.rank]),
+        [['Twintania', 1], ['Phoenix', 1], ['Odin', 3]]
+    );
+});
+
+test('scrape tags data center and region, and skips empty data centers', async () => {
+    const scraper = await scrapeFixture('report-mixed.html');
+
+    assert.strictEqual(scraper.data.length, 8);
+    assert.deepStrictEqual(scraper.getDataCenters(), ['Aether', 'Chaos', 'Light']);
+    assert.deepStrictEqual(scraper.getDataCenters('NA'), ['Aether']);
+
+    const gilgamesh = scraper.data.find(server => server.serverName === 'Gilgamesh');
+    assert.strictEqual(gilgamesh.dataCenter, 'Aether');
+    assert.strictEqual(gilgamesh.region, 'NA');
+    assert.strictEqual(gilgamesh.physicalDataCenter, 'North American Data Center');
+});
+
+test('scrape returns no servers for a page without data centers', async () => {
+    const scraper = await scrapeFixture('report-empty.html');
+
+    assert.deepStrictEqual(scraper.data, []);
+    assert.deepStrictEqual(scraper.createRanking(), []);
+    assert.deepStrictEqual(scraper.getDataCenters(), []);
+});
+
+test('requiring the package leaves the global scope untouched', () => {
+    const { execFileSync } = require('child_process');
+    const script = `
+        const before = new Set(Object.getOwnPropertyNames(globalThis));
+        const { rankSnapshotData } = require(${JSON.stringify(require.resolve('..'))});
+        rankSnapshotData([{ serverName: 'Odin', dataCenter: 'Light', grade: 5, rawGauge: 'gauge-5' }]);
+        process.stdout.write(JSON.stringify(Object.getOwnPropertyNames(globalThis).filter(name => !before.has(name))));
+    `;
+    assert.deepStrictEqual(JSON.parse(execFileSync(process.execPath, ['-e', script], { encoding: 'utf8' })), []);
+});
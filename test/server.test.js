@@ -0,0 +1,229 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { ApiSource, DataSourceChain, createNodeScraper } = require('..');
+const { CosmicServer, LodestoneCache, RateLimiter } = require('../server');
+const { FileSnapshotStore } = require('../file-snapshot-store');
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'report-mixed.html'), 'utf8');
+const REPORT_URL = 'https://eu.finalfantasyxiv.com/lodestone/cosmic_exploration/report';
+
+/**
+ * Lodestone factice servant la fixture, qui compte les requêtes reçues
+ */
+async function startStubLodestone() {
+    const stub = { requests: [] };
+    stub.server = http.createServer((req, res) => {
+        stub.requests.push(req.url);
+        if (req.url.startsWith('/lodestone/cosmic_exploration/report')) {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(FIXTURE);
+        } else {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+    await new Promise(resolve => stub.server.listen(0, '127.0.0.1', resolve));
+    stub.url = `http://127.0.0.1:${stub.server.address().port}`;
+    return stub;
+}
+
+/**
+ * Démarre cosmic-server devant le Lodestone factice, sans relevé planifié
+ */
+async function startServer(options = {}) {
+    const stub = await startStubLodestone();
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cosmic-server-'));
+    const server = new CosmicServer({
+        port: 0,
+        upstream: stub.url,
+        dataDir,
+        upstreamIntervalMs: 0,
+        scrapeIntervalMinutes: 0,
+        ...options
+    });
+    const url = await server.start();
+
+    const close = async () => {
+        await server.stop();
+        await new Promise(resolve => stub.server.close(resolve));
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    };
+    return { server, stub, url, dataDir, close };
+}
+
+test('the proxy serves cosmic exploration reports from its cache and refuses other pages', async () => {
+    const { stub, url, close } = await startServer();
+    try {
+        for (const t of [1, 2]) {
+            const response = await fetch(`${url}/proxy?url=${encodeURIComponent(`${REPORT_URL}?_t=${t}`)}`);
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.headers.get('access-control-allow-origin'), '*');
+            assert.strictEqual(await response.text(), FIXTURE);
+        }
+        assert.deepStrictEqual(stub.requests, ['/lodestone/cosmic_exploration/report']);
+
+        for (const page of [
+            'https://example.com/lodestone/cosmic_exploration/report',
+            'https://eu.finalfantasyxiv.com/lodestone/character/123/',
+            `${REPORT_URL}?page=2`
+        ]) {
+            assert.strictEqual((await fetch(`${url}/proxy?url=${encodeURIComponent(page)}`)).status, 403);
+        }
+        assert.strictEqual((await fetch(`${url}/proxy`)).status, 400);
+        assert.strictEqual(stub.requests.length, 1);
+    } finally {
+        await close();
+    }
+
+    // Expired pages are forgotten, and the cache never grows past its size
+    const cache = new LodestoneCache({ ttlMs: 1000, maxEntries: 2 });
+    cache.entries.set('a', { html: 'a', fetchedAt: 0 });
+    cache.entries.set('b', { html: 'b', fetchedAt: 900 });
+    cache.prune(1000);
+    assert.deepStrictEqual(Array.from(cache.entries.keys()), ['b']);
+    cache.entries.set('c', { html: 'c', fetchedAt: 950 });
+    cache.entries.set('d', { html: 'd', fetchedAt: 950 });
+    cache.prune(1000);
+    assert.deepStrictEqual(Array.from(cache.entries.keys()), ['c', 'd']);
+});
+
+test('clients over the rate limit get 429 with Retry-After', async () => {
+    const { url, close } = await startServer({ rateLimit: 2 });
+    try {
+        const statuses = [];
+        for (let i = 0; i < 3; i++) {
+            const response = await fetch(`${url}/api/planets`);
+            statuses.push(response.status);
+            if (response.status === 429) {
+                assert.ok(Number(response.headers.get('retry-after')) > 0);
+            }
+        }
+        assert.deepStrictEqual(statuses, [200, 200, 429]);
+
+        // The app files are not rate limited
+        assert.strictEqual((await fetch(`${url}/index.html`)).status, 200);
+    } finally {
+        await close();
+    }
+
+    const limiter = new RateLimiter(1, 1000);
+    assert.strictEqual(limiter.take('a', 0).allowed, true);
+    assert.strictEqual(limiter.take('a', 500).allowed, false);
+    assert.strictEqual(limiter.take('a', 1000).allowed, true);
+});
+
+test('scheduled scrapes are stored and served by the JSON API', async () => {
+    const { server, url, dataDir, close } = await startServer();
+    try {
+        assert.strictEqual((await fetch(`${url}/api/planets/sinus-ardorum/ranking`)).status, 503);
+
+        assert.deepStrictEqual(await server.scrapeAll(), ['sinus-ardorum']);
+        await server.scrapeAll();
+
+        const ranking = await (await fetch(`${url}/api/planets/sinus-ardorum/ranking?dc=Light`)).json();
+        assert.strictEqual(ranking.planet, 'sinus-ardorum');
+        assert.strictEqual(ranking.dataCenter, 'Light');
+        assert.deepStrictEqual(
+            ranking.servers.map(item => [item.serverName, item.rank]),
+            [['Phoenix', 1], ['Twintania', 1], ['Odin', 3], ['Shiva', 3], ['Zodiark', 5]]
+        );
+
+        const history = await (await fetch(`${url}/api/servers/odin/history`)).json();
+        assert.strictEqual(history.server, 'Odin');
+        assert.strictEqual(history.history.length, 2);
+        assert.deepStrictEqual(Object.keys(history.history[0]), ['timestamp', 'grade', 'progressPercentage', 'rawGauge', 'isTransitioning', 'statusText', 'isComplete']);
+
+        assert.strictEqual((await fetch(`${url}/api/servers/Nowhere/history`)).status, 404);
+        assert.strictEqual((await fetch(`${url}/api/planets/planet-2/ranking`)).status, 404);
+        assert.strictEqual((await fetch(`${url}/api/unknown`)).status, 404);
+        assert.strictEqual((await fetch(`${url}/package.json`)).status, 404);
+
+        // Snapshots survive a restart
+        const store = new FileSnapshotStore(dataDir);
+        assert.strictEqual((await store.getSnapshots('sinus-ardorum')).length, 2);
+    } finally {
+        await close();
+    }
+});
+
+test('the scraper reads the API ranking as a data source', async () => {
+    const { server, url, close } = await startServer();
+    try {
+        await server.scrapeAll();
+        const scraper = createNodeScraper(REPORT_URL, {
+            sources: new DataSourceChain([new ApiSource(url, 'sinus-ardorum')], { retries: 0 })
+        });
+        await scraper.scrape();
+
+        assert.strictEqual(scraper.source.name, `API ${url}`);
+        assert.strictEqual(scraper.diagnostics.ok, true);
+        assert.strictEqual(scraper.data.length, 8);
+        assert.deepStrictEqual(
+            scraper.createRanking('Light').map(item => item.serverName),
+            ['Phoenix', 'Twintania', 'Odin', 'Shiva', 'Zodiark']
+        );
+        assert.strictEqual(scraper.fetchedAt.getTime(), (await server.store.getLatestSnapshot('sinus-ardorum')).timestamp);
+    } finally {
+        await close();
+    }
+});
+
+test('scheduled scrapes never overlap when one outlasts the interval', async () => {
+    const { server, close } = await startServer({ scrapeIntervalMinutes: 0.0002 });
+    try {
+        let running = 0;
+        let overlaps = 0;
+        let runs = 0;
+        server.scrapeAll = async () => {
+            overlaps += running;
+            running++;
+            runs++;
+            // Each scrape takes several intervals
+            await new Promise(resolve => setTimeout(resolve, 50));
+            running--;
+            return [];
+        };
+
+        await new Promise(resolve => setTimeout(resolve, 200));
+        assert.ok(runs >= 2);
+        assert.strictEqual(overlaps, 0);
+    } finally {
+        await close();
+    }
+});
+
+test('snapshots older than the retention period are deleted from disk', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cosmic-store-'));
+    try {
+        const day = 24 * 60 * 60 * 1000;
+        const store = new FileSnapshotStore(dataDir, { retentionMs: 3 * day });
+        const data = [{ serverName: 'Odin', dataCenter: 'Light', grade: 5, progressPercentage: 0.625, statusText: '' }];
+        const start = new Date(2025, 3, 1).getTime();
+        for (let i = 0; i < 5; i++) {
+            await store.addSnapshot('sinus-ardorum', data, new Date(start + i * day));
+        }
+
+        const kept = await new FileSnapshotStore(dataDir).getSnapshots('sinus-ardorum');
+        assert.deepStrictEqual(kept.map(snapshot => snapshot.timestamp), [start + 1 * day, start + 2 * day, start + 3 * day, start + 4 * day]);
+        assert.deepStrictEqual(kept.map(snapshot => snapshot.id), [2, 3, 4, 5]);
+
+        // History only reads the requested period
+        const history = await store.getServerHistory('sinus-ardorum', 'Odin', start + 3 * day);
+        assert.deepStrictEqual(history.map(point => point.timestamp), [start + 3 * day, start + 4 * day]);
+
+        // Another Lodestone site neither reads these snapshots nor mixes its own with them,
+        // and retention still applies to every site, unbounded retention pruning nothing
+        const na = new FileSnapshotStore(dataDir, { lodestoneHost: 'na', retentionMs: Infinity });
+        assert.strictEqual(await na.getLatestSnapshot('sinus-ardorum'), null);
+        await na.addSnapshot('sinus-ardorum', data, new Date(start + 5 * day));
+        assert.deepStrictEqual((await na.getSnapshots('sinus-ardorum')).map(snapshot => snapshot.lodestoneHost), ['na']);
+        assert.strictEqual((await new FileSnapshotStore(dataDir, { lodestoneHost: 'eu' }).getSnapshots('sinus-ardorum')).length, 0);
+        assert.strictEqual((await new FileSnapshotStore(dataDir).getSnapshots('sinus-ardorum')).length, 5);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
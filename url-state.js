@@ -0,0 +1,78 @@
+/**
+ * État dans l'URL - Synchronise les filtres de l'application avec la query string
+ * pour pouvoir partager un lien et naviguer avec précédent / suivant
+ */
+
+// Clé de l'état de l'application -> paramètre d'URL
+const URL_STATE_PARAMS = {
+    activePlanet: 'planet',
+    region: 'region',
+    dataCenter: 'dc',
+    viewMode: 'view',
+    sortKey: 'sort',
+    sortDirection: 'dir',
+    rankingStrategy: 'rank',
+    search: 'q',
+    status: 'status',
+    minGrade: 'gmin',
+    maxGrade: 'gmax'
+};
+
+// Valeurs par défaut, omises de l'URL
+// (la planète par défaut est la première du registre, chargé après ce script)
+const URL_STATE_DEFAULTS = {
+    get activePlanet() {
+        return COSMIC_PLANETS.length > 0 ? COSMIC_PLANETS[0].id : null;
+    },
+    region: 'all',
+    dataCenter: 'all',
+    viewMode: 'table',
+    sortKey: 'rank',
+    sortDirection: 'asc',
+    rankingStrategy: DEFAULT_RANKING_STRATEGY,
+    search: '',
+    status: 'all',
+    minGrade: '',
+    maxGrade: ''
+};
+
+/**
+ * Lit l'état depuis une query string
+ * @param {string} search - Query string (ex. location.search)
+ * @returns {Object} - Valeurs présentes dans l'URL uniquement
+ */
+function readUrlState(search) {
+    const params = new URLSearchParams(search);
+    const result = {};
+
+    Object.entries(URL_STATE_PARAMS).forEach(([key, param]) => {
+        if (params.has(param)) {
+            result[key] = params.get(param);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Construit la query string correspondant à l'état
+ * Les paramètres inconnus (ex. embed) sont conservés
+ * @param {Object} state - État de l'application
+ * @param {string} currentSearch - Query string actuelle
+ * @returns {string} - Query string, '' si tout est par défaut
+ */
+function buildUrlSearch(state, currentSearch = '') {
+    const params = new URLSearchParams(currentSearch);
+
+    Object.entries(URL_STATE_PARAMS).forEach(([key, param]) => {
+        const value = state[key];
+        if (value === undefined || value === null || value === '' || value === URL_STATE_DEFAULTS[key]) {
+            params.delete(param);
+        } else {
+            params.set(param, value);
+        }
+    });
+
+    const search = params.toString();
+    return search ? `?${search}` : '';
+}
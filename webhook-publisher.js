@@ -0,0 +1,212 @@
+/**
+ * Publication des digests - Envoi sur des webhooks (Discord, Slack, Markdown brut),
+ * avec nouvelles tentatives, planification et mode d'essai sans envoi
+ */
+
+const { DIGEST_FORMATTERS } = require('./digest');
+
+// Options par défaut de la publication
+const PUBLISHER_DEFAULTS = {
+    retries: 3,
+    backoffMs: 1000,
+    timeoutMs: 10000,
+    dryRun: false
+};
+
+/**
+ * Corps HTTP d'un payload : JSON pour Discord et Slack, texte brut pour le Markdown
+ * @param {Object|string} payload - Payload produit par DIGEST_FORMATTERS
+ * @returns {Object} - { body, contentType }
+ */
+function toRequestBody(payload) {
+    return typeof payload === 'string'
+        ? { body: payload, contentType: 'text/markdown; charset=utf-8' }
+        : { body: JSON.stringify(payload), contentType: 'application/json' };
+}
+
+/**
+ * URL de webhook affichable : le jeton secret se trouve dans les derniers segments du chemin
+ * (ex. https://discord.com/api/webhooks/<id>/<jeton>), seuls l'origine et les premiers segments
+ * sont gardés, sans identifiants ni paramètres
+ * @param {string} url - URL du webhook
+ * @returns {string} - URL expurgée (ex. https://discord.com/api/webhooks/…)
+ */
+function redactWebhookUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return '…';
+    }
+    const segments = parsed.pathname.split('/').filter(Boolean);
+    const kept = segments.slice(0, Math.min(2, segments.length - 1));
+    const hidden = kept.length < segments.length || parsed.search || parsed.hash || parsed.username;
+    return [parsed.origin, ...kept].join('/') + (hidden ? '/…' : '');
+}
+
+/**
+ * Délai jusqu'à la prochaine publication quotidienne
+ * @param {string} at - Heure locale "HH:MM"
+ * @param {Date} now - Date courante
+ * @returns {number} - Délai en ms (demain si l'heure est passée)
+ */
+function getDelayUntil(at, now = new Date()) {
+    const [hours, minutes] = at.split(':').map(Number);
+    const next = new Date(now);
+    next.setHours(hours, minutes, 0, 0);
+    if (next <= now) {
+        next.setDate(next.getDate() + 1);
+    }
+    return next - now;
+}
+
+/**
+ * Publie les digests sur une liste de webhooks
+ */
+class DigestPublisher {
+    /**
+     * Constructeur
+     * @param {Array} webhooks - Webhooks { url, format } (format : clé de DIGEST_FORMATTERS)
+     * @param {Object} options - Remplace PUBLISHER_DEFAULTS ; output : flux du mode d'essai (stdout par défaut)
+     */
+    constructor(webhooks, options = {}) {
+        webhooks.forEach(webhook => {
+            if (!DIGEST_FORMATTERS[webhook.format]) {
+                throw new Error(`Unknown digest format: ${webhook.format}`);
+            }
+        });
+        this.webhooks = webhooks;
+        this.options = { ...PUBLISHER_DEFAULTS, ...options };
+        this.output = options.output || process.stdout;
+        this.timer = null;
+    }
+
+    /**
+     * Publie un digest sur chaque webhook ; un échec n'empêche pas les autres envois
+     * En mode d'essai, les payloads sont écrits sur la sortie au lieu d'être envoyés
+     * @param {Object} digest - Résultat de buildDigest()
+     * @returns {Promise<Array>} - Résultats { url, format, ok, status, attempts, error }
+     */
+    async publish(digest) {
+        const results = [];
+        for (const { url, format } of this.webhooks) {
+            const payload = DIGEST_FORMATTERS[format](digest);
+            if (this.options.dryRun) {
+                const text = typeof payload === 'string' ? payload : JSON.stringify(payload, null, 2) + '\n';
+                this.output.write(`--- ${format} → ${redactWebhookUrl(url)}\n${text}`);
+                results.push({ url, format, ok: true, status: null, attempts: 0, error: null });
+            } else {
+                results.push({ url, format, ...await this.send(url, payload) });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Envoie un payload, avec nouvelles tentatives sur les erreurs réseau, les délais dépassés,
+     * les 5xx et les 429 (Retry-After respecté)
+     * @param {string} url - URL du webhook
+     * @param {Object|string} payload - Payload à envoyer
+     * @returns {Promise<Object>} - { ok, status, attempts, error }
+     */
+    async send(url, payload) {
+        const { body, contentType } = toRequestBody(payload);
+        const maxAttempts = this.options.retries + 1;
+        let status = null;
+        let error = null;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            let response = null;
+            try {
+                response = await this.post(url, body, contentType);
+            } catch (postError) {
+                error = postError.message;
+            }
+
+            if (response) {
+                status = response.status;
+                if (response.ok) {
+                    return { ok: true, status, attempts: attempt, error: null };
+                }
+                error = `HTTP ${status}`;
+                // Les autres erreurs du client (URL révoquée, payload refusé) se répéteraient
+                if (status !== 429 && status < 500) {
+                    return { ok: false, status, attempts: attempt, error };
+                }
+            }
+
+            if (attempt < maxAttempts) {
+                const retryAfter = response ? Number(response.headers.get('retry-after')) : 0;
+                // Attente exponentielle : 1s, 2s, 4s... sauf si le webhook indique son délai
+                const delay = retryAfter > 0 ? retryAfter * 1000 : this.options.backoffMs * 2 ** (attempt - 1);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+
+        return { ok: false, status, attempts: maxAttempts, error };
+    }
+
+    /**
+     * Exécute une requête POST avec délai maximal
+     * @param {string} url - URL du webhook
+     * @param {string} body - Corps de la requête
+     * @param {string} contentType - Type du corps
+     * @returns {Promise<Response>} - Réponse, corps déjà lu
+     */
+    async post(url, body, contentType) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.options.timeoutMs);
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': contentType },
+                body,
+                signal: controller.signal
+            });
+            // Libère la connexion
+            await response.arrayBuffer();
+            return response;
+        } catch (error) {
+            if (controller.signal.aborted) {
+                throw new Error(`Timed out after ${this.options.timeoutMs / 1000}s`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Exécute une tâche selon un planning, jusqu'à l'appel de stop()
+     * @param {Function} task - Tâche asynchrone (ex. construire puis publier un digest)
+     * @param {Object} schedule - { at: heure locale "HH:MM" chaque jour } ou { intervalMinutes }
+     */
+    schedule(task, { at = null, intervalMinutes = 0 }) {
+        this.stop();
+        const getDelay = () => (at ? getDelayUntil(at) : intervalMinutes * 60 * 1000);
+
+        const run = async () => {
+            try {
+                await task();
+            } catch (error) {
+                console.warn(`Digest failed: ${error.message}`);
+            }
+            // stop() a pu être appelé pendant la tâche
+            if (this.timer !== null) {
+                this.timer = setTimeout(run, getDelay());
+            }
+        };
+        this.timer = setTimeout(run, getDelay());
+    }
+
+    /**
+     * Arrête les publications planifiées
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = { PUBLISHER_DEFAULTS, DigestPublisher, getDelayUntil, redactWebhookUrl };
@@ -0,0 +1,38 @@
+/**
+ * Widget - Balise script à coller sur un site pour afficher la carte d'un serveur
+ * Insère une iframe du mode intégration juste après la balise :
+ *
+ * <script src="https://example.com/tracker/widget.js" data-server="Phoenix"
+ *         data-theme="dark" data-transparent="true" data-refresh="10"></script>
+ *
+ * Attributs facultatifs : data-planet, data-theme, data-transparent, data-refresh,
+ * data-lang, data-width, data-height
+ */
+
+(function () {
+    const script = document.currentScript;
+    if (!script || !script.dataset.server) {
+        return;
+    }
+
+    const options = script.dataset;
+    const params = new URLSearchParams({ embed: `server:${options.server}` });
+    ['planet', 'theme', 'transparent', 'refresh', 'lang'].forEach(option => {
+        if (options[option]) {
+            params.set(option, options[option]);
+        }
+    });
+
+    const iframe = document.createElement('iframe');
+    iframe.src = new URL(`index.html?${params}`, script.src).href;
+    iframe.title = `${options.server} - FFXIV Cosmic Exploration Tracker`;
+    iframe.width = options.width || '340';
+    iframe.height = options.height || '260';
+    iframe.style.border = '0';
+    if (options.transparent) {
+        iframe.setAttribute('allowtransparency', 'true');
+        iframe.style.background = 'transparent';
+    }
+
+    script.parentNode.insertBefore(iframe, script.nextSibling);
+})();